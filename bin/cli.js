@@ -4,24 +4,33 @@ const { Command } = require('commander');
 const program = new Command();
 const initTUI = require('../src/tui/chat');
 const SimpleTimeParse = require('../src/utils/simple-time-parse.js');
+const { interruptSignal } = require('../src/utils/progress-line.js');
 // Authentication commands
 const auth = new Command('auth')
     .description('Authentication commands');
 
 auth.command('login')
-    .description('Log in via password/token')
-    .action(async () => {
+    .description('Log in via password/token/SSO')
+    .option('--homeserver <url>', 'Homeserver URL or server name (env: CICH_HOMESERVER)')
+    .option('--user <username>', 'Username or @user:server Matrix ID (env: CICH_USER)')
+    .option('--password-stdin', 'Read the password from stdin (env: CICH_PASSWORD)', false)
+    .option('--token <token>', 'Import an existing access token instead of logging in')
+    .option('--device-id <id>', 'Device ID the imported token belongs to')
+    .option('--sso', 'Log in through the homeserver\'s SSO page in a browser', false)
+    .option('--idp <id>', 'SSO identity provider to use (with --sso)')
+    .addHelpText('after', '\nExit codes: 1 failure, 2 missing input, 3 rejected by the homeserver, 4 homeserver unreachable, 5 saving failed')
+    .action(async (options) => {
         console.log('Attempting to log in...');
         // Dynamically import the login.mjs
         const { interactiveLogin } = await import('../src/cli/auth/login.mjs');
 
         try {
-            await interactiveLogin();
+            await interactiveLogin(options);
             console.log('✅ Login successful!');
             process.exit(0);
         } catch (error) {
             console.error('❌ Login failed:', error.message);
-            process.exit(1);
+            process.exit(error.exitCode || 1);
 
         }
     });
@@ -29,25 +38,111 @@ auth.command('login')
 
 auth.command('signup')
     .description('Sign up for a new account')
-    .action(async () => {
+    .option('--homeserver <url>', 'Homeserver URL or server name (env: CICH_HOMESERVER)')
+    .option('--user <username>', 'Desired username or @user:server Matrix ID (env: CICH_USER)')
+    .option('--password-stdin', 'Read the password from stdin (env: CICH_PASSWORD)', false)
+    .option('--registration-token <token>', 'Registration token, if the homeserver requires one (env: CICH_REGISTRATION_TOKEN)')
+    .option('--accept-terms', 'Accept the homeserver\'s terms without asking', false)
+    .addHelpText('after', '\nExit codes: 1 failure, 2 missing input, 3 rejected by the homeserver, 4 homeserver unreachable, 5 saving failed')
+    .action(async (options) => {
         console.log('Starting signup process...');
         // Dynamically import the signup.mjs
         const { interactiveSignup } = await import('../src/cli/auth/signup.mjs');
 
         try {
-            await interactiveSignup();
+            await interactiveSignup(options);
             console.log('✅ Signup successful!');
             process.exit(0);
         } catch (error) {
             console.error('❌ Signup failed:', error.message);
+            process.exit(error.exitCode || 1);
+        }
+    });
+
+auth.command('switch <profile>')
+    .description('Make a profile the default one')
+    .action(async (profile) => {
+        const { switchProfile } = await import('../src/cli/auth/switch.mjs');
+        try {
+            await switchProfile(profile);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to switch profile:', error.message);
+            process.exit(1);
+        }
+    });
+
+auth.command('profiles')
+    .description('List saved account profiles')
+    .action(async () => {
+        const { listProfiles } = await import('../src/cli/auth/profiles.mjs');
+        try {
+            listProfiles();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to list profiles:', error.message);
+            process.exit(1);
+        }
+    });
+
+const vault = auth.command('vault')
+    .description('Manage the passphrase-protected token vault');
+
+vault.command('enable')
+    .description('Encrypt the stored access token with a passphrase')
+    .action(async () => {
+        const { enableVault } = await import('../src/cli/auth/vault.mjs');
+        try {
+            await enableVault();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to enable vault:', error.message);
+            process.exit(1);
+        }
+    });
+
+vault.command('disable')
+    .description('Store the access token in plaintext again')
+    .action(async () => {
+        const { disableVault } = await import('../src/cli/auth/vault.mjs');
+        try {
+            await disableVault();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to disable vault:', error.message);
+            process.exit(1);
+        }
+    });
+
+vault.command('status')
+    .description('Show whether the access token is encrypted')
+    .action(async () => {
+        const { vaultStatus } = await import('../src/cli/auth/vault.mjs');
+        try {
+            vaultStatus();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to check vault:', error.message);
             process.exit(1);
         }
     });
 
 auth.command('logout')
     .description('Clear session')
-    .action(() => {
+    .option('-a, --all', 'Log out every device of the account', false)
+    .action(async (options) => {
         console.log('Logging out...');
+        // Dynamically import the logout.mjs
+        const { logout } = await import('../src/cli/auth/logout.mjs');
+
+        try {
+            await logout({ all: options.all });
+            console.log('✅ Logout successful!');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Logout failed:', error.message);
+            process.exit(1);
+        }
     });
 
 // Room management commands
@@ -73,7 +168,8 @@ room.command('join')
             console.log(`   Name: ${result.roomName}`);
             console.log(`   Alias: ${result.canonicalAlias || 'None'}`);
             console.log(`   Members: ${result.memberCount}`);
-            console.log(`   Type: ${result.roomType}\n`);
+            console.log(`   Type: ${result.roomType}`);
+            console.log(`   Encryption: ${result.encrypted ? `🔒 ${result.encryptionAlgorithm}` : '🔓 Off'}\n`);
 
 
             // Start the TUI
@@ -154,6 +250,9 @@ room.command('list')
 
         const { listRooms } = await import('../src/cli/room/list.mjs');
 
+        // Ctrl-C cancels the listing on the daemon too
+        const interrupt = interruptSignal();
+
         try {
             let membership = options.membership;
 
@@ -164,7 +263,8 @@ room.command('list')
 
             const startTime = Date.now();
 
-            await listRooms({ membership });
+            await listRooms({ membership, signal: interrupt.signal });
+            if (interrupt.signal.aborted) process.exit(130);
 
             console.log(`Done in ${Date.now() - startTime}ms`);
 
@@ -181,12 +281,16 @@ room.command('messages <roomId>')
     .option('-e, --end <date>', 'End date (ISO format or relative like now, 1h)', 'now')
     .option('-l, --limit <number>', 'Maximum number of messages to fetch', 100)
     .option('-d, --direction <dir>', 'Pagination direction (b for backward, f for forward)', 'b')
+    .option('--timeout <seconds>', 'Give up when the daemon makes no progress for this long (default 30)')
     .action(async (roomId, options) => {
         console.log(`Fetching messages from room ${roomId}`);
         console.log(`Time range: ${options.start} to ${options.end}`);
 
         const { getMessagesInTimeRange } = await import('../src/cli/chat/get.mjs');
 
+        // Ctrl-C cancels the fetch on the daemon too
+        const interrupt = interruptSignal();
+
         try {
             const startTime = Date.now();
 
@@ -202,7 +306,9 @@ room.command('messages <roomId>')
                 endDate,
                 {
                     limit: parseInt(options.limit),
-                    direction: options.direction
+                    direction: options.direction,
+                    timeout: options.timeout ? parseFloat(options.timeout) * 1000 : undefined,
+                    signal: interrupt.signal
                 },
                 true // Enable logging
             );
@@ -210,11 +316,281 @@ room.command('messages <roomId>')
             console.log(`Done in ${Date.now() - startTime}ms`);
             process.exit(0);
         } catch (err) {
+            if (interrupt.signal.aborted) {
+                console.error('Cancelled.');
+                process.exit(130);
+            }
             console.error('Error:', err.message);
             process.exit(1);
         }
     });
 
+room.command('events [roomIds...]')
+    .description('Print the events the daemon receives as JSON lines until Ctrl-C (all rooms if none is given)')
+    .option('-t, --type <types...>', 'Only these event types, a trailing * matches a prefix (e.g. m.room.* m.typing)')
+    .option('-H, --human', 'Print a readable summary instead of JSON', false)
+    .action(async (roomIds, options) => {
+        const { watchEvents, describeEvent } = await import('../src/cli/room/events.mjs');
+
+        try {
+            await watchEvents({ roomIds, types: options.type }, ({ roomId, event, ephemeral }) => {
+                if (!options.human) {
+                    console.log(JSON.stringify({ roomId, ephemeral, event }));
+                    return;
+                }
+                const summary = describeEvent(event)
+                    ?? (event.type === 'm.room.message' ? `${event.sender}: ${event.content?.body}` : event.type);
+                console.log(`[${roomId}] ${summary}`);
+            });
+
+            process.once('SIGINT', () => process.exit(0));
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+
+// Device management commands
+const device = new Command('device')
+    .description('Device and session management commands');
+
+device.command('list')
+    .description('Show the devices logged in to your account')
+    .action(async () => {
+        const { listDevices } = await import('../src/cli/device/list.mjs');
+        try {
+            await listDevices();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+device.command('rename <deviceId> <name>')
+    .description('Set the display name of a device')
+    .action(async (deviceId, name) => {
+        const { renameDevice } = await import('../src/cli/device/rename.mjs');
+        try {
+            await renameDevice({ deviceId, displayName: name });
+            console.log(`✅ Device ${deviceId} renamed to "${name}"`);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+device.command('delete <deviceIds...>')
+    .description('Log out and remove devices (asks for your password, env: CICH_PASSWORD)')
+    .action(async (deviceIds) => {
+        const { deleteDevices } = await import('../src/cli/device/delete.mjs');
+        try {
+            await deleteDevices({ deviceIds });
+            console.log(`✅ Deleted ${deviceIds.length} device${deviceIds.length > 1 ? 's' : ''}`);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+device.command('verify <userId> [deviceId]')
+    .description('Verify a device by comparing emoji or numbers (all devices of the user if none is given)')
+    .action(async (userId, deviceId) => {
+        const { verifyDevice, describeSas } = await import('../src/cli/device/verify.mjs');
+        const { askQuestion } = await import('../src/cli/auth/credentials.mjs');
+        const { clientProxy } = await import('../src/matrix/client.mjs');
+
+        // Ctrl-C tells the other device instead of leaving it waiting
+        let transactionId = null;
+        process.once('SIGINT', async () => {
+            if (transactionId) await clientProxy.cancelVerification({ transactionId }).catch(() => { });
+            process.exit(130);
+        });
+
+        try {
+            const result = await verifyDevice({ userId, deviceId }, {
+                onUpdate: (update) => {
+                    transactionId = update.transactionId;
+                    if (update.state === 'requested') {
+                        console.log(`📨 Verification request sent to ${userId} (${deviceId || 'all devices'}), accept it on the other device...`);
+                    } else if (update.state === 'ready') {
+                        console.log(`🤝 ${update.deviceId} accepted the request`);
+                    } else if (update.state === 'sas') {
+                        console.log('\nCompare these with the other device:\n');
+                        describeSas(update).forEach(line => console.log(`   ${line}`));
+                        console.log('');
+                    } else if (update.state === 'confirmed') {
+                        console.log('⏳ Waiting for the other device to confirm...');
+                    } else if (update.warning) {
+                        console.warn(`⚠️  ${update.warning}`);
+                    }
+                },
+                confirm: async () => /^y(es)?$/i.test(await askQuestion('Do they match? [y/N]: '))
+            });
+
+            console.log(`✅ ${userId} ${result.deviceId} verified${result.crossSigned ? ' and cross-signed' : ''}`);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+device.command('accept [userId]')
+    .description('Wait for another device, e.g. Element, to request a verification of this one and compare emoji or numbers')
+    .action(async (userId) => {
+        const { acceptVerification, describeSas } = await import('../src/cli/device/verify.mjs');
+        const { askQuestion } = await import('../src/cli/auth/credentials.mjs');
+        const { clientProxy } = await import('../src/matrix/client.mjs');
+
+        // Ctrl-C tells the other device instead of leaving it waiting
+        let transactionId = null;
+        process.once('SIGINT', async () => {
+            if (transactionId) await clientProxy.cancelVerification({ transactionId }).catch(() => { });
+            process.exit(130);
+        });
+
+        try {
+            const result = await acceptVerification({ userId }, {
+                onUpdate: (update) => {
+                    transactionId = update.transactionId;
+                    if (update.state === 'waiting') {
+                        console.log(`⏳ Waiting for a verification request${userId ? ` from ${userId}` : ''}, start it on the other device...`);
+                    } else if (update.state === 'ready') {
+                        console.log(`🤝 Accepted the request of ${update.userId} ${update.deviceId}`);
+                    } else if (update.state === 'sas') {
+                        console.log('\nCompare these with the other device:\n');
+                        describeSas(update).forEach(line => console.log(`   ${line}`));
+                        console.log('');
+                    } else if (update.state === 'confirmed') {
+                        console.log('⏳ Waiting for the other device to confirm...');
+                    } else if (update.warning) {
+                        console.warn(`⚠️  ${update.warning}`);
+                    }
+                },
+                confirm: async () => /^y(es)?$/i.test(await askQuestion('Do they match? [y/N]: '))
+            });
+
+            console.log(`✅ ${result.userId} ${result.deviceId} verified${result.crossSigned ? ' and cross-signed' : ''}`);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+
+// Crypto management commands
+const crypto = new Command('crypto')
+    .description('End-to-end encryption commands');
+
+crypto.command('bootstrap')
+    .description('Set up cross-signing keys and sign this device (asks for your password, env: CICH_PASSWORD)')
+    .option('--force', 'Replace cross-signing keys the account already has', false)
+    .action(async (options) => {
+        const { bootstrapCrossSigning } = await import('../src/cli/crypto/bootstrap.mjs');
+        try {
+            const { masterKey } = await bootstrapCrossSigning({ force: options.force });
+            console.log(`✅ Cross-signing set up, master key: ${masterKey}`);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+crypto.command('status')
+    .description('Show whether cross-signing is set up')
+    .action(async () => {
+        const { showCryptoStatus } = await import('../src/cli/crypto/status.mjs');
+        try {
+            await showCryptoStatus();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+
+// Room key commands
+const keys = new Command('keys')
+    .description('Room key export, import and backup');
+
+keys.command('export <file>')
+    .description('Export room keys to a passphrase-protected file (env: CICH_KEYS_PASSPHRASE)')
+    .option('--force', 'Overwrite the file if it exists', false)
+    .action(async (file, options) => {
+        const { exportRoomKeys } = await import('../src/cli/keys/transfer.mjs');
+        try {
+            await exportRoomKeys(file, { force: options.force });
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+keys.command('import <file>')
+    .description('Import room keys from an export file, e.g. one saved by Element (env: CICH_KEYS_PASSPHRASE)')
+    .action(async (file) => {
+        const { importRoomKeys } = await import('../src/cli/keys/transfer.mjs');
+        try {
+            await importRoomKeys(file);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+const backup = keys.command('backup')
+    .description('Manage the server-side key backup');
+
+backup.command('status')
+    .description('Show the key backup version and whether this device uses it')
+    .action(async () => {
+        const { showBackupStatus } = await import('../src/cli/keys/backup.mjs');
+        try {
+            await showBackupStatus();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+backup.command('enable')
+    .description('Create a new key backup version and print its recovery key')
+    .option('--passphrase', 'Also allow restoring with a passphrase (env: CICH_BACKUP_PASSPHRASE)', false)
+    .action(async (options) => {
+        const { enableBackup } = await import('../src/cli/keys/backup.mjs');
+        try {
+            await enableBackup({ passphrase: options.passphrase });
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
+backup.command('restore')
+    .description('Import the room keys of the key backup (env: CICH_RECOVERY_KEY)')
+    .option('--passphrase', 'Unlock the backup with its passphrase instead of the recovery key (env: CICH_BACKUP_PASSPHRASE)', false)
+    .action(async (options) => {
+        const { restoreBackup } = await import('../src/cli/keys/backup.mjs');
+        try {
+            await restoreBackup({ passphrase: options.passphrase });
+            process.exit(0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    });
+
 
 // Daemon management commands
 const daemon = new Command('daemon')
@@ -291,6 +667,83 @@ daemon.command('state')
         }
     })
 
+daemon.command('status')
+    .description('Show the health of the running daemon: uptime, sync, clients, streams and memory')
+    .option('--json', 'Print the metrics as JSON', false)
+    .action(async (options) => {
+        const { showDaemonStatus } = await import('../src/cli/daemon/status.mjs');
+        try {
+            const running = await showDaemonStatus({ json: options.json });
+            process.exit(running ? 0 : 3);
+        } catch (error) {
+            console.error('❌ Failed to get daemon status:', error.message);
+            process.exit(1);
+        }
+    })
+
+daemon.command('logs')
+    .description('Show the daemon log of the active profile')
+    .option('-f, --follow', 'Keep printing new entries until Ctrl-C', false)
+    .option('-l, --level <level>', 'Least severe level to show: error, warn, info, debug, trace', 'trace')
+    .option('-n, --lines <number>', 'Number of past entries to show', 50)
+    .option('--json', 'Print the raw JSON lines', false)
+    .action(async (options) => {
+        const { showDaemonLogs } = await import('../src/cli/daemon/logs.mjs');
+        try {
+            process.once('SIGINT', () => process.exit(0));
+            await showDaemonLogs({
+                follow: options.follow,
+                level: options.level.toLowerCase(),
+                lines: parseInt(options.lines),
+                json: options.json
+            });
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to read daemon logs:', error.message);
+            process.exit(1);
+        }
+    })
+
+daemon.command('install-service')
+    .description('Run the daemon as a systemd user service (or an init script) that restarts it when it crashes')
+    .option('--init-script', 'Write a plain init script even if systemd is available', false)
+    .action(async (options) => {
+        const { installDaemonService } = await import('../src/cli/daemon/service.mjs');
+        try {
+            await installDaemonService({ initScript: options.initScript });
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to install the daemon service:', error.stderr?.trim() || error.message);
+            process.exit(1);
+        }
+    })
+
+daemon.command('uninstall-service')
+    .description('Stop and remove the daemon service')
+    .action(async () => {
+        const { uninstallDaemonService } = await import('../src/cli/daemon/service.mjs');
+        try {
+            await uninstallDaemonService();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to uninstall the daemon service:', error.stderr?.trim() || error.message);
+            process.exit(1);
+        }
+    })
+
+daemon.command('bridge-token')
+    .description('Generate the token remote clients present to the daemon\'s network bridge')
+    .action(async () => {
+        const { createBridgeToken } = await import('../src/cli/daemon/bridge.mjs');
+        try {
+            await createBridgeToken();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to create a bridge token:', error.message);
+            process.exit(1);
+        }
+    })
+
 daemon.command('config')
     .description('Check the current daemon config')
     .action(async () => {
@@ -305,15 +758,88 @@ daemon.command('config')
     })
 
 
+// Config management commands
+const config = new Command('config')
+    .description('Configuration commands');
+
+config.command('get <key>')
+    .description('Print a config value')
+    .action(async (key) => {
+        const { getConfig } = await import('../src/cli/config/get.mjs');
+        try {
+            getConfig(key);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to read config:', error.message);
+            process.exit(1);
+        }
+    });
+
+config.command('set <key> <value>')
+    .description('Set a config value')
+    .action(async (key, value) => {
+        const { setConfig } = await import('../src/cli/config/set.mjs');
+        try {
+            await setConfig(key, value);
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to update config:', error.message);
+            process.exit(1);
+        }
+    });
+
+config.command('list')
+    .description('Show all config values')
+    .action(async () => {
+        const { listConfig } = await import('../src/cli/config/list.mjs');
+        try {
+            listConfig();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Failed to list config:', error.message);
+            process.exit(1);
+        }
+    });
+
+config.command('path')
+    .description('Print the config file location')
+    .action(async () => {
+        const { printConfigPath } = await import('../src/cli/config/path.mjs');
+        printConfigPath();
+        process.exit(0);
+    });
+
 // Add the commands to the main program
 program.addCommand(auth);
 program.addCommand(room);
+program.addCommand(device);
+program.addCommand(crypto);
+program.addCommand(keys);
 program.addCommand(daemon);
+program.addCommand(config);
 program
     .name('cich')
     .version('1.0.0')
     .description('Minimal, Aeasthetic CLI for Matrix.')
-    .option('-d, --debug', 'Enable debug mode', false)
-    .option('-v, --verbose', 'Enable verbose output', false);
-
-program.parse();
+    .option('-d, --debug', 'Enable debug mode (trace-level Matrix SDK logs)', false)
+    .option('-v, --verbose', 'Enable verbose output (debug-level Matrix SDK logs)', false)
+    .option('--profile <name>', 'Account profile to use (default: the active profile)');
+
+// Expose the selected profile and log level to the command modules and to a daemon spawned from here
+program.hook('preAction', async (thisCommand) => {
+    const { profile, debug, verbose } = thisCommand.opts();
+    if (debug || verbose) {
+        process.env.CICH_LOG_LEVEL = debug ? 'trace' : 'debug';
+    }
+    if (!profile) return;
+
+    const { validateProfileName } = await import('../src/config/store.mjs');
+    try {
+        process.env.CICH_PROFILE = validateProfileName(profile);
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+});
+
+program.parseAsync();
@@ -0,0 +1,128 @@
+import readline from "readline";
+import askSecret from "../../utils/ask-secret.js";
+import { parseMxid, resolveHomeserver } from "../../matrix/discovery.mjs";
+import { AuthError, EXIT_CODES } from "./errors.mjs";
+
+function askQuestion(query) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    });
+    return new Promise(resolve => rl.question(query, ans => {
+        rl.close();
+        resolve(ans.trim());
+    }));
+}
+
+/**
+ * Reads a password from stdin, e.g. `echo "$PW" | cich auth login --password-stdin`.
+ * Only the first line is used.
+ *
+ * @async
+ * @returns {Promise<string>}
+ */
+async function readPasswordFromStdin() {
+    let input = '';
+    for await (const chunk of process.stdin) {
+        input += chunk;
+    }
+    return input.split(/\r?\n/)[0];
+}
+
+/**
+ * Resolves and probes a homeserver given as URL or server name.
+ *
+ * @async
+ * @param {string} homeserver - The homeserver URL or server name.
+ * @returns {Promise<string>} - The verified base URL.
+ * @throws {AuthError} - If the homeserver can't be verified.
+ */
+async function verifyHomeserver(homeserver) {
+    try {
+        console.log(`🔎 Checking homeserver ${homeserver}...`);
+        const homeserverUrl = await resolveHomeserver(homeserver);
+        console.log(`🏠 Using homeserver ${homeserverUrl}`);
+        return homeserverUrl;
+    } catch (error) {
+        throw new AuthError(error.message, EXIT_CODES.UNREACHABLE);
+    }
+}
+
+/**
+ * Takes the homeserver from the flag or CICH_HOMESERVER, prompts for it if a terminal
+ * is attached, and verifies it.
+ *
+ * @async
+ * @param {Object} options - The command line options.
+ * @param {string} [options.homeserver] - The homeserver URL or server name.
+ * @param {string} prompt - The prompt text.
+ * @returns {Promise<string>} - The verified base URL.
+ * @throws {AuthError} - If the homeserver is missing or can't be verified.
+ */
+async function resolveHomeserverOption(options, prompt) {
+    let homeserver = options.homeserver || process.env.CICH_HOMESERVER;
+
+    if (!homeserver) {
+        if (!process.stdin.isTTY) {
+            throw new AuthError("Missing homeserverUrl (use --homeserver or CICH_HOMESERVER)", EXIT_CODES.USAGE);
+        }
+        homeserver = await askQuestion(prompt);
+    }
+
+    return verifyHomeserver(homeserver);
+}
+
+/**
+ * Collects homeserver, username and password from flags, then CICH_* environment
+ * variables, and only prompts for what is still missing.
+ *
+ * The username may be a full `@user:server` MXID, in which case the homeserver is
+ * discovered from its server name. The homeserver is verified before the password is
+ * asked for, so a bad URL fails before any credentials are sent.
+ *
+ * @async
+ * @param {Object} options - The command line options.
+ * @param {string} [options.homeserver] - The homeserver URL or server name.
+ * @param {string} [options.user] - The username or MXID.
+ * @param {boolean} [options.passwordStdin] - Whether to read the password from stdin.
+ * @param {Object} prompts - Prompt texts for homeserverUrl, username and password.
+ * @returns {Promise<{homeserverUrl: string, username: string, password: string}>}
+ * @throws {AuthError} - If a value is missing and there is no terminal to ask for it,
+ *                       or if the homeserver can't be verified.
+ */
+async function resolveCredentials(options, prompts) {
+    let username = options.user || process.env.CICH_USER;
+    let homeserver = options.homeserver || process.env.CICH_HOMESERVER;
+    let password = options.passwordStdin ? await readPasswordFromStdin() : process.env.CICH_PASSWORD;
+
+    const interactive = process.stdin.isTTY && !options.passwordStdin;
+
+    if (!interactive) {
+        const missing = [];
+        if (!username) missing.push('username');
+        if (!homeserver && !parseMxid(username)) missing.push('homeserverUrl');
+        if (!password) missing.push('password');
+
+        if (missing.length > 0) {
+            throw new AuthError(`Missing ${missing.join(', ')} (use flags or CICH_HOMESERVER/CICH_USER/CICH_PASSWORD)`, EXIT_CODES.USAGE);
+        }
+    }
+
+    if (!username) {
+        username = await askQuestion(prompts.username);
+    }
+
+    if (!homeserver) {
+        homeserver = parseMxid(username)?.serverName || await askQuestion(prompts.homeserverUrl);
+    }
+
+    const homeserverUrl = await verifyHomeserver(homeserver);
+
+    if (!password) {
+        password = await askSecret(prompts.password);
+    }
+
+    return { homeserverUrl, username, password };
+}
+
+export { askQuestion, verifyHomeserver, resolveHomeserverOption, resolveCredentials };
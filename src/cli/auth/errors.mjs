@@ -0,0 +1,48 @@
+/**
+ * Exit codes of the auth commands, so scripts can tell failures apart.
+ */
+const EXIT_CODES = {
+    FAILURE: 1,
+    USAGE: 2,
+    REJECTED: 3,
+    UNREACHABLE: 4,
+    STORAGE: 5,
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH'];
+
+/**
+ * * AuthError class for failures of the auth commands.
+ * * @class AuthError
+ * * @property {number} exitCode - The process exit code matching the failure, one of EXIT_CODES.
+ */
+class AuthError extends Error {
+    constructor(message, exitCode = EXIT_CODES.FAILURE) {
+        super(message);
+        this.name = 'AuthError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Wraps an error thrown while talking to the homeserver into an AuthError with a matching exit code.
+ *
+ * @param {Error} error - The original error.
+ * @param {string} action - What was attempted, used as message prefix (e.g. "Login").
+ * @returns {AuthError}
+ */
+function toAuthError(error, action) {
+    if (error instanceof AuthError) return error;
+
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+        return new AuthError(`${action} failed: homeserver unreachable (${error.code})`, EXIT_CODES.UNREACHABLE);
+    }
+
+    if (error.errcode || error.statusCode === 401 || error.statusCode === 403) {
+        return new AuthError(`${action} failed: ${error.message}`, EXIT_CODES.REJECTED);
+    }
+
+    return new AuthError(`${action} failed: ${error.message}`, EXIT_CODES.FAILURE);
+}
+
+export { AuthError, EXIT_CODES, toAuthError };
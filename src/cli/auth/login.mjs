@@ -1,27 +1,15 @@
-import { MatrixClient } from "matrix-bot-sdk";
 import { MatrixCommands } from "../../matrix/commands.mjs";
-import readline from "readline";
-import fs from "fs/promises";
-import path from "path";
+import { credentialVault } from "../../config/vault.mjs";
+import { resolveCredentials, resolveHomeserverOption, verifyHomeserver } from "./credentials.mjs";
+import { runSsoLogin } from "./sso.mjs";
+import { AuthError, EXIT_CODES, toAuthError } from "./errors.mjs";
 
-const CONFIG_PATH = path.resolve("src/state", "config.js");
-
-function askQuestion(query) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
+async function promptCredentials(options) {
+    return resolveCredentials(options, {
+        homeserverUrl: "Homeserver (e.g., matrix.org or http://localhost:8008): ",
+        username: "Matrix ID (e.g., @alice:matrix.org) or username: ",
+        password: "Password: ",
     });
-    return new Promise(resolve => rl.question(query, ans => {
-        rl.close();
-        resolve(ans.trim());
-    }));
-}
-
-async function promptCredentials() {
-    const homeserverUrl = await askQuestion("Homeserver URL (e.g., http://localhost:8008): ");
-    const username = await askQuestion("Username: ");
-    const password = await askQuestion("Password: ");
-    return { homeserverUrl, username, password };
 }
 
 async function login({ homeserverUrl, username, password }) {
@@ -36,26 +24,92 @@ async function login({ homeserverUrl, username, password }) {
             credentials: { homeserverUrl, userId: userId, accessToken: accessToken, deviceId: deviceId, useDaemon: true }
         };
     } catch (error) {
-        console.error("\n❌ Login failed:", error.message);
-        process.exit(1);
+        throw toAuthError(error, "Login");
+    }
+}
+
+async function importToken({ homeserver, accessToken, deviceId }) {
+    if (!homeserver) {
+        throw new AuthError("Missing homeserver URL (use --homeserver or CICH_HOMESERVER)", EXIT_CODES.USAGE);
+    }
+
+    const homeserverUrl = await verifyHomeserver(homeserver);
+
+    let whoami;
+    try {
+        // Make sure the token is alive before saving it
+        whoami = await MatrixCommands.whoami({ homeserverUrl, accessToken });
+    } catch (error) {
+        throw toAuthError(error, "Token check");
+    }
+
+    if (deviceId && whoami.deviceId && whoami.deviceId !== deviceId) {
+        throw new AuthError(`Token belongs to device ${whoami.deviceId}, not ${deviceId}`, EXIT_CODES.REJECTED);
+    }
+
+    console.log(`\n✨ Token accepted for ${whoami.userId}`);
+
+    return {
+        credentials: { homeserverUrl, userId: whoami.userId, accessToken, deviceId: whoami.deviceId || deviceId, useDaemon: true }
+    };
+}
+
+// The new token is sealed with the vault's key, asking for the passphrase after the login
+// would leave a new device behind if it's wrong
+async function unlockVault() {
+    if (!credentialVault.isEnabled()) return;
+    try {
+        await credentialVault.getAccessToken();
+    } catch (error) {
+        throw new AuthError(`Failed to unlock the vault: ${error.message}`, EXIT_CODES.STORAGE);
     }
 }
 
 async function saveCredentialsToConfig(credentials) {
-    const content = `module.exports = ${JSON.stringify(credentials, null, 2)};\n`;
-    await fs.mkdir(path.dirname(CONFIG_PATH), { recursive: true });
-    await fs.writeFile(CONFIG_PATH, content, "utf8");
+    try {
+        await credentialVault.saveCredentials(credentials);
+    } catch (error) {
+        throw new AuthError(`Failed to save credentials: ${error.message}`, EXIT_CODES.STORAGE);
+    }
     console.log(`\n✅ Credentials saved`);
 }
 
 /**
- * Perform interactive login and save config.
+ * Perform login and save config.
+ *
+ * Values missing from the options are taken from CICH_HOMESERVER, CICH_USER and CICH_PASSWORD,
+ * and only prompted for when a terminal is attached. With `token`, an existing access token is
+ * imported instead of logging in with a password, and with `sso` the homeserver's SSO page is used.
  *
- * @returns {Promise<{ client: MatrixClient, credentials: Object }>}
+ * @param {Object} [options] - The command line options.
+ * @param {string} [options.homeserver] - The homeserver URL.
+ * @param {string} [options.user] - The username.
+ * @param {boolean} [options.passwordStdin] - Read the password from stdin.
+ * @param {string} [options.token] - An existing access token to import.
+ * @param {string} [options.deviceId] - The device ID the imported token belongs to.
+ * @param {boolean} [options.sso] - Log in through the browser with SSO.
+ * @param {string} [options.idp] - The SSO identity provider to use.
+ * @returns {Promise<{ credentials: Object }>}
+ * @throws {AuthError} - With an exit code from EXIT_CODES.
  */
-export async function interactiveLogin() {
-    const credentials = await promptCredentials();
-    const { credentials: savedCredentials } = await login(credentials);
+export async function interactiveLogin(options = {}) {
+    await unlockVault();
+
+    let result;
+    if (options.token) {
+        result = await importToken({
+            homeserver: options.homeserver || process.env.CICH_HOMESERVER,
+            accessToken: options.token,
+            deviceId: options.deviceId
+        });
+    } else if (options.sso) {
+        const homeserverUrl = await resolveHomeserverOption(options, "Homeserver (e.g., matrix.org or http://localhost:8008): ");
+        result = await runSsoLogin({ homeserverUrl, idp: options.idp });
+    } else {
+        result = await login(await promptCredentials(options));
+    }
+
+    const { credentials: savedCredentials } = result;
 
     await saveCredentialsToConfig(savedCredentials);
 
@@ -68,6 +122,6 @@ export async function interactiveLogin() {
 if (import.meta.url === `file://${process.argv[1]}`) {
     interactiveLogin().catch(err => {
         console.error("Fatal error:", err);
-        process.exit(1);
+        process.exit(err.exitCode || 1);
     });
 }
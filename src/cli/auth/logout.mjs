@@ -0,0 +1,81 @@
+import { MatrixCommands } from "../../matrix/commands.mjs";
+import { stopDaemon } from "../daemon/stop.mjs";
+import { configStore } from "../../config/store.mjs";
+import { credentialVault } from "../../config/vault.mjs";
+import { daemonClient } from "../../daemon/client.mjs";
+
+async function revokeToken(config, all) {
+    // A keystore can outlive its config, e.g. when the config file was deleted by hand
+    if (!config?.homeserverUrl) {
+        console.warn("⚠️ No homeserver saved for this profile, skipping revocation on the homeserver");
+        return;
+    }
+
+    const { homeserverUrl } = config;
+    let accessToken;
+    try {
+        accessToken = await credentialVault.getAccessToken({
+            fetchCachedKey: () => daemonClient.getCachedVaultKey()
+        });
+    } catch (error) {
+        console.warn("⚠️ Could not unlock the session, skipping revocation on the homeserver:", error.message);
+        return;
+    }
+
+    try {
+        await MatrixCommands.logout({ homeserverUrl, accessToken, all });
+        console.log(all ? "🔒 All sessions revoked on the homeserver" : "🔒 Session revoked on the homeserver");
+    } catch (error) {
+        // An unknown token is already dead, anything else must not block the local cleanup
+        if (error.errcode === "M_UNKNOWN_TOKEN") {
+            console.log("🔒 Session was already revoked on the homeserver");
+            return;
+        }
+        console.warn("⚠️ Could not revoke the session on the homeserver:", error.message);
+    }
+}
+
+async function removeLocalState() {
+    await configStore.clear();
+    console.log("🧹 Saved credentials and local stores removed");
+}
+
+/**
+ * Ends the current session.
+ *
+ * Revokes the access token on the homeserver, stops a running daemon and removes
+ * the saved credentials together with the sync and crypto stores.
+ *
+ * @async
+ * @param {Object} [options] - Logout options.
+ * @param {boolean} [options.all=false] - Whether to log out every device of the account.
+ * @returns {Promise<void>} - A promise that resolves when the session has been cleared.
+ * @throws {Error} - Throws an error if no session is saved, the local cleanup fails, or the daemon
+ * can't be stopped. The local state is removed in that last case too.
+ */
+async function logout(options = {}) {
+    const { all = false } = options;
+    const config = configStore.load();
+
+    if (!config?.accessToken && !credentialVault.isEnabled()) {
+        throw new Error("No active session found.");
+    }
+
+    await revokeToken(config, all);
+
+    // A daemon that can't be stopped must not keep the credentials on disk, it's reported after the cleanup
+    let daemonError = null;
+    try {
+        await stopDaemon();
+    } catch (error) {
+        daemonError = error;
+    }
+
+    await removeLocalState();
+
+    if (daemonError) {
+        throw new Error(`Local state removed, but the daemon is still running: ${daemonError.message}`);
+    }
+}
+
+export { logout };
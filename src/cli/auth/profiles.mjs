@@ -0,0 +1,28 @@
+import { ConfigStore, configStore } from "../../config/store.mjs";
+
+/**
+ * Lists every saved profile and marks the active one.
+ */
+function listProfiles() {
+    const active = configStore.profile;
+    const profiles = configStore.listProfiles();
+
+    console.log(`\n=== Profiles (${profiles.length}) ===\n`);
+
+    if (profiles.length === 0) {
+        console.log('No profiles yet. Run "cich auth login" to create one.');
+        return;
+    }
+
+    for (const profile of profiles) {
+        const store = new ConfigStore();
+        store.use(profile);
+        const { userId, homeserverUrl } = store.load();
+
+        console.log(`${profile === active ? '*' : ' '} ${profile}`);
+        console.log(`   User: ${userId || 'Unknown'}`);
+        console.log(`   Homeserver: ${homeserverUrl || 'Unknown'}`);
+    }
+}
+
+export { listProfiles };
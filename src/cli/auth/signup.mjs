@@ -1,62 +1,133 @@
 import { MatrixCommands } from "../../matrix/commands.mjs";
-import readline from "readline";
-import fs from "fs/promises";
-import path from "path";
+import { configStore } from "../../config/store.mjs";
+import { credentialVault } from "../../config/vault.mjs";
+import { parseMxid } from "../../matrix/discovery.mjs";
+import { askQuestion, resolveCredentials } from "./credentials.mjs";
+import { runInteractiveAuth } from "./uia.mjs";
+import { AuthError, EXIT_CODES, toAuthError } from "./errors.mjs";
 
-const CONFIG_PATH = path.resolve("src/state", "config.js");
-
-function askQuestion(query) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
+async function promptSignupDetails(options) {
+    const details = await resolveCredentials(options, {
+        homeserverUrl: "Homeserver (e.g., matrix.org or http://localhost:8008): ",
+        username: "Desired Username (or @user:server): ",
+        password: "Desired Password: ",
     });
-    return new Promise(resolve => rl.question(query, ans => {
-        rl.close();
-        resolve(ans.trim());
-    }));
+
+    // Registration takes the localpart, the server part only picks the homeserver
+    return { ...details, username: parseMxid(details.username)?.localpart || details.username };
 }
 
-async function promptSignupDetails() {
-    const homeserverUrl = await askQuestion("Homeserver URL (e.g., http://localhost:8008): ");
-    const username = await askQuestion("Desired Username: ");
-    const password = await askQuestion("Desired Password: ");
-    return { homeserverUrl, username, password };
+/**
+ * Builds the UIA stage handlers for registration.
+ *
+ * Values given as flags or environment variables are used first; anything else is prompted for,
+ * which needs a terminal.
+ *
+ * @param {Object} options - The command line options.
+ * @returns {Object<string, Function>} - Stage type to handler, see runInteractiveAuth.
+ */
+function registrationStages(options) {
+    const requireTerminal = (what, hint) => {
+        if (!process.stdin.isTTY) {
+            throw new AuthError(`The homeserver asks for ${what} (use ${hint})`, EXIT_CODES.USAGE);
+        }
+    };
+
+    return {
+        'm.login.dummy': async () => ({}),
+
+        'm.login.registration_token': async (params, { retry }) => {
+            let token = options.registrationToken || process.env.CICH_REGISTRATION_TOKEN;
+
+            if (!token || retry) {
+                requireTerminal("a registration token", "--registration-token or CICH_REGISTRATION_TOKEN");
+                token = await askQuestion("🎟️  Registration token: ");
+            }
+            return { token };
+        },
+
+        'm.login.terms': async (params) => {
+            const policies = Object.values(params.policies || {});
+
+            console.log("\n📜 The homeserver asks you to accept these terms:");
+            for (const policy of policies) {
+                // Each policy has one entry per language, prefer English
+                const text = policy.en || Object.values(policy).find(entry => entry?.url) || {};
+                console.log(`   • ${text.name || 'Policy'}${policy.version ? ` (version ${policy.version})` : ''}: ${text.url || 'no URL given'}`);
+            }
+
+            if (!options.acceptTerms) {
+                requireTerminal("terms acceptance", "--accept-terms after reading them");
+                const answer = await askQuestion("Do you accept these terms? [y/N]: ");
+                if (!/^y(es)?$/i.test(answer)) {
+                    throw new AuthError("Signup cancelled: terms not accepted", EXIT_CODES.REJECTED);
+                }
+            }
+            return {};
+        },
+    };
 }
 
-async function signup({ homeserverUrl, username, password }) {
+async function signup({ homeserverUrl, username, password }, options = {}) {
     try {
-        // Perform signup (register user)
-        const { accessToken, userId, deviceId } = await MatrixCommands.register({ homeserverUrl, username, password });
+        // Perform signup (register user), completing the homeserver's auth stages on the way
+        const { accessToken, userId, deviceId } = await runInteractiveAuth(
+            auth => MatrixCommands.register({ homeserverUrl, username, password, auth }),
+            registrationStages(options)
+        );
 
         console.log("\n✅ Signup successful!");
         console.log("User ID:", userId);
-        console.log("Access Token:", accessToken);
 
         return {
             credentials: { homeserverUrl, userId: userId, accessToken: accessToken, deviceId: deviceId, useDaemon: true }
         };
     } catch (error) {
-        console.error("\n❌ Signup failed:", error.message);
+        throw toAuthError(error, "Signup");
+    }
+}
 
-        process.exit(1);
+// The new token is sealed with the vault's key, asking for the passphrase after the signup
+// would leave the new account's session unsaved if it's wrong
+async function unlockVault() {
+    if (!credentialVault.isEnabled()) return;
+    try {
+        await credentialVault.getAccessToken();
+    } catch (error) {
+        throw new AuthError(`Failed to unlock the vault: ${error.message}`, EXIT_CODES.STORAGE);
     }
 }
 
 async function saveCredentialsToConfig(credentials) {
-    const content = `module.exports = ${JSON.stringify(credentials, null, 2)};\n`;
-    await fs.mkdir(path.dirname(CONFIG_PATH), { recursive: true });
-    await fs.writeFile(CONFIG_PATH, content, "utf8");
-    console.log(`\n✅ Credentials saved to ${CONFIG_PATH}`);
+    try {
+        await credentialVault.saveCredentials(credentials);
+    } catch (error) {
+        throw new AuthError(`Failed to save credentials: ${error.message}`, EXIT_CODES.STORAGE);
+    }
+    console.log(`\n✅ Credentials saved to ${configStore.path}`);
 }
 
 /**
- * Perform interactive signup and save config.
+ * Perform signup and save config.
  *
+ * Values missing from the options are taken from CICH_HOMESERVER, CICH_USER and CICH_PASSWORD,
+ * and only prompted for when a terminal is attached. Registration tokens and terms acceptance
+ * asked for by the homeserver can be given upfront for scripted signups.
+ *
+ * @param {Object} [options] - The command line options.
+ * @param {string} [options.homeserver] - The homeserver URL.
+ * @param {string} [options.user] - The desired username.
+ * @param {boolean} [options.passwordStdin] - Read the password from stdin.
+ * @param {string} [options.registrationToken] - The registration token, if the homeserver needs one.
+ * @param {boolean} [options.acceptTerms] - Accept the homeserver's terms without asking.
  * @returns {Promise<{ credentials: Object }>}
+ * @throws {AuthError} - With an exit code from EXIT_CODES.
  */
-export async function interactiveSignup() {
-    const signupDetails = await promptSignupDetails();
-    const { credentials: savedCredentials } = await signup(signupDetails);
+export async function interactiveSignup(options = {}) {
+    await unlockVault();
+
+    const signupDetails = await promptSignupDetails(options);
+    const { credentials: savedCredentials } = await signup(signupDetails, options);
 
     await saveCredentialsToConfig(savedCredentials);
 
@@ -69,6 +140,6 @@ export async function interactiveSignup() {
 if (import.meta.url === `file://${process.argv[1]}`) {
     interactiveSignup().catch(err => {
         console.error("Fatal error:", err);
-        process.exit(1);
+        process.exit(err.exitCode || 1);
     });
 }
@@ -0,0 +1,149 @@
+import http from 'http';
+import { randomBytes } from 'crypto';
+import { MatrixCommands } from "../../matrix/commands.mjs";
+import { AuthError, EXIT_CODES, toAuthError } from "./errors.mjs";
+
+const CALLBACK_HOST = '127.0.0.1';
+const CALLBACK_TIMEOUT = 5 * 60 * 1000;
+
+const SUCCESS_PAGE = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>cich</title></head>
+<body><p>Login complete. You can close this window and return to the terminal.</p></body></html>
+`;
+
+/**
+ * Starts a one-shot HTTP listener on localhost that receives the `loginToken` the homeserver
+ * appends to the SSO redirect URL.
+ *
+ * The callback path contains a random nonce, so other local processes can't guess it.
+ *
+ * @async
+ * @param {number} [timeout] - How long to wait for the browser, in milliseconds.
+ * @returns {Promise<{redirectUrl: string, loginToken: Promise<string>, close: Function}>}
+ */
+async function startCallbackListener(timeout = CALLBACK_TIMEOUT) {
+    const callbackPath = `/sso-callback/${randomBytes(16).toString('hex')}`;
+    let settle;
+
+    const loginToken = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+    });
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${CALLBACK_HOST}`);
+        const token = url.searchParams.get('loginToken');
+
+        if (url.pathname !== callbackPath || !token) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Connection': 'close' });
+        res.end(SUCCESS_PAGE);
+        settle.resolve(token);
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, CALLBACK_HOST, resolve);
+    });
+
+    const timer = setTimeout(() => {
+        settle.reject(new AuthError(`No SSO callback received within ${Math.round(timeout / 1000)} seconds`, EXIT_CODES.FAILURE));
+    }, timeout);
+
+    return {
+        redirectUrl: `http://${CALLBACK_HOST}:${server.address().port}${callbackPath}`,
+        loginToken,
+        close() {
+            clearTimeout(timer);
+            server.closeAllConnections?.();
+            server.close();
+        }
+    };
+}
+
+function printSsoUrl(ssoUrl) {
+    console.log("\n🌐 Open this URL in your browser to log in:\n");
+    console.log(`   ${ssoUrl}\n`);
+    console.log("⏳ Waiting for the browser to come back...");
+}
+
+/**
+ * Picks the SSO flow from the homeserver's login flows.
+ *
+ * @param {Object[]} flows - The flows returned by `GET /login`.
+ * @param {string} [idp] - The identity provider ID asked for with --idp.
+ * @returns {Object[]} - The identity providers the homeserver offers.
+ * @throws {AuthError} - If the homeserver has no SSO login or doesn't know the provider.
+ */
+function selectSsoFlow(flows, idp) {
+    const types = flows.map(flow => flow.type);
+    const ssoFlow = flows.find(flow => flow.type === 'm.login.sso' || flow.type === 'm.login.cas');
+
+    if (!ssoFlow || !types.includes('m.login.token')) {
+        throw new AuthError(`This homeserver does not support SSO login (supported: ${types.join(', ') || 'none'})`, EXIT_CODES.REJECTED);
+    }
+
+    const providers = ssoFlow.identity_providers || [];
+
+    if (idp && !providers.some(provider => provider.id === idp)) {
+        const known = providers.map(provider => provider.id).join(', ') || 'none';
+        throw new AuthError(`Unknown identity provider "${idp}" (available: ${known})`, EXIT_CODES.USAGE);
+    }
+
+    return providers;
+}
+
+/**
+ * Logs in through the homeserver's SSO page.
+ *
+ * Prints the SSO URL for the user to open in a browser, waits for the homeserver to redirect back
+ * to a localhost listener with a login token, and exchanges it with `m.login.token`.
+ *
+ * @async
+ * @param {Object} params
+ * @param {string} params.homeserverUrl - The verified homeserver base URL.
+ * @param {string} [params.idp] - The identity provider to skip the picker with.
+ * @param {Function} [params.openUrl] - Called with the SSO URL, prints it by default. Tests use it to play the browser.
+ * @returns {Promise<{ credentials: Object }>}
+ * @throws {AuthError} - With an exit code from EXIT_CODES.
+ */
+export async function runSsoLogin({ homeserverUrl, idp, openUrl = printSsoUrl }) {
+    let flows;
+    try {
+        flows = await MatrixCommands.getLoginFlows({ homeserverUrl });
+    } catch (error) {
+        throw toAuthError(error, "Fetching login flows");
+    }
+
+    const providers = selectSsoFlow(flows, idp);
+
+    if (!idp && providers.length > 1) {
+        console.log(`ℹ️  Identity providers: ${providers.map(provider => `${provider.name} (${provider.id})`).join(', ')}`);
+        console.log("   Use --idp <id> to go straight to one of them.");
+    }
+
+    const listener = await startCallbackListener();
+
+    try {
+        const redirectPath = idp
+            ? `/_matrix/client/v3/login/sso/redirect/${encodeURIComponent(idp)}`
+            : `/_matrix/client/v3/login/sso/redirect`;
+        const ssoUrl = `${homeserverUrl}${redirectPath}?redirectUrl=${encodeURIComponent(listener.redirectUrl)}`;
+
+        const [loginToken] = await Promise.all([listener.loginToken, openUrl(ssoUrl)]);
+
+        const { accessToken, userId, deviceId } = await MatrixCommands.tokenLogin({ homeserverUrl, loginToken })
+            .catch(error => { throw toAuthError(error, "SSO login"); });
+
+        console.log("\n✨ Login successful!");
+
+        return {
+            credentials: { homeserverUrl, userId, accessToken, deviceId, useDaemon: true }
+        };
+    } finally {
+        listener.close();
+    }
+}
@@ -0,0 +1,18 @@
+import { configStore } from "../../config/store.mjs";
+
+/**
+ * Makes a profile the one used when no --profile is given.
+ *
+ * @async
+ * @param {string} profile - The profile name.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the profile doesn't exist.
+ */
+async function switchProfile(profile) {
+    await configStore.switch(profile);
+
+    const { userId, homeserverUrl } = configStore.require();
+    console.log(`🔀 Switched to profile "${profile}" (${userId || 'unknown user'} on ${homeserverUrl || 'unknown homeserver'})`);
+}
+
+export { switchProfile };
@@ -0,0 +1,150 @@
+import askSecret from "../../utils/ask-secret.js";
+import { AuthError, EXIT_CODES } from "./errors.mjs";
+
+const MAX_ATTEMPTS = 3;
+
+const STAGE_NAMES = {
+    'm.login.dummy': 'no extra step',
+    'm.login.password': 'password',
+    'm.login.registration_token': 'registration token',
+    'm.login.terms': 'accept terms',
+    'm.login.recaptcha': 'captcha',
+    'm.login.email.identity': 'email verification',
+    'm.login.msisdn': 'phone verification',
+    'm.login.sso': 'single sign-on',
+};
+
+function describeStage(stage) {
+    return STAGE_NAMES[stage] ? `${STAGE_NAMES[stage]} (${stage})` : stage;
+}
+
+/**
+ * Extracts the User-Interactive Auth state from a failed request.
+ *
+ * The homeserver answers 401 with the flows, the session ID and the stages completed so far.
+ * Depending on whether it also sent an errcode, matrix-bot-sdk throws either a MatrixError or the
+ * raw response, both of which carry the parsed body.
+ *
+ * @param {Error|Object} error - The thrown error.
+ * @returns {Object|null} - The UIA body, or null if the error isn't a UIA challenge.
+ */
+function getUiaChallenge(error) {
+    const body = error?.body;
+    if (error?.statusCode !== 401 || !Array.isArray(body?.flows)) return null;
+
+    return {
+        session: body.session,
+        flows: body.flows,
+        params: body.params || {},
+        completed: body.completed || [],
+        error: body.errcode ? body.error || body.errcode : null,
+    };
+}
+
+/**
+ * Picks the first flow whose remaining stages can all be completed.
+ *
+ * @param {Object} challenge - The UIA state.
+ * @param {string[]} supported - The stage types there are handlers for.
+ * @returns {Object} - The chosen flow.
+ * @throws {AuthError} - If every flow needs a stage cich can't complete.
+ */
+function selectFlow(challenge, supported) {
+    const isDoable = flow => flow.stages.every(stage => challenge.completed.includes(stage) || supported.includes(stage));
+    const flow = challenge.flows.find(isDoable);
+
+    if (!flow) {
+        const unsupported = [...new Set(challenge.flows.flatMap(f => f.stages).filter(stage => !supported.includes(stage)))];
+        throw new AuthError(
+            `The homeserver requires steps cich can't complete in a terminal: ${unsupported.map(describeStage).join(', ')}. ` +
+            `Complete it in a web client such as Element instead.`,
+            EXIT_CODES.REJECTED
+        );
+    }
+
+    return flow;
+}
+
+/**
+ * Runs a request behind User-Interactive Auth, completing the stages the homeserver asks for.
+ *
+ * The request is sent without auth first. While the homeserver answers with a UIA challenge, the
+ * next stage of the first doable flow is completed through its handler and the request is retried
+ * with the session ID. A stage the homeserver rejects is asked for again, up to three times.
+ *
+ * @async
+ * @param {Function} request - Async function sending the request, called with the `auth` object (undefined at first).
+ * @param {Object<string, Function>} handlers - Stage type to async function `(params, { session, retry }) => authFields`,
+ *                                               where `retry` is true when the homeserver rejected the previous answer.
+ * @returns {Promise<*>} - Whatever the request returns once auth is complete.
+ * @throws {AuthError} - If a stage is unsupported, declined or keeps failing.
+ */
+async function runInteractiveAuth(request, handlers) {
+    let auth;
+    let shownFlows = false;
+    let lastStage = null;
+    let attempts = 0;
+
+    for (;;) {
+        let challenge;
+        try {
+            return await request(auth);
+        } catch (error) {
+            challenge = getUiaChallenge(error);
+            if (!challenge) throw error;
+        }
+
+        if (!shownFlows) {
+            console.log("\n🔐 The homeserver asks for additional steps:");
+            challenge.flows.forEach((flow, i) => {
+                console.log(`   ${i + 1}. ${flow.stages.map(describeStage).join(' → ') || 'none'}`);
+            });
+            shownFlows = true;
+        }
+
+        const flow = selectFlow(challenge, Object.keys(handlers));
+        const stage = flow.stages.find(s => !challenge.completed.includes(s));
+
+        if (!stage) {
+            throw new AuthError(`Authentication failed: ${challenge.error || 'the homeserver did not accept the completed steps'}`, EXIT_CODES.REJECTED);
+        }
+
+        if (stage === lastStage) {
+            attempts++;
+            if (challenge.error) console.log(`⚠️  ${challenge.error}`);
+            if (attempts >= MAX_ATTEMPTS) {
+                throw new AuthError(`Authentication failed at ${describeStage(stage)}: ${challenge.error || 'rejected'}`, EXIT_CODES.REJECTED);
+            }
+        } else {
+            lastStage = stage;
+            attempts = 0;
+        }
+
+        const fields = await handlers[stage](challenge.params[stage] || {}, { session: challenge.session, retry: attempts > 0 });
+        auth = { ...fields, type: stage, session: challenge.session };
+    }
+}
+
+/**
+ * Builds the `m.login.password` stage handler used when the homeserver asks for the account
+ * password again. It is taken from CICH_PASSWORD first and prompted for otherwise.
+ *
+ * @param {string} userId - The account the password belongs to.
+ * @returns {Object<string, Function>} - The stage handler, see runInteractiveAuth.
+ */
+function passwordStage(userId) {
+    return {
+        'm.login.password': async (params, { retry }) => {
+            const password = !retry && process.env.CICH_PASSWORD
+                ? process.env.CICH_PASSWORD
+                : await askSecret(`🔑 Password for ${userId}: `);
+
+            return {
+                identifier: { type: 'm.id.user', user: userId },
+                password
+            };
+        }
+    };
+}
+
+export { getUiaChallenge, runInteractiveAuth, passwordStage };
@@ -0,0 +1,87 @@
+import { configStore } from "../../config/store.mjs";
+import { credentialVault } from "../../config/vault.mjs";
+import { RoomKeyStore } from "../../matrix/room-keys.mjs";
+import askSecret from "../../utils/ask-secret.js";
+
+async function askNewPassphrase() {
+    if (process.env.CICH_PASSPHRASE) {
+        return process.env.CICH_PASSPHRASE;
+    }
+
+    const passphrase = await askSecret("New vault passphrase: ");
+    const confirmation = await askSecret("Repeat passphrase: ");
+
+    if (passphrase !== confirmation) {
+        throw new Error("Passphrases do not match.");
+    }
+
+    return passphrase;
+}
+
+/**
+ * Moves the access token of the active profile from the config into the vault,
+ * and encrypts the imported room keys with it.
+ *
+ * @async
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if there is no plaintext token to protect.
+ */
+async function enableVault() {
+    const { accessToken, ...rest } = configStore.require();
+
+    if (credentialVault.isEnabled()) {
+        throw new Error(`The vault is already enabled for profile "${configStore.profile}".`);
+    }
+    if (!accessToken) {
+        throw new Error("No access token saved. Please run the login command first.");
+    }
+
+    const passphrase = await askNewPassphrase();
+
+    await new RoomKeyStore().rewrite(async () => {
+        await credentialVault.seal(accessToken, passphrase);
+        await configStore.save(rest);
+    });
+
+    console.log(`🔐 Access token encrypted in ${credentialVault.path}, imported room keys with the same key`);
+    console.log("   Restart a running daemon so it picks up the vault.");
+}
+
+/**
+ * Decrypts the access token of the active profile back into the config,
+ * and the imported room keys in their file.
+ *
+ * @async
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the vault is not enabled or can't be unlocked.
+ */
+async function disableVault() {
+    const config = configStore.require();
+
+    if (!credentialVault.isEnabled()) {
+        throw new Error(`The vault is not enabled for profile "${configStore.profile}".`);
+    }
+
+    const accessToken = await credentialVault.getAccessToken();
+
+    await new RoomKeyStore().rewrite(async () => {
+        await configStore.save({ ...config, accessToken });
+        await credentialVault.remove();
+    });
+
+    console.log("🔓 Access token and room keys stored in plaintext again");
+    console.log("   Restart a running daemon so it stops using the vault.");
+}
+
+/**
+ * Prints whether the active profile keeps its token in the vault.
+ */
+function vaultStatus() {
+    configStore.require();
+
+    console.log(`Profile: ${configStore.profile}`);
+    console.log(`Vault: ${credentialVault.isEnabled() ? `🔐 Enabled (${credentialVault.path})` : '🔓 Disabled'}`);
+    console.log(`Daemon key cache: ${configStore.get('vaultKeyCache') ? 'On' : 'Off'}`);
+}
+
+export { enableVault, disableVault, vaultStatus };
@@ -1,5 +1,6 @@
 import { clientProxy } from "../../matrix/client.mjs";
 import SimpleTimeParse from "../../utils/simple-time-parse.js";
+import { progressLine } from "../../utils/progress-line.js";
 /**
  * Retrieves messages from a Matrix room within a specified time range.
  *
@@ -10,12 +11,18 @@ import SimpleTimeParse from "../../utils/simple-time-parse.js";
  * @param {Object} [options] - Additional options.
  * @param {number} [options.limit=100] - Maximum number of messages to return.
  * @param {string} [options.direction='b'] - Direction to paginate ('b' for backward, 'f' for forward).
- * @param {boolean} [logDetails=false] - Whether to log detailed information about the messages.
+ * @param {AbortSignal} [options.signal] - Cancels the fetch when aborted.
+ * @param {Function} [options.onProgress] - Called with `{pages, messages}` fetched so far, and `offline: true` when served from the local store.
+ * @param {number} [options.timeout] - How long to wait for the daemon without progress, in milliseconds.
+ * @param {boolean} [logDetails=false] - Whether to log detailed information about the messages, and show the progress.
  * @returns {Promise<Array>} - A promise that resolves to the array of message objects.
  * @throws Will throw an error if the operation fails.
  */
 async function getMessagesInTimeRange(room, startDate, endDate, options = {}, logDetails = false) {
     const client = clientProxy;
+    const { signal, onProgress, timeout, ...paging } = options;
+    const progress = progressLine();
+    let offline = false;
 
     try {
         if (logDetails) {
@@ -29,9 +36,23 @@ async function getMessagesInTimeRange(room, startDate, endDate, options = {}, lo
             roomId: room.roomId,
             startDate: startTime.getTime(),
             endDate: endTime.getTime(),
-            options
+            options: paging,
+            signal,
+            timeout,
+            onProgress: (update) => {
+                offline = offline || !!update.offline;
+                if (logDetails && !update.offline) {
+                    progress.update(`⏳ Fetched ${update.pages} page(s), ${update.messages} message(s) so far... (Ctrl-C to cancel)`);
+                }
+                onProgress?.(update);
+            }
         });
 
+        progress.clear();
+
+        if (logDetails && offline) {
+            console.log('📴 The homeserver can\'t be reached, these come from the local message store and may miss recent messages.');
+        }
         if (logDetails) {
             console.log(`✅ Found ${response.length} messages`);
             response.forEach((message) => {
@@ -42,7 +63,8 @@ async function getMessagesInTimeRange(room, startDate, endDate, options = {}, lo
         return response;
 
     } catch (error) {
-        if (logDetails) {
+        progress.clear();
+        if (logDetails && !signal?.aborted) {
             console.error('Failed to fetch messages:', error.message);
         }
         throw error;
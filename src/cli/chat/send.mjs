@@ -1,4 +1,5 @@
 import { clientProxy } from "../../matrix/client.mjs";
+import { configStore } from "../../config/store.mjs";
 
 async function sendMessage(room, message, logDetails = false) {
 
@@ -19,7 +20,8 @@ async function sendMessage(room, message, logDetails = false) {
         // Send the message
         const eventId = await client.sendMessage({
             room: { roomId: room.roomId }, // Ensure roomId is passed correctly, only need roomId here
-            message
+            message,
+            refusePlaintext: configStore.get('refusePlaintext')
         });
 
         if (logDetails) {
@@ -1,5 +1,6 @@
 import { clientProxy } from "../../matrix/client.mjs";
 import string2color from "../../utils/string2color.js";
+import { watchEvents, describeEvent } from "../room/events.mjs";
 
 async function streamChatMessages(room, messageList, screen, shouldStream = true) {
 
@@ -26,4 +27,43 @@ async function streamChatMessages(room, messageList, screen, shouldStream = true
     return result;
 }
 
-export { streamChatMessages };
+/**
+ * Shows membership changes, topic/name changes, redactions and encryption of a room as system
+ * lines, and who is typing in the input bar's label.
+ *
+ * @async
+ * @param {Object} room - The room, its `encrypted` flag is updated when encryption gets enabled.
+ * @param {Object} ui
+ * @param {Object} ui.messageList - The chat box.
+ * @param {Object} ui.inputBar - The input box.
+ * @param {Object} ui.screen - The blessed screen.
+ * @param {Function} ui.renderHeader - Redraws the room header.
+ * @param {Function} shouldStream - Returns false while streaming is paused.
+ * @returns {Promise<{subscriptionId: string}>} - The subscription.
+ */
+async function streamRoomEvents(room, { messageList, inputBar, screen, renderHeader }, shouldStream = () => true) {
+    const types = ['m.room.member', 'm.room.name', 'm.room.topic', 'm.room.encryption', 'm.room.redaction', 'm.typing'];
+
+    return watchEvents({ roomIds: [room.roomId], types }, ({ event }) => {
+        const summary = describeEvent(event);
+
+        if (event.type === 'm.typing') {
+            inputBar.setLabel(summary ? ` ${summary} ` : '');
+            screen.render();
+            return;
+        }
+        if (event.type === 'm.room.encryption') {
+            room.encrypted = true;
+            renderHeader();
+        }
+        if (!summary || !shouldStream()) {
+            return;
+        }
+
+        messageList.pushLine(`{cyan-fg}SYSTEM ~ ${summary}{/cyan-fg}`);
+        messageList.setScrollPerc(100);
+        screen.render();
+    });
+}
+
+export { streamChatMessages, streamRoomEvents };
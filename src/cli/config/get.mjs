@@ -0,0 +1,18 @@
+import { configStore, CONFIG_SCHEMA } from "../../config/store.mjs";
+
+/**
+ * Prints a single configuration value.
+ *
+ * @param {string} key - The configuration key to read.
+ * @throws {Error} - Throws an error if the key is unknown.
+ */
+function getConfig(key) {
+    if (!CONFIG_SCHEMA[key]) {
+        throw new Error(`Unknown config key "${key}". Known keys: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+    }
+
+    const value = configStore.get(key);
+    console.log(value === undefined ? '' : String(value));
+}
+
+export { getConfig };
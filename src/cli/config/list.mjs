@@ -0,0 +1,27 @@
+import { configStore, CONFIG_SCHEMA } from "../../config/store.mjs";
+
+/**
+ * Prints every known configuration key with its current value.
+ * Secret values are masked.
+ */
+function listConfig() {
+    const config = configStore.load() || {};
+
+    console.log(`\n=== Config (${configStore.path}) ===\n`);
+
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        const isSet = config[key] !== undefined;
+        let value = configStore.get(key);
+
+        if (value === undefined) {
+            value = '(not set)';
+        } else if (rule.secret) {
+            value = '********';
+        }
+
+        console.log(`${key} = ${value}${!isSet && rule.default !== undefined ? ' (default)' : ''}`);
+        console.log(`   ${rule.description}`);
+    }
+}
+
+export { listConfig };
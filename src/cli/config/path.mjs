@@ -0,0 +1,10 @@
+import { configStore } from "../../config/store.mjs";
+
+/**
+ * Prints the path of the configuration file.
+ */
+function printConfigPath() {
+    console.log(configStore.path);
+}
+
+export { printConfigPath };
@@ -0,0 +1,17 @@
+import { configStore } from "../../config/store.mjs";
+
+/**
+ * Validates and stores a single configuration value.
+ *
+ * @async
+ * @param {string} key - The configuration key to write.
+ * @param {string} value - The raw value as typed on the command line.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the key is unknown or the value is invalid.
+ */
+async function setConfig(key, value) {
+    const stored = await configStore.set(key, value);
+    console.log(`✅ ${key} set to ${stored}`);
+}
+
+export { setConfig };
@@ -0,0 +1,31 @@
+import { clientProxy } from "../../matrix/client.mjs";
+import { configStore } from "../../config/store.mjs";
+import { passwordStage, runInteractiveAuth } from "../auth/uia.mjs";
+
+/**
+ * Sets up cross-signing for the account: creates the master, self-signing and user-signing keys,
+ * uploads them and signs this device.
+ *
+ * The homeserver asks for the account password before accepting the keys. It is taken from
+ * CICH_PASSWORD or prompted for.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Replace cross-signing keys the account already has.
+ * @returns {Promise<{masterKey: string}>} - The new master key.
+ * @throws Will throw an error if the bootstrap fails.
+ */
+async function bootstrapCrossSigning({ force = false } = {}) {
+    const client = clientProxy;
+
+    try {
+        return await runInteractiveAuth(
+            auth => client.bootstrapCrossSigning({ auth, force }),
+            passwordStage(configStore.get('userId'))
+        );
+    } catch (error) {
+        throw new Error(`Cross-signing bootstrap failed: ${error.message}`);
+    }
+}
+
+export { bootstrapCrossSigning };
@@ -0,0 +1,31 @@
+import { clientProxy } from "../../matrix/client.mjs";
+
+/**
+ * Shows whether cross-signing is set up for the account and this device.
+ *
+ * @async
+ * @returns {Promise<Object>} - The cross-signing status.
+ * @throws Will throw an error if the status can't be fetched.
+ */
+async function showCryptoStatus() {
+    const client = clientProxy;
+
+    try {
+        const status = await client.getCrossSigningStatus();
+
+        console.log(`\n=== Cross-Signing ===\n`);
+        console.log(`   Published:     ${status.published ? `yes (master key ${status.masterKey})` : 'no'}`);
+        console.log(`   Private keys:  ${status.hasPrivateKeys ? 'held by this profile' : 'not on this device'}`);
+        console.log(`   This device:   ${status.deviceSigned ? 'signed' : 'not signed'}`);
+
+        if (!status.published) {
+            console.log(`\nRun "cich crypto bootstrap" to set up cross-signing.`);
+        }
+
+        return status;
+    } catch (error) {
+        throw new Error(`Fetching the crypto status failed: ${error.message}`);
+    }
+}
+
+export { showCryptoStatus };
@@ -0,0 +1,26 @@
+import { configStore } from "../../config/store.mjs";
+import { generateBridgeToken } from "../../daemon/bridge.mjs";
+
+/**
+ * Generates a new token for the daemon's network bridge and saves it in the active profile.
+ * Machines that attach to the daemon need it as their `remoteDaemonToken`.
+ *
+ * @async
+ * @returns {Promise<void>}
+ * @throws Will throw an error if the profile has no configuration or it can't be saved.
+ */
+async function createBridgeToken() {
+    configStore.require();
+
+    const token = generateBridgeToken();
+    await configStore.set('bridgeToken', token);
+
+    console.log('✅ New network bridge token saved. On the machines that attach, run:');
+    console.log(`   cich config set remoteDaemonToken ${token}`);
+    if (!configStore.get('bridgeListen')) {
+        console.log('   The bridge stays off until you set an address, e.g.: cich config set bridgeListen tls://0.0.0.0:7443');
+    }
+    console.log('   Restart the daemon to use it: cich daemon stop, then any command starts it again.');
+}
+
+export { createBridgeToken };
@@ -1,10 +1,8 @@
-import config from "../../state/config.js";
+import { configStore } from "../../config/store.mjs";
 
 function getDaemonConfig() {
-    if (!config) {
-        throw new Error("❌ No configuration found. Please run the login command first.");
-    }
-    console.log('✨ Current Daemon Config: ', config.useDaemon ? "👍 In Use" : "😪 Not Being Used");
+    configStore.require();
+    console.log('✨ Current Daemon Config: ', configStore.get("useDaemon") ? "👍 In Use" : "😪 Not Being Used");
 }
 
 export { getDaemonConfig }
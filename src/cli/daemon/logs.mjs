@@ -0,0 +1,89 @@
+import fs from 'fs';
+import { configStore } from "../../config/store.mjs";
+import { LOG_LEVELS } from "../../daemon/logger.mjs";
+
+const LEVEL_COLORS = { error: 31, warn: 33, info: 32, debug: 36, trace: 90 };
+
+/**
+ * Formats a log line for the terminal. Lines that aren't JSON are shown as they are.
+ *
+ * @param {string} line - A line of the log file.
+ * @param {string} level - Least severe level to show.
+ * @param {boolean} json - Keep the line as JSON.
+ * @returns {string|null} - The formatted line, or null if it is filtered out.
+ */
+function formatEntry(line, level, json) {
+    let entry;
+    try {
+        entry = JSON.parse(line);
+    } catch {
+        return line;
+    }
+
+    if (LOG_LEVELS.indexOf(entry.level) > LOG_LEVELS.indexOf(level)) return null;
+    if (json) return line;
+
+    const color = process.stdout.isTTY ? LEVEL_COLORS[entry.level] : null;
+    const tag = entry.level.toUpperCase().padEnd(5);
+    const stack = entry.stack ? `\n${entry.stack}` : '';
+    return `${entry.time} ${color ? `\x1b[${color}m${tag}\x1b[0m` : tag} [${entry.module}] ${entry.message}${stack}`;
+}
+
+/**
+ * Prints the daemon log of the active profile.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {number} [options.lines=50] - How many of the last entries to print.
+ * @param {string} [options.level='trace'] - Least severe level to show: error, warn, info, debug or trace.
+ * @param {boolean} [options.follow=false] - Keep printing new entries until Ctrl-C.
+ * @param {boolean} [options.json=false] - Print the raw JSON lines.
+ * @returns {Promise<void>} - Resolves once printed, never when following.
+ * @throws Will throw an error if the level is unknown.
+ */
+async function showDaemonLogs({ lines = 50, level = 'trace', follow = false, json = false } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown level "${level}", use one of ${LOG_LEVELS.join(', ')}`);
+    }
+
+    const file = configStore.daemonLogPath;
+    const print = (line) => {
+        const formatted = line && formatEntry(line, level, json);
+        if (formatted) console.log(formatted);
+    };
+
+    // The last entries may be spread over the rotated file and the current one
+    const read = (path) => fs.existsSync(path) ? fs.readFileSync(path, 'utf8').split('\n').filter(Boolean) : [];
+    const entries = [...read(`${file}.1`), ...read(file)]
+        .filter(line => formatEntry(line, level, true));
+    (lines > 0 ? entries.slice(-lines) : []).forEach(print);
+
+    if (!entries.length && !follow) {
+        console.error(`No daemon log entries in ${file}`);
+    }
+    if (!follow) return;
+
+    let position = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    let partial = '';
+
+    fs.watchFile(file, { interval: 500 }, (current) => {
+        // Rotated: the new file starts from scratch
+        if (current.size < position) position = 0;
+        if (current.size === position) return;
+
+        const fd = fs.openSync(file, 'r');
+        const buffer = Buffer.alloc(current.size - position);
+        fs.readSync(fd, buffer, 0, buffer.length, position);
+        fs.closeSync(fd);
+        position = current.size;
+
+        const chunk = partial + buffer.toString('utf8');
+        const complete = chunk.split('\n');
+        partial = complete.pop();
+        complete.forEach(print);
+    });
+
+    return new Promise(() => { });
+}
+
+export { showDaemonLogs };
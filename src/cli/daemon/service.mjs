@@ -0,0 +1,61 @@
+import { daemonClient } from "../../daemon/client.mjs";
+import { configStore } from "../../config/store.mjs";
+import { credentialVault } from "../../config/vault.mjs";
+import { installService, uninstallService, unitName } from "../../daemon/service-manager.mjs";
+
+/**
+ * Installs the daemon of the active profile as a service that starts at login and is
+ * restarted when it crashes.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.initScript=false] - Write an init script even if systemd is available.
+ * @returns {Promise<void>}
+ * @throws Will throw an error if the token is in the vault or the service can't be installed.
+ */
+async function installDaemonService({ initScript = false } = {}) {
+    configStore.require();
+
+    // A service has nobody to ask for the vault passphrase
+    if (credentialVault.isEnabled()) {
+        throw new Error('The access token is in the vault, which a service can\'t unlock. Run "cich auth vault disable" first.');
+    }
+
+    // The service's daemon would find the socket taken and exit
+    if (await daemonClient.isDaemonRunning()) {
+        console.log('Stopping the running daemon so the service can take over...');
+        await daemonClient.connect();
+        await daemonClient.stopDaemon();
+    }
+
+    const { kind, path } = installService({ initScript });
+
+    if (kind === 'systemd') {
+        console.log(`✅ Installed and started ${unitName()} (${path})`);
+        console.log(`   Manage it with: systemctl --user status|restart|stop ${unitName()}`);
+        console.log('   To keep it running while you are logged out: loginctl enable-linger');
+    } else {
+        console.log(`✅ Installed and started the init script ${path}`);
+        console.log(`   Manage it with: ${path} start|stop|restart|status`);
+        console.log(`   To start it at boot, hook it into your init system or add to your crontab: @reboot ${path} start`);
+    }
+}
+
+/**
+ * Stops the service of the active profile's daemon and removes it.
+ *
+ * @async
+ * @returns {Promise<void>}
+ * @throws Will throw an error if the service can't be removed.
+ */
+async function uninstallDaemonService() {
+    const removed = uninstallService();
+
+    if (!removed) {
+        console.log(`💤 No daemon service is installed for profile "${configStore.profile}".`);
+        return;
+    }
+    console.log(`✅ Stopped and removed the ${removed.kind === 'systemd' ? 'systemd unit' : 'init script'} ${removed.path}`);
+}
+
+export { installDaemonService, uninstallDaemonService };
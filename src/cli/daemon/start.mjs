@@ -10,7 +10,7 @@ async function startDaemon() {
         }
 
         const daemon = new MatrixDaemon();
-        daemon.start()
+        await daemon.start();
 
 
     } catch (error) {
@@ -1,9 +1,27 @@
 import { daemonClient } from "../../daemon/client.mjs";
+import { configStore } from "../../config/store.mjs";
+import { readPidFile } from "../../daemon/pid-file.mjs";
+import { installedService } from "../../daemon/service-manager.mjs";
 
 async function checkState() {
     try {
+        const pid = readPidFile(configStore.daemonPidPath);
         const state = await daemonClient.isDaemonRunning();
-        console.log('Daemon state:', state ? '🔥 Running' : '💤 Not Running');
+        const service = installedService();
+
+        if (daemonClient.remote) {
+            console.log('Daemon state:', state ? `🔥 Running remotely at ${daemonClient.remote.address}` : `💤 Not reachable at ${daemonClient.remote.address}`);
+        } else if (state) {
+            console.log('Daemon state:', `🔥 Running${pid ? ` (PID ${pid})` : ''}`);
+        } else if (pid) {
+            console.log('Daemon state:', `⚠️  Process ${pid} is alive but its socket doesn't answer`);
+        } else {
+            console.log('Daemon state:', '💤 Not Running');
+        }
+
+        if (service) {
+            console.log('Managed by:', service === 'systemd' ? 'systemd user unit' : 'init script');
+        }
     } catch (error) {
         throw new Error(error.message);
     }
@@ -0,0 +1,65 @@
+import { daemonClient } from "../../daemon/client.mjs";
+
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function formatBytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function describeConnection(connection) {
+    if (connection.online) return '🟢 Online';
+    if (connection.authFailed) return `⛔ Signed out (${connection.lastError}), log in again: cich auth logout && cich auth login`;
+    if (!connection.lastError) return '🟡 Connecting...';
+
+    const retry = connection.retryAt ? `, retrying in ${formatDuration(Math.max(0, connection.retryAt - Date.now()))}` : '';
+    return `🔴 Offline for ${formatDuration(Date.now() - connection.lostAt)} (${connection.failures} failed attempts${retry}): ${connection.lastError}`;
+}
+
+/**
+ * Prints the health metrics of the running daemon.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.json=false] - Print the raw metrics as JSON instead.
+ * @returns {Promise<boolean>} - Whether a daemon is running.
+ * @throws Will throw an error if the daemon can't be asked.
+ */
+async function showDaemonStatus({ json = false } = {}) {
+    const status = await daemonClient.getStatus();
+
+    if (json) {
+        console.log(JSON.stringify(status ? { running: true, ...status } : { running: false }, null, 2));
+        return !!status;
+    }
+    if (!status) {
+        console.log('Daemon state: 💤 Not Running');
+        return false;
+    }
+
+    const { memory } = status;
+    console.log('Daemon state: 🔥 Running\n');
+    console.log(`   PID:           ${status.pid}`);
+    console.log(`   Version:       cich ${status.version} (protocol ${status.protocol})`);
+    console.log(`   Uptime:        ${formatDuration(status.uptime)}`);
+    console.log(`   Account:       ${status.userId} (${status.deviceId || 'no device'}, profile ${status.profile})`);
+    console.log(`   Homeserver:    ${status.homeserver}`);
+    console.log(`   Connection:    ${describeConnection(status.connection)}`);
+    console.log(`   Last sync:     ${status.lastSyncAt ? `${new Date(status.lastSyncAt).toLocaleString()} (${formatDuration(status.syncLag)} ago)` : 'not yet'}`);
+    console.log(`   Joined rooms:  ${status.joinedRooms}`);
+    console.log(`   IPC clients:   ${status.clients}${status.bridge ? ` (${status.bridge.clients} over the bridge on ${status.bridge.listen})` : ''}`);
+    console.log(`   Subscriptions: ${status.subscriptions}`);
+    console.log(`   Pending:       ${status.pendingRequests.length}${status.pendingRequests.length ? ` (${status.pendingRequests.map(({ action, runningFor }) => `${action} ${formatDuration(runningFor)}`).join(', ')})` : ''}`);
+    console.log(`   Memory:        ${formatBytes(memory.rss)} RSS, ${formatBytes(memory.heapUsed)} / ${formatBytes(memory.heapTotal)} heap`);
+
+    return true;
+}
+
+export { showDaemonStatus };
@@ -1,16 +1,38 @@
 import { daemonClient } from "../../daemon/client.mjs";
+import { configStore } from "../../config/store.mjs";
+import { readPidFile, terminate } from "../../daemon/pid-file.mjs";
+
+async function stopByPid(pid) {
+    console.log(`Sending SIGTERM to daemon process ${pid}...`);
+    if (!(await terminate(pid))) {
+        throw new Error(`Process ${pid} did not exit`);
+    }
+    console.log('✅ Daemon stopped successfully!');
+}
 
 async function stopDaemon() {
     try {
+        const pid = readPidFile(configStore.daemonPidPath);
         const isRunning = await daemonClient.isDaemonRunning();
         if (!isRunning) {
+            // Alive but deaf, e.g. its socket was deleted
+            if (pid) return await stopByPid(pid);
+
             console.log('💤 Daemon is not running. No need to stop.');
             return;
         }
-        await daemonClient.connect();
-        console.log('Connected to daemon client. Stopping daemon...');
-        await daemonClient.stopDaemon();
-        console.log('✅ Daemon stopped successfully!');
+
+        try {
+            await daemonClient.connect();
+            console.log('Connected to daemon client. Stopping daemon...');
+            await daemonClient.stopDaemon();
+            console.log('✅ Daemon stopped successfully!');
+        } catch (error) {
+            // A daemon that can't be asked, e.g. from an incompatible version, can still be signalled
+            if (!pid) throw error;
+            console.warn(`⚠️  ${error.message}`);
+            await stopByPid(pid);
+        }
     } catch (error) {
         throw new Error('Failed to stop daemon: ' + error.message);
     }
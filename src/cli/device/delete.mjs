@@ -0,0 +1,42 @@
+import { clientProxy } from "../../matrix/client.mjs";
+import { configStore } from "../../config/store.mjs";
+import { passwordStage, runInteractiveAuth } from "../auth/uia.mjs";
+
+/**
+ * Deletes devices, logging them out.
+ *
+ * The homeserver asks for the account password again before deleting devices. It is taken from
+ * CICH_PASSWORD or prompted for, and asked for again if the homeserver rejects it.
+ *
+ * @async
+ * @param {Object} params - The parameters for deleting the devices.
+ * @param {string[]} params.deviceIds - The devices to delete.
+ * @returns {Promise<void>} - A promise that resolves when the devices have been deleted.
+ * @throws Will throw an error if the operation fails.
+ */
+async function deleteDevices({ deviceIds }) {
+    const client = clientProxy;
+
+    try {
+        const devices = await client.listDevices();
+
+        const current = devices.find(device => device.current);
+        if (current && deviceIds.includes(current.deviceId)) {
+            throw new Error(`${current.deviceId} is this device, use "cich auth logout" to log it out`);
+        }
+
+        const unknown = deviceIds.filter(id => !devices.some(device => device.deviceId === id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown device${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+        }
+
+        await runInteractiveAuth(
+            auth => client.deleteDevices({ deviceIds, auth }),
+            passwordStage(configStore.get('userId'))
+        );
+    } catch (error) {
+        throw new Error(`Delete failed: ${error.message}`);
+    }
+}
+
+export { deleteDevices };
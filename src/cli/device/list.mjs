@@ -0,0 +1,33 @@
+import { clientProxy } from "../../matrix/client.mjs";
+
+/**
+ * Lists the devices logged in to the account.
+ *
+ * @async
+ * @returns {Promise<Array>} - A promise that resolves to the list of devices.
+ * @throws {Error} - Throws an error if the listing fails.
+ */
+async function listDevices() {
+    const client = clientProxy;
+
+    try {
+        const devices = await client.listDevices();
+
+        console.log(`\n=== Your Devices (${devices.length}) ===\n`);
+
+        devices.forEach((device, index) => {
+            const { deviceId, displayName, lastSeenIp, lastSeenTs, current } = device;
+
+            console.log(`${index + 1}. ${displayName || 'Unnamed device'}${current ? '  ← this device' : ''}`);
+            console.log(`   Device ID: ${deviceId}`);
+            console.log(`   Last Seen: ${lastSeenTs ? new Date(lastSeenTs).toLocaleString() : 'Unknown'}${lastSeenIp ? ` from ${lastSeenIp}` : ''}`);
+            console.log('─────────────────────────────────────────');
+        });
+
+        return devices;
+    } catch (error) {
+        throw new Error(`Listing devices failed: ${error.message}`);
+    }
+}
+
+export { listDevices };
@@ -0,0 +1,26 @@
+import { clientProxy } from "../../matrix/client.mjs";
+
+/**
+ * Sets the display name of a device.
+ *
+ * @async
+ * @param {Object} params - The parameters for renaming the device.
+ * @param {string} params.deviceId - The device to rename.
+ * @param {string} params.displayName - The new display name.
+ * @returns {Promise<void>} - A promise that resolves when the device has been renamed.
+ * @throws Will throw an error if the operation fails.
+ */
+async function renameDevice({ deviceId, displayName }) {
+    const client = clientProxy;
+
+    try {
+        await client.renameDevice({ deviceId, displayName });
+    } catch (error) {
+        if (error.errcode === 'M_NOT_FOUND') {
+            throw new Error(`Device ${deviceId} not found - check the ID with "cich device list"`);
+        }
+        throw new Error(`Rename failed: ${error.message}`);
+    }
+}
+
+export { renameDevice };
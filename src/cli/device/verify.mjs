@@ -0,0 +1,108 @@
+import { clientProxy } from "../../matrix/client.mjs";
+
+/**
+ * Formats the short authentication string of a verification for display.
+ *
+ * @param {Object} update - A `sas` state update.
+ * @returns {string[]} - The lines to show: emoji, their names and the numbers.
+ */
+function describeSas(update) {
+    const lines = [];
+
+    if (update.emoji) {
+        lines.push(update.emoji.map(({ emoji }) => emoji.padEnd(3)).join('   '));
+        lines.push(update.emoji.map(({ name }) => name).join(' · '));
+    }
+    if (update.decimal) {
+        lines.push(update.decimal.join('  '));
+    }
+
+    return lines;
+}
+
+/**
+ * Follows a verification stream, asking the user to compare the emoji/numbers.
+ *
+ * @async
+ * @param {Function} begin - Starts the stream with the given callback.
+ * @param {Object} handlers - See verifyDevice.
+ * @returns {Promise<Object>} - The final `done` update.
+ */
+async function runVerification(begin, { onUpdate = () => { }, confirm, signal }) {
+    const client = clientProxy;
+
+    return new Promise((resolve, reject) => {
+        let transactionId = null;
+
+        const callback = async (update) => {
+            transactionId = update.transactionId ?? transactionId;
+            onUpdate(update);
+
+            if (update.state === 'sas') {
+                try {
+                    const match = await confirm(update);
+                    await client.confirmVerification({ transactionId: update.transactionId, match });
+                } catch (error) {
+                    await client.cancelVerification({ transactionId: update.transactionId }).catch(() => { });
+                    reject(error);
+                }
+            } else if (update.state === 'done') {
+                resolve(update);
+            } else if (update.state === 'cancelled') {
+                const by = update.remote ? ' by the other device' : '';
+                reject(new Error(`Verification cancelled${by}: ${update.reason}`));
+            }
+        };
+
+        const started = begin(callback);
+        started.catch(error => {
+            reject(new Error(`Verification failed: ${error.message}`));
+        });
+
+        // Before a verification is running there is only the stream to stop, e.g. while waiting for a request
+        signal?.addEventListener('abort', async () => {
+            if (transactionId) {
+                await client.cancelVerification({ transactionId }).catch(() => { });
+            } else {
+                const { subscriptionId } = await started.catch(() => ({}));
+                if (subscriptionId) await client.unsubscribe({ subscriptionId }).catch(() => { });
+            }
+            reject(new Error('Verification cancelled'));
+        }, { once: true });
+    });
+}
+
+/**
+ * Runs an emoji/decimal SAS verification with another device.
+ *
+ * @async
+ * @param {Object} params - The parameters for the verification.
+ * @param {string} params.userId - The user to verify.
+ * @param {string} [params.deviceId] - The device to verify. Without it every device of the user is asked.
+ * @param {Object} handlers
+ * @param {Function} [handlers.onUpdate] - Called with every state update.
+ * @param {Function} handlers.confirm - Async function asked whether the emoji/numbers match, resolving to a boolean.
+ * @param {AbortSignal} [handlers.signal] - Cancels the verification.
+ * @returns {Promise<Object>} - The final `done` update.
+ * @throws Will throw an error if the verification is cancelled by either side or fails.
+ */
+async function verifyDevice({ userId, deviceId }, handlers) {
+    return runVerification(callback => clientProxy.verifyDevice({ userId, deviceId, callback }), handlers);
+}
+
+/**
+ * Waits for another device to request a verification of this one, e.g. Element verifying this
+ * session, and runs it. A request that came in shortly before is taken as well.
+ *
+ * @async
+ * @param {Object} params
+ * @param {string} [params.userId] - Only accept requests from this user.
+ * @param {Object} handlers - See verifyDevice; the first update is `waiting`.
+ * @returns {Promise<Object>} - The final `done` update.
+ * @throws Will throw an error if the verification is cancelled by either side or fails.
+ */
+async function acceptVerification({ userId }, handlers) {
+    return runVerification(callback => clientProxy.acceptVerification({ userId, callback }), handlers);
+}
+
+export { verifyDevice, acceptVerification, describeSas };
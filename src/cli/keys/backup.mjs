@@ -0,0 +1,113 @@
+import { clientProxy } from "../../matrix/client.mjs";
+import askSecret from "../../utils/ask-secret.js";
+
+async function askNewBackupPassphrase() {
+    if (process.env.CICH_BACKUP_PASSPHRASE) {
+        return process.env.CICH_BACKUP_PASSPHRASE;
+    }
+
+    const passphrase = await askSecret("🔐 Backup passphrase: ");
+    const confirmation = await askSecret("Repeat passphrase: ");
+
+    if (!passphrase) {
+        throw new Error("The passphrase can't be empty.");
+    }
+    if (passphrase !== confirmation) {
+        throw new Error("Passphrases do not match.");
+    }
+
+    return passphrase;
+}
+
+/**
+ * Shows the server-side key backup of the account and whether this device uses it.
+ *
+ * @async
+ * @returns {Promise<Object>} - The backup status.
+ * @throws Will throw an error if the status can't be fetched.
+ */
+async function showBackupStatus() {
+    const client = clientProxy;
+
+    try {
+        const status = await client.getKeyBackupStatus();
+
+        console.log(`\n=== Key Backup ===\n`);
+        if (!status.version) {
+            console.log(`   No key backup on the server.`);
+            console.log(`\nRun "cich keys backup enable" to create one.`);
+            return status;
+        }
+
+        console.log(`   Version:       ${status.version} (${status.algorithm})`);
+        console.log(`   Keys stored:   ${status.count}`);
+        console.log(`   Backup key:    ${status.hasKey ? 'held by this profile' : 'not on this device'}`);
+        console.log(`   Uploading:     ${status.uploading ? 'yes' : 'no'}`);
+
+        if (!status.hasKey) {
+            console.log(`\nRun "cich keys backup restore" with your recovery key to use this backup.`);
+        }
+
+        return status;
+    } catch (error) {
+        throw new Error(`Fetching the key backup status failed: ${error.message}`);
+    }
+}
+
+/**
+ * Creates a new key backup version and prints its recovery key.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.passphrase=false] - Derive the backup key from a passphrase (env: CICH_BACKUP_PASSPHRASE).
+ * @returns {Promise<{version: string, recoveryKey: string}>} - The new version and its recovery key.
+ * @throws Will throw an error if the backup can't be created.
+ */
+async function enableBackup({ passphrase = false } = {}) {
+    const client = clientProxy;
+
+    try {
+        const params = passphrase ? { passphrase: await askNewBackupPassphrase() } : {};
+        const result = await client.enableKeyBackup(params);
+
+        console.log(`✅ Key backup version ${result.version} created`);
+        console.log(`\n   Recovery key:  ${result.recoveryKey}\n`);
+        console.log(`Store the recovery key somewhere safe, it is the only way to restore the backup${passphrase ? ' besides the passphrase' : ''}.`);
+
+        return result;
+    } catch (error) {
+        throw new Error(`Enabling the key backup failed: ${error.message}`);
+    }
+}
+
+/**
+ * Restores the room keys of the latest key backup, so old encrypted history can be read.
+ *
+ * The recovery key is taken from CICH_RECOVERY_KEY, the passphrase from CICH_BACKUP_PASSPHRASE,
+ * otherwise they are prompted for.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.passphrase=false] - Unlock the backup with its passphrase instead of the recovery key.
+ * @returns {Promise<{version: string, imported: number, skipped: number}>} - The session counts.
+ * @throws Will throw an error if the backup can't be restored.
+ */
+async function restoreBackup({ passphrase = false } = {}) {
+    const client = clientProxy;
+
+    try {
+        const params = passphrase
+            ? { passphrase: process.env.CICH_BACKUP_PASSPHRASE || await askSecret("🔐 Backup passphrase: ") }
+            : { recoveryKey: process.env.CICH_RECOVERY_KEY || await askSecret("🔑 Recovery key: ") };
+
+        console.log("⬇️  Downloading and decrypting the backup...");
+        const result = await client.restoreKeyBackup(params);
+
+        console.log(`✅ Restored backup version ${result.version}: imported ${result.imported} session(s), skipped ${result.skipped}`);
+        return result;
+    } catch (error) {
+        throw new Error(`Restoring the key backup failed: ${error.message}`);
+    }
+}
+
+export { showBackupStatus, enableBackup, restoreBackup };
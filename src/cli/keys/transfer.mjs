@@ -0,0 +1,104 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { clientProxy } from "../../matrix/client.mjs";
+import { encryptKeyExport, decryptKeyExport, isValidSession } from "../../matrix/key-export.mjs";
+import askSecret from "../../utils/ask-secret.js";
+import { progressLine } from "../../utils/progress-line.js";
+
+async function askExportPassphrase() {
+    if (process.env.CICH_KEYS_PASSPHRASE) {
+        return process.env.CICH_KEYS_PASSPHRASE;
+    }
+
+    const passphrase = await askSecret("🔐 Passphrase to protect the export: ");
+    const confirmation = await askSecret("Repeat passphrase: ");
+
+    if (!passphrase) {
+        throw new Error("The passphrase can't be empty.");
+    }
+    if (passphrase !== confirmation) {
+        throw new Error("Passphrases do not match.");
+    }
+
+    return passphrase;
+}
+
+/**
+ * Exports the room keys of this device to a passphrase-protected file, in the format
+ * Element and other Matrix clients import. Keys are exported for the encrypted messages
+ * in the history of the joined rooms, plus the ones imported from other exports or the key backup.
+ *
+ * The passphrase is taken from CICH_KEYS_PASSPHRASE or prompted for twice.
+ *
+ * @async
+ * @param {string} file - Where to write the export.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Overwrite an existing file.
+ * @returns {Promise<{exported: number}>} - How many sessions were written.
+ * @throws Will throw an error if the keys can't be exported or the file exists.
+ */
+async function exportRoomKeys(file, { force = false } = {}) {
+    const client = clientProxy;
+    const target = path.resolve(file);
+
+    if (fs.existsSync(target) && !force) {
+        throw new Error(`${target} already exists, use --force to overwrite it`);
+    }
+
+    try {
+        const progress = progressLine();
+        const sessions = await client.exportRoomKeys({
+            onProgress: (update) => {
+                progress.update(`⏳ Searched ${update.rooms}/${update.total} rooms, ${update.sessions} session(s)...`);
+            }
+        }).finally(() => progress.clear());
+        const passphrase = await askExportPassphrase();
+
+        console.log("🔒 Encrypting the export...");
+        const data = await encryptKeyExport(sessions, passphrase);
+        await fsp.writeFile(target, data, { encoding: 'utf8', mode: 0o600 });
+
+        console.log(`✅ Exported ${sessions.length} session(s) to ${target}`);
+        return { exported: sessions.length };
+    } catch (error) {
+        throw new Error(`Key export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Imports room keys from a passphrase-protected export file, e.g. one saved by Element.
+ *
+ * Entries that aren't Megolm sessions, or miss a field, are skipped, as are sessions
+ * this profile already has.
+ *
+ * @async
+ * @param {string} file - The export to read.
+ * @returns {Promise<{imported: number, skipped: number}>} - The session counts.
+ * @throws Will throw an error if the file can't be read or decrypted, or the import fails.
+ */
+async function importRoomKeys(file) {
+    const client = clientProxy;
+
+    try {
+        const data = await fsp.readFile(path.resolve(file), 'utf8');
+        const passphrase = process.env.CICH_KEYS_PASSPHRASE || await askSecret("🔐 Passphrase of the export: ");
+
+        console.log("🔓 Decrypting the export...");
+        const entries = await decryptKeyExport(data, passphrase);
+        const sessions = entries.filter(isValidSession);
+
+        const counts = sessions.length > 0
+            ? await client.importRoomKeys({ sessions })
+            : { imported: 0, skipped: 0 };
+        const imported = counts.imported;
+        const skipped = entries.length - sessions.length + counts.skipped;
+
+        console.log(`✅ Imported ${imported} session(s), skipped ${skipped}`);
+        return { imported, skipped };
+    } catch (error) {
+        throw new Error(`Key import failed: ${error.message}`);
+    }
+}
+
+export { exportRoomKeys, importRoomKeys };
@@ -0,0 +1,71 @@
+import { clientProxy } from "../../matrix/client.mjs";
+
+/**
+ * Summarises a membership, state, redaction or ephemeral event in one line.
+ *
+ * @param {Object} event - The Matrix event.
+ * @returns {string|null} - The summary, or null for events that don't need one (messages, unknown types).
+ */
+function describeEvent(event) {
+    const content = event.content || {};
+    const sender = event.sender;
+
+    switch (event.type) {
+        case 'm.room.member': {
+            const target = event.state_key;
+            const previous = event.unsigned?.prev_content?.membership;
+            switch (content.membership) {
+                case 'join':
+                    return previous === 'join' ? null : `${target} joined the room`;
+                case 'invite':
+                    return `${sender} invited ${target}`;
+                case 'leave':
+                    if (sender !== target) return `${sender} removed ${target}${content.reason ? ` (${content.reason})` : ''}`;
+                    return previous === 'invite' ? `${target} declined the invite` : `${target} left the room`;
+                case 'ban':
+                    return `${sender} banned ${target}${content.reason ? ` (${content.reason})` : ''}`;
+                default:
+                    return null;
+            }
+        }
+        case 'm.room.name':
+            return content.name ? `${sender} renamed the room to "${content.name}"` : `${sender} removed the room name`;
+        case 'm.room.topic':
+            return content.topic ? `${sender} changed the topic to "${content.topic}"` : `${sender} removed the topic`;
+        case 'm.room.encryption':
+            return `${sender} enabled end-to-end encryption (${content.algorithm})`;
+        case 'm.room.redaction':
+            return `${sender} deleted a message${content.reason ? ` (${content.reason})` : ''}`;
+        case 'm.typing':
+            return content.user_ids?.length ? `${content.user_ids.join(', ')} ${content.user_ids.length > 1 ? 'are' : 'is'} typing...` : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Subscribes to the events the daemon receives.
+ *
+ * @async
+ * @param {Object} params - The parameters for the subscription.
+ * @param {string[]} [params.roomIds] - Only events of these rooms. All rooms by default.
+ * @param {string[]} [params.types] - Only these event types, a trailing `*` matches a prefix (`m.room.*`). All types by default.
+ * @param {Function} onEvent - Called with `{roomId, event, ephemeral}` for every event.
+ * @returns {Promise<{subscriptionId: string}>} - The subscription.
+ * @throws Will throw an error if the daemon refuses the subscription.
+ */
+async function watchEvents({ roomIds, types }, onEvent) {
+    const client = clientProxy;
+
+    try {
+        return await client.subscribeEvents({
+            roomIds: roomIds?.length ? roomIds : null,
+            types: types?.length ? types : null,
+            callback: onEvent
+        });
+    } catch (error) {
+        throw new Error(`Subscribing to events failed: ${error.message}`);
+    }
+}
+
+export { watchEvents, describeEvent };
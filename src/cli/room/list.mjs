@@ -1,4 +1,5 @@
 import { clientProxy } from "../../matrix/client.mjs";
+import { progressLine } from "../../utils/progress-line.js";
 
 /**
 * Lists Matrix rooms with optional filtering by membership.
@@ -6,14 +7,28 @@ import { clientProxy } from "../../matrix/client.mjs";
 * @async
 * @param {Object} [options] - Filtering options.
 * @param {string} [options.membership] - Membership filter: "join", "invite", "leave", or null for all.
+* @param {AbortSignal} [options.signal] - Cancels the listing when aborted.
 * @returns {Promise<Array>} - A promise that resolves to the list of rooms.
 * @throws {Error} - Throws an error if the listing fails.
 */
 async function listRooms(options = {}) {
     const client = clientProxy;
+    const progress = progressLine();
+    let offline = false;
 
     try {
-        const rooms = await client.listRooms(options);
+        const rooms = await client.listRooms({
+            ...options,
+            onProgress: (update) => {
+                offline = offline || !!update.offline;
+                progress.update(`⏳ Loaded ${update.rooms}/${update.total} rooms... (Ctrl-C to cancel)`);
+            }
+        });
+        progress.clear();
+
+        if (offline) {
+            console.log('📴 The homeserver can\'t be reached, names, member counts and previews come from the local message store.');
+        }
 
         console.log(`\n=== Your Rooms (${rooms.length}) ===\n`);
 
@@ -29,6 +44,11 @@ async function listRooms(options = {}) {
         });
 
     } catch (error) {
+        progress.clear();
+        if (options.signal?.aborted) {
+            console.error('Cancelled.');
+            return;
+        }
         console.error('Failed to list rooms:', error.message);
     }
 }
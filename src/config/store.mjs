@@ -0,0 +1,487 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'cich');
+const DATA_DIR = path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'cich');
+// Daemon logs
+const STATE_DIR = path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'cich');
+// Daemon sockets and session secrets, readable by the current user only
+const RUNTIME_DIR = process.env.XDG_RUNTIME_DIR
+    ? path.join(process.env.XDG_RUNTIME_DIR, 'cich')
+    : path.join(os.tmpdir(), `cich-${os.userInfo().uid}`);
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Locations the old `module.exports = ...` config used to be written to
+const LEGACY_CONFIG_PATHS = [
+    path.resolve('src/state', 'config.js'),
+    path.resolve(__dirname, '../state/config.js'),
+];
+
+// Single-profile JSON config written before profiles existed
+const LEGACY_JSON_CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+
+// Sync and crypto stores used to live in the working directory
+const LEGACY_STORE_PATHS = {
+    storage: path.resolve('storage.json'),
+    cryptoStore: path.resolve('crypto_store'),
+};
+
+/**
+ * Checks that a profile name is safe to use as a directory name.
+ *
+ * @param {string} name - The profile name.
+ * @returns {string} - The same profile name.
+ * @throws {Error} - Throws an error if the name is invalid.
+ */
+function validateProfileName(name) {
+    if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid profile name "${name}". Use letters, digits, "-" and "_" only.`);
+    }
+    return name;
+}
+
+// Network bridge addresses, e.g. tls://0.0.0.0:7443 or tcp://[::1]:7443
+const BRIDGE_ADDRESS_PATTERN = /^(tcp|tls):\/\/(\[[0-9a-fA-F:.]+\]|[^\s/:[\]]+):\d{1,5}$/;
+
+/**
+ * Known configuration keys, their types and defaults.
+ */
+const CONFIG_SCHEMA = {
+    homeserverUrl: { type: 'string', pattern: /^https?:\/\/\S+$/, description: 'Homeserver base URL' },
+    userId: { type: 'string', pattern: /^@[^:\s]+:\S+$/, description: 'Matrix user ID (@user:server)' },
+    accessToken: { type: 'string', secret: true, description: 'Access token of the session' },
+    deviceId: { type: 'string', description: 'Device ID of the session' },
+    useDaemon: { type: 'boolean', default: true, description: 'Route commands through the daemon' },
+    vaultKeyCache: { type: 'boolean', default: false, description: 'Keep the unlocked vault key in the daemon' },
+    refusePlaintext: { type: 'boolean', default: false, description: 'Refuse to send messages to unencrypted rooms' },
+    bridgeListen: { type: 'string', pattern: BRIDGE_ADDRESS_PATTERN, description: 'Address the daemon\'s network bridge listens on (tcp:// or tls://host:port)' },
+    bridgeToken: { type: 'string', secret: true, description: 'Token clients of the network bridge authenticate with' },
+    bridgeCert: { type: 'string', description: 'TLS certificate of the network bridge (PEM file)' },
+    bridgeKey: { type: 'string', description: 'TLS private key of the network bridge (PEM file)' },
+    remoteDaemon: { type: 'string', pattern: BRIDGE_ADDRESS_PATTERN, description: 'Network bridge of a remote daemon to use instead of a local one (tcp:// or tls://host:port)' },
+    remoteDaemonToken: { type: 'string', secret: true, description: 'Token of the remote daemon\'s network bridge' },
+    remoteDaemonCa: { type: 'string', description: 'Certificate to trust for the remote daemon, e.g. its self-signed one (PEM file)' },
+};
+
+/**
+ * Validates a configuration object against the schema.
+ *
+ * @param {Object} config - The configuration object to validate.
+ * @returns {Object} - The same configuration object.
+ * @throws {Error} - Throws an error listing every invalid key.
+ */
+function validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Configuration must be an object.');
+    }
+
+    const problems = [];
+
+    for (const [key, value] of Object.entries(config)) {
+        const rule = CONFIG_SCHEMA[key];
+
+        if (!rule) {
+            problems.push(`unknown key "${key}"`);
+        } else if (typeof value !== rule.type) {
+            problems.push(`"${key}" must be a ${rule.type}`);
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            problems.push(`"${key}" is not a valid ${rule.description.toLowerCase()}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration: ${problems.join(', ')}.`);
+    }
+
+    return config;
+}
+
+/**
+ * Converts a raw CLI string to the type the schema expects for the key.
+ *
+ * @param {string} key - The configuration key.
+ * @param {string} raw - The raw value.
+ * @returns {*} - The parsed value.
+ * @throws {Error} - Throws an error if the key is unknown or the value can't be parsed.
+ */
+function parseConfigValue(key, raw) {
+    const rule = CONFIG_SCHEMA[key];
+
+    if (!rule) {
+        throw new Error(`Unknown config key "${key}". Known keys: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+    }
+
+    if (rule.type === 'boolean') {
+        if (raw === 'true') return true;
+        if (raw === 'false') return false;
+        throw new Error(`"${key}" must be true or false`);
+    }
+
+    return raw;
+}
+
+/**
+ * * ConfigStore class to read and write the user configuration of the active profile.
+ * * @class ConfigStore
+ * * @description Stores one JSON configuration per profile in the XDG config directory, validates it against
+ * * CONFIG_SCHEMA and migrates legacy configuration files into the default profile on first read.
+ * * Each profile also owns a data directory for its sync/crypto stores and its own daemon IPC id.
+ * * @property {string} profile - Name of the active profile.
+ * * @property {string} path - Absolute path of the active profile's configuration file.
+ * * @property {string} storagePath - Sync storage file of the active profile.
+ * * @property {string} cryptoStorePath - Crypto store directory of the active profile.
+ * * @property {string} crossSigningKeysPath - Private cross-signing keys of the active profile.
+ * * @property {string} keyBackupKeyPath - Private key backup key of the active profile.
+ * * @property {string} roomKeysPath - Room keys the active profile imported from key exports or the key backup.
+ * * @property {string} messageStorePath - Directory of the active profile's stored room timelines.
+ * * @property {string} daemonId - IPC id of the active profile's daemon.
+ * * @property {string} daemonSecretPath - Session secret of the active profile's daemon.
+ * * @property {string} daemonPidPath - PID file of the active profile's daemon.
+ * * @property {string} daemonLogPath - JSON-lines log of the active profile's daemon.
+ * * @method ensureDataDir - Creates the data directory of the active profile.
+ * * @method ensureStateDir - Creates the state (log) directory of the active profile.
+ * * @method ensureRuntimeDir - Creates the user-only directory for daemon sockets and secrets.
+ * * @method use - Selects the profile this store reads and writes.
+ * * @method switch - Persists the profile used when none is selected explicitly.
+ * * @method listProfiles - Lists the names of every saved profile.
+ * * @method load - Reads the configuration, or returns null if there is none.
+ * * @method require - Reads the configuration, or throws if there is none.
+ * * @method save - Validates and writes a whole configuration object.
+ * * @method get - Reads a single key.
+ * * @method set - Validates and writes a single key.
+ * * @method clear - Removes the configuration and local stores of the profile.
+ */
+export class ConfigStore {
+    constructor(dir = CONFIG_DIR, dataDir = DATA_DIR, runtimeDir = RUNTIME_DIR, stateDir = STATE_DIR) {
+        this.dir = dir;
+        this.dataDir = dataDir;
+        this.runtimeDir = runtimeDir;
+        this.stateDir = stateDir;
+        this.selectedProfile = null;
+        this.cache = undefined;
+    }
+
+    /**
+     * Name of the active profile.
+     *
+     * Resolved from, in order: the profile selected with use(), the CICH_PROFILE
+     * environment variable, the profile saved with switch(), and "default".
+     *
+     * @returns {string}
+     */
+    get profile() {
+        if (this.selectedProfile) return this.selectedProfile;
+        if (process.env.CICH_PROFILE) return validateProfileName(process.env.CICH_PROFILE);
+
+        try {
+            const saved = fs.readFileSync(this.activeProfilePath, 'utf8').trim();
+            if (saved) return validateProfileName(saved);
+        } catch {
+            // No profile saved yet
+        }
+
+        return DEFAULT_PROFILE;
+    }
+
+    get activeProfilePath() {
+        return path.join(this.dir, 'active-profile');
+    }
+
+    get profileDir() {
+        return path.join(this.dir, 'profiles', this.profile);
+    }
+
+    get profileDataDir() {
+        return path.join(this.dataDir, 'profiles', this.profile);
+    }
+
+    get profileStateDir() {
+        return path.join(this.stateDir, 'profiles', this.profile);
+    }
+
+    get path() {
+        return path.join(this.profileDir, 'config.json');
+    }
+
+    get storagePath() {
+        return path.join(this.profileDataDir, 'storage.json');
+    }
+
+    get cryptoStorePath() {
+        return path.join(this.profileDataDir, 'crypto_store');
+    }
+
+    get crossSigningKeysPath() {
+        return path.join(this.profileDataDir, 'cross_signing.json');
+    }
+
+    get keyBackupKeyPath() {
+        return path.join(this.profileDataDir, 'key_backup.json');
+    }
+
+    get roomKeysPath() {
+        return path.join(this.profileDataDir, 'room_keys.json');
+    }
+
+    get messageStorePath() {
+        return path.join(this.profileDataDir, 'messages');
+    }
+
+    get daemonId() {
+        // The default profile keeps the id daemons used before profiles existed
+        return this.profile === DEFAULT_PROFILE ? 'matrix_daemon' : `matrix_daemon_${this.profile}`;
+    }
+
+    get daemonSecretPath() {
+        return path.join(this.runtimeDir, `${this.daemonId}.secret`);
+    }
+
+    get daemonPidPath() {
+        return path.join(this.runtimeDir, `${this.daemonId}.pid`);
+    }
+
+    get daemonLogPath() {
+        return path.join(this.profileStateDir, 'daemon.log');
+    }
+
+    /**
+     * Creates the data directory of the active profile if needed.
+     *
+     * @returns {string} - The data directory.
+     */
+    ensureDataDir() {
+        fs.mkdirSync(this.profileDataDir, { recursive: true, mode: 0o700 });
+        return this.profileDataDir;
+    }
+
+    /**
+     * Creates the state directory of the active profile if needed.
+     *
+     * @returns {string} - The state directory.
+     */
+    ensureStateDir() {
+        fs.mkdirSync(this.profileStateDir, { recursive: true, mode: 0o700 });
+        return this.profileStateDir;
+    }
+
+    /**
+     * Creates the directory for daemon sockets and session secrets, and makes sure nobody
+     * but the current user can get into it.
+     *
+     * @returns {string} - The runtime directory.
+     * @throws {Error} - If the directory belongs to another user or is not a directory.
+     */
+    ensureRuntimeDir() {
+        fs.mkdirSync(this.runtimeDir, { recursive: true, mode: 0o700 });
+
+        const stat = fs.lstatSync(this.runtimeDir);
+        if (!stat.isDirectory()) {
+            throw new Error(`${this.runtimeDir} is not a directory.`);
+        }
+        if (typeof process.getuid === 'function' && stat.uid !== process.getuid()) {
+            throw new Error(`${this.runtimeDir} belongs to another user, refusing to put the daemon socket there.`);
+        }
+        if ((stat.mode & 0o077) !== 0) {
+            fs.chmodSync(this.runtimeDir, 0o700);
+        }
+
+        return this.runtimeDir;
+    }
+
+    /**
+     * Selects the profile this store reads and writes.
+     *
+     * @param {string} name - The profile name.
+     */
+    use(name) {
+        this.selectedProfile = validateProfileName(name);
+        this.cache = undefined;
+    }
+
+    /**
+     * Persists the profile used when none is selected explicitly.
+     *
+     * @async
+     * @param {string} name - The profile name.
+     * @returns {Promise<void>}
+     * @throws {Error} - Throws an error if the profile has no saved configuration.
+     */
+    async switch(name) {
+        validateProfileName(name);
+
+        if (!this.listProfiles().includes(name)) {
+            throw new Error(`Profile "${name}" not found. Log in with "cich --profile ${name} auth login" first.`);
+        }
+
+        await fsp.mkdir(this.dir, { recursive: true, mode: 0o700 });
+        await fsp.writeFile(this.activeProfilePath, name + '\n', 'utf8');
+
+        this.selectedProfile = null;
+        delete process.env.CICH_PROFILE;
+        this.cache = undefined;
+    }
+
+    /**
+     * Lists the names of every profile with a saved configuration.
+     *
+     * @returns {string[]}
+     */
+    listProfiles() {
+        // Make sure a legacy config shows up as the default profile
+        if (this.profile === DEFAULT_PROFILE) this.load();
+
+        let entries = [];
+        try {
+            entries = fs.readdirSync(path.join(this.dir, 'profiles'), { withFileTypes: true });
+        } catch {
+            return [];
+        }
+
+        return entries
+            .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(this.dir, 'profiles', entry.name, 'config.json')))
+            .map((entry) => entry.name)
+            .sort();
+    }
+
+    /**
+     * Reads the configuration of the active profile, migrating legacy files if no JSON file exists yet.
+     *
+     * @returns {Object|null} - The validated configuration, or null if none was saved.
+     * @throws {Error} - Throws an error if the file is unreadable or invalid.
+     */
+    load() {
+        if (this.cache !== undefined) return this.cache;
+
+        if (!fs.existsSync(this.path)) {
+            this.cache = this.profile === DEFAULT_PROFILE ? this._migrateLegacy() : null;
+            return this.cache;
+        }
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read config at ${this.path}: ${error.message}`);
+        }
+
+        this.cache = validateConfig(config);
+        return this.cache;
+    }
+
+    /**
+     * Reads the configuration and fails if the user hasn't logged in yet.
+     *
+     * @returns {Object} - The validated configuration.
+     * @throws {Error} - Throws an error if no configuration was saved.
+     */
+    require() {
+        const config = this.load();
+
+        if (!config) {
+            throw new Error(`❌ No configuration found for profile "${this.profile}". Please run the login command first.`);
+        }
+
+        return config;
+    }
+
+    /**
+     * Validates and writes a whole configuration object.
+     *
+     * @async
+     * @param {Object} config - The configuration to save.
+     * @returns {Promise<void>}
+     */
+    async save(config) {
+        validateConfig(config);
+
+        await fsp.mkdir(this.profileDir, { recursive: true, mode: 0o700 });
+        await fsp.writeFile(this.path, JSON.stringify(config, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+
+        this.cache = config;
+    }
+
+    /**
+     * Reads a single configuration key, falling back to the schema default.
+     *
+     * @param {string} key - The configuration key.
+     * @returns {*} - The stored value, the default, or undefined.
+     */
+    get(key) {
+        const config = this.load();
+        return config?.[key] ?? CONFIG_SCHEMA[key]?.default;
+    }
+
+    /**
+     * Parses, validates and writes a single configuration key.
+     *
+     * @async
+     * @param {string} key - The configuration key.
+     * @param {string|*} value - The value, as a raw CLI string or already typed.
+     * @returns {Promise<*>} - The stored value.
+     */
+    async set(key, value) {
+        const parsed = typeof value === 'string' ? parseConfigValue(key, value) : value;
+        const config = { ...(this.load() || {}), [key]: parsed };
+
+        await this.save(config);
+
+        return parsed;
+    }
+
+    /**
+     * Removes the configuration and the sync/crypto stores of the active profile.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await fsp.rm(this.profileDir, { recursive: true, force: true });
+        await fsp.rm(this.profileDataDir, { recursive: true, force: true });
+        await fsp.rm(this.profileStateDir, { recursive: true, force: true });
+        this.cache = null;
+    }
+
+    _migrateLegacy() {
+        let config;
+        let legacyPath = LEGACY_CONFIG_PATHS.find((candidate) => fs.existsSync(candidate));
+
+        if (fs.existsSync(LEGACY_JSON_CONFIG_PATH)) {
+            legacyPath = LEGACY_JSON_CONFIG_PATH;
+            config = validateConfig(JSON.parse(fs.readFileSync(legacyPath, 'utf8')));
+        } else if (legacyPath) {
+            config = validateConfig({ ...require(legacyPath) });
+        } else {
+            return null;
+        }
+
+        fs.mkdirSync(this.profileDir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.path, JSON.stringify(config, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+        fs.rmSync(legacyPath, { force: true });
+
+        this.ensureDataDir();
+        for (const [key, target] of [['storage', this.storagePath], ['cryptoStore', this.cryptoStorePath]]) {
+            if (fs.existsSync(LEGACY_STORE_PATHS[key]) && !fs.existsSync(target)) {
+                fs.renameSync(LEGACY_STORE_PATHS[key], target);
+            }
+        }
+
+        // On stderr, the command that triggered the migration may print JSON
+        console.error(`📦 Migrated config from ${legacyPath} to ${this.path}`);
+
+        return config;
+    }
+}
+
+export const configStore = new ConfigStore();
+
+export { CONFIG_SCHEMA, DEFAULT_PROFILE, validateConfig, parseConfigValue, validateProfileName };
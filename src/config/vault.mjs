@@ -0,0 +1,274 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { randomBytes, scrypt, hkdfSync, createCipheriv, createDecipheriv } from 'crypto';
+import { promisify } from 'util';
+import { configStore } from './store.mjs';
+import askSecret from '../utils/ask-secret.js';
+
+const scryptAsync = promisify(scrypt);
+
+const KEYSTORE_VERSION = 1;
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// Bind the ciphertext to its purpose so a keystore can't be replayed as anything else
+const ADDITIONAL_DATA = Buffer.from('cich-vault-access-token');
+const DATA_KEY_INFO = 'cich-vault-data';
+// Config keys that belong to a login rather than to the profile's settings
+const SESSION_KEYS = ['homeserverUrl', 'userId', 'accessToken', 'deviceId'];
+
+/**
+ * Derives the vault key from a passphrase.
+ *
+ * @async
+ * @param {string} passphrase - The passphrase.
+ * @param {Buffer} salt - The scrypt salt.
+ * @param {{N: number, r: number, p: number}} params - The scrypt cost parameters.
+ * @returns {Promise<Buffer>} - The derived key.
+ */
+async function deriveKey(passphrase, salt, { N, r, p }) {
+    return scryptAsync(passphrase, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+}
+
+/**
+ * Derives the key for the other data of a profile the vault protects, e.g. imported room keys,
+ * so a process can keep it without keeping the key that unlocks the access token.
+ *
+ * @param {Buffer} key - The vault key.
+ * @returns {Buffer} - The data key.
+ */
+function deriveDataKey(key) {
+    return Buffer.from(hkdfSync('sha256', key, Buffer.alloc(0), DATA_KEY_INFO, KEY_LENGTH));
+}
+
+/**
+ * * CredentialVault class to keep the access token of a profile encrypted at rest.
+ * * @class CredentialVault
+ * * @description Seals the access token with AES-256-GCM under a scrypt-derived key and stores it in a
+ * * keystore file next to the profile config. The token is unlocked once per process and kept in memory.
+ * * A new login keeps the key, so data encrypted with the data key derived from it stays readable.
+ * * @property {ConfigStore} store - The config store the vault belongs to.
+ * * @property {string} path - Absolute path of the keystore file.
+ * * @property {string|null} cachedKey - The unlocked key as hex, if it is still held.
+ * * @property {Buffer|null} dataKey - Key for other data of the profile, held from the first unlock until the vault is removed.
+ * * @method isEnabled - Whether the active profile keeps its token in the vault.
+ * * @method seal - Encrypts a token with a passphrase and writes the keystore.
+ * * @method unlock - Decrypts the token with a key or passphrase.
+ * * @method saveCredentials - Saves login credentials, keeping the token in the vault if enabled.
+ * * @method getAccessToken - Returns the token of the active profile, unlocking the vault if needed.
+ * * @method forgetKey - Drops the unlocked key while keeping the token.
+ * * @method remove - Deletes the keystore.
+ */
+export class CredentialVault {
+    constructor(store = configStore) {
+        this.store = store;
+        this.key = null;
+        this.dataKey = null;
+        this.kdf = null;
+        this.token = null;
+    }
+
+    get path() {
+        return path.join(this.store.profileDir, 'keystore.json');
+    }
+
+    get cachedKey() {
+        return this.key ? this.key.toString('hex') : null;
+    }
+
+    isEnabled() {
+        return fs.existsSync(this.path);
+    }
+
+    /**
+     * Encrypts an access token and writes it to the keystore.
+     *
+     * @async
+     * @param {string} accessToken - The token to protect.
+     * @param {string} passphrase - The passphrase to derive the key from.
+     * @returns {Promise<void>}
+     */
+    async seal(accessToken, passphrase) {
+        if (!passphrase) {
+            throw new Error('A passphrase is required to enable the vault.');
+        }
+
+        const salt = randomBytes(16);
+        const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+        await this.writeKeystore(accessToken, key, { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS });
+    }
+
+    /**
+     * Encrypts an access token with a key and writes the keystore.
+     *
+     * @async
+     * @private
+     * @param {string} accessToken - The token to protect.
+     * @param {Buffer} key - The vault key.
+     * @param {Object} kdf - How the key was derived from the passphrase.
+     * @returns {Promise<void>}
+     */
+    async writeKeystore(accessToken, key, kdf) {
+        const iv = randomBytes(12);
+        const cipher = createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(ADDITIONAL_DATA);
+        const ciphertext = Buffer.concat([cipher.update(accessToken, 'utf8'), cipher.final()]);
+
+        const keystore = {
+            version: KEYSTORE_VERSION,
+            kdf,
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            ciphertext: ciphertext.toString('base64'),
+        };
+
+        await fsp.mkdir(path.dirname(this.path), { recursive: true, mode: 0o700 });
+        await fsp.writeFile(this.path, JSON.stringify(keystore, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+
+        this.key = key;
+        this.dataKey = deriveDataKey(key);
+        this.kdf = kdf;
+        this.token = accessToken;
+    }
+
+    /**
+     * Decrypts the access token from the keystore.
+     *
+     * @async
+     * @param {Object} secret - Either the passphrase or an already derived key.
+     * @param {string} [secret.passphrase] - The vault passphrase.
+     * @param {string} [secret.key] - The derived key as hex, e.g. handed over by the daemon.
+     * @returns {Promise<string>} - The decrypted access token.
+     * @throws {Error} - If the keystore is missing or the passphrase/key is wrong.
+     */
+    async unlock({ passphrase, key } = {}) {
+        let keystore;
+        try {
+            keystore = JSON.parse(await fsp.readFile(this.path, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read keystore at ${this.path}: ${error.message}`);
+        }
+
+        if (keystore.version !== KEYSTORE_VERSION || keystore.kdf?.name !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+            throw new Error(`Unsupported keystore format at ${this.path}`);
+        }
+
+        const derivedKey = key
+            ? Buffer.from(key, 'hex')
+            : await deriveKey(passphrase, Buffer.from(keystore.kdf.salt, 'base64'), keystore.kdf);
+
+        try {
+            const decipher = createDecipheriv('aes-256-gcm', derivedKey, Buffer.from(keystore.iv, 'base64'));
+            decipher.setAAD(ADDITIONAL_DATA);
+            decipher.setAuthTag(Buffer.from(keystore.tag, 'base64'));
+
+            this.token = Buffer.concat([
+                decipher.update(Buffer.from(keystore.ciphertext, 'base64')),
+                decipher.final()
+            ]).toString('utf8');
+        } catch {
+            throw new Error(key ? 'The cached vault key does not match the keystore.' : 'Wrong vault passphrase.');
+        }
+
+        this.key = derivedKey;
+        this.dataKey = deriveDataKey(derivedKey);
+        this.kdf = keystore.kdf;
+        return this.token;
+    }
+
+    /**
+     * Returns the access token of the active profile.
+     *
+     * Plaintext tokens are returned as is. A vaulted token is unlocked once per process with the
+     * first secret available from: the given key, the CICH_PASSPHRASE environment variable,
+     * the key cached by a running daemon, and finally a passphrase prompt.
+     *
+     * @async
+     * @param {Object} [options]
+     * @param {string} [options.key] - A derived key as hex.
+     * @param {Function} [options.fetchCachedKey] - Async function returning a key cached elsewhere, or null.
+     * @returns {Promise<string>} - The access token.
+     * @throws {Error} - If there is no token or the vault can't be unlocked.
+     */
+    async getAccessToken({ key, fetchCachedKey } = {}) {
+        const config = this.store.require();
+
+        if (config.accessToken) return config.accessToken;
+        if (this.token) return this.token;
+
+        if (!this.isEnabled()) {
+            throw new Error(`No access token saved for profile "${this.store.profile}". Please run the login command first.`);
+        }
+
+        if (key) return this.unlock({ key });
+        if (process.env.CICH_PASSPHRASE) return this.unlock({ passphrase: process.env.CICH_PASSPHRASE });
+
+        const cachedKey = fetchCachedKey ? await fetchCachedKey().catch(() => null) : null;
+        if (cachedKey) return this.unlock({ key: cachedKey });
+
+        const passphrase = await askSecret(`🔐 Vault passphrase for profile "${this.store.profile}": `);
+        return this.unlock({ passphrase });
+    }
+
+    /**
+     * Saves login credentials, sealing the token in the vault if the profile uses one.
+     * Settings already in the profile's config, e.g. `useDaemon` or the bridge, are kept.
+     * The vault has to be unlocked with its passphrase, its key stays the same.
+     *
+     * @async
+     * @param {Object} credentials - The credentials returned by login or signup.
+     * @returns {Promise<void>}
+     */
+    async saveCredentials(credentials) {
+        // The new session replaces the old one, settings the profile already has win over the login defaults
+        const config = { ...credentials, ...this.store.load() };
+        for (const key of SESSION_KEYS) {
+            if (credentials[key] === undefined) {
+                delete config[key];
+            } else {
+                config[key] = credentials[key];
+            }
+        }
+
+        if (!this.isEnabled()) {
+            await this.store.save(config);
+            return;
+        }
+
+        const { accessToken, ...rest } = config;
+        if (!this.key) {
+            const passphrase = process.env.CICH_PASSPHRASE || await askSecret(`🔐 Vault passphrase for profile "${this.store.profile}": `);
+            await this.unlock({ passphrase });
+        }
+
+        await this.writeKeystore(accessToken, this.key, this.kdf);
+        await this.store.save(rest);
+    }
+
+    /**
+     * Drops the unlocked key. The decrypted token and the data key stay available to this process.
+     */
+    forgetKey() {
+        this.key?.fill(0);
+        this.key = null;
+    }
+
+    /**
+     * Deletes the keystore of the active profile.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async remove() {
+        await fsp.rm(this.path, { force: true });
+        this.forgetKey();
+        this.dataKey?.fill(0);
+        this.dataKey = null;
+        this.kdf = null;
+        this.token = null;
+    }
+}
+
+export const credentialVault = new CredentialVault();
@@ -0,0 +1,37 @@
+import { randomBytes } from 'crypto';
+
+/**
+ * Splits a network bridge address, see `bridgeListen` and `remoteDaemon`.
+ *
+ * @param {string} address - E.g. `tls://0.0.0.0:7443` or `tcp://[::1]:7443`.
+ * @returns {{tls: boolean, host: string, port: number}}
+ * @throws {Error} - If the address isn't a tcp:// or tls:// host and port.
+ */
+export function parseBridgeAddress(address) {
+    const match = /^(tcp|tls):\/\/(?:\[([0-9a-fA-F:.]+)\]|([^\s/:[\]]+)):(\d{1,5})$/.exec(address || '');
+    if (!match) {
+        throw new Error(`Invalid bridge address "${address}", expected tcp://host:port or tls://host:port`);
+    }
+
+    return { tls: match[1] === 'tls', host: match[2] || match[3], port: Number(match[4]) };
+}
+
+/**
+ * Tells whether a host only accepts connections from this machine, e.g. for a plain TCP bridge
+ * reached through an SSH tunnel.
+ *
+ * @param {string} host
+ * @returns {boolean}
+ */
+export function isLoopback(host) {
+    return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+/**
+ * Generates a token for the network bridge.
+ *
+ * @returns {string}
+ */
+export function generateBridgeToken() {
+    return randomBytes(32).toString('base64url');
+}
@@ -4,10 +4,32 @@ import path from 'path';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import readline from 'readline';
+import { configStore } from '../config/store.mjs';
+import { credentialVault } from '../config/vault.mjs';
+import { PROTOCOL_VERSION, CICH_VERSION, STREAM_ACTIONS, COMMAND_TIMEOUTS, DEFAULT_TIMEOUT, ERROR_CODES, describeIncompatibility } from './protocol.mjs';
+import { startInstalledService } from './service-manager.mjs';
+import { parseBridgeAddress } from './bridge.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Asks whether an incompatible daemon should be restarted. Never asks without a terminal.
+ *
+ * @param {string} problem - Why the daemon can't be used.
+ * @returns {Promise<boolean>}
+ */
+function confirmRestart(problem) {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) return Promise.resolve(false);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(`⚠️  ${problem}.\n   Restart the daemon now? [y/N] `, answer => {
+        rl.close();
+        resolve(/^y(es)?$/i.test(answer.trim()));
+    }));
+}
+
 /**
  * * DaemonClient class to handle IPC communication with the matrix daemon.
  * * @class DaemonClient
@@ -15,9 +37,18 @@ const __dirname = path.dirname(__filename);
  * * @property {IPC.IPC} ipc - Instance of the IPC client for inter-process communication.
  * * @property {boolean} connected - Flag to indicate if the client is connected to the matrix daemon.
  * * @property {Promise} connecting - Promise that resolves when the client is connected to the daemon.
+ * * @property {string} daemonId - IPC id of the daemon serving the active profile.
+ * * @property {Object|null} remote - The network bridge of a remote daemon, if `remoteDaemon` is configured.
+ * * @property {Promise<Object>|null} hello - The handshake of the connected daemon, once requested.
+ * * @property {Map<string, Function>} streams - Response handlers of open streams by subscription ID.
  * * @method connect - Establishes a connection to the matrix daemon.
+ * * @method handshake - Asks the daemon for its protocol version, account and supported actions.
+ * * @method ensureCompatible - Refuses, or offers to restart, a daemon the CLI can't work with.
  * * @method sendCommand - Sends a command to the matrix daemon and waits for a response.
  * * @method execute - Executes a command on the matrix daemon.
+ * * @method getCachedVaultKey - Fetches the vault key cached by the daemon, if any.
+ * * @method getStatus - Fetches the health metrics of the running daemon.
+ * * @method onConnectionChange - Follows whether the daemon can reach the homeserver.
  * * @method disconnect - Disconnects from the matrix daemon and cleans up listeners.
  * * @returns {Promise<void>} - A promise that resolves when the connection is successfully established.
  */
@@ -29,6 +60,54 @@ export class DaemonClient {
         this.ipc.config.silent = true;
         this.connecting = null;
         this.connected = false;
+        this.hello = null;
+        // Response handlers of open streams by subscription ID
+        this.streams = new Map();
+    }
+
+    get daemonId() {
+        return configStore.daemonId;
+    }
+
+    /**
+     * The network bridge of the remote daemon the active profile uses, if `remoteDaemon` is set.
+     *
+     * @returns {{address: string, tls: boolean, host: string, port: number}|null}
+     */
+    get remote() {
+        const address = configStore.get('remoteDaemon');
+        return address ? { address, ...parseBridgeAddress(address) } : null;
+    }
+
+    /**
+     * Points node-ipc at the user-only socket directory of the daemon, or at the TLS settings of
+     * the remote daemon's bridge.
+     */
+    configureSocket() {
+        const remote = this.remote;
+        if (!remote) {
+            this.ipc.config.socketRoot = configStore.ensureRuntimeDir() + path.sep;
+            return;
+        }
+
+        // node-ipc adds the files it reads to this object, so start from a fresh one every time
+        const ca = configStore.get('remoteDaemonCa');
+        this.ipc.config.tls = remote.tls ? { rejectUnauthorized: true, ...(ca ? { trustedConnections: [ca] } : {}) } : false;
+    }
+
+    /**
+     * Connects node-ipc to the local socket or the remote bridge.
+     *
+     * @private
+     * @param {Function} callback - Called once the connection attempt has started.
+     */
+    connectToDaemon(callback) {
+        const remote = this.remote;
+        if (remote) {
+            this.ipc.connectToNet(this.daemonId, remote.host, remote.port, callback);
+        } else {
+            this.ipc.connectTo(this.daemonId, callback);
+        }
     }
 
     /**
@@ -45,15 +124,22 @@ export class DaemonClient {
         if (this.connected) return;
         if (this.connecting) return this.connecting;
 
+        this.configureSocket();
+
         this.connecting = new Promise((resolve, reject) => {
-            this.ipc.connectTo('matrix_daemon', () => {
+            this.connectToDaemon(() => {
 
-                const daemon = this.ipc.of.matrix_daemon;
+                const daemon = this.ipc.of[this.daemonId];
 
                 const onConnect = () => {
                     this.connected = true;
                     this.connecting = null;
-                    console.log('✅ Connected to matrix daemon');
+                    // node-ipc reconnects on its own, a new socket has to say hello again
+                    daemon.on('disconnect', () => {
+                        this.hello = null;
+                    });
+                    // On stderr, so JSON output on stdout stays parseable
+                    console.error(this.remote ? `✅ Connected to remote matrix daemon at ${this.remote.address}` : '✅ Connected to matrix daemon');
                     cleanup();
                     resolve();
                 };
@@ -62,8 +148,15 @@ export class DaemonClient {
                     cleanup();
                     this.connecting = null;
 
+                    // A remote daemon can't be started from here, and node-ipc would keep retrying
+                    if (this.remote) {
+                        this.ipc.disconnect(this.daemonId);
+                        reject(new Error(`Can't reach the remote daemon at ${this.remote.address}: ${err.message}`));
+                        return;
+                    }
 
-                    if (err.code === 'ENOENT') {
+                    // ECONNREFUSED: the socket of a daemon that crashed, the new one replaces it
+                    if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
                         console.log('💤 Daemon not running. Starting daemon...');
                         await this.startDaemonProcess();
                         // Retry connection after a short delay
@@ -77,10 +170,16 @@ export class DaemonClient {
 
                 const cleanup = () => {
                     daemon.off('connect', onConnect);
+                    daemon.socket?.off('secureConnect', onConnect);
                     daemon.off('error', onError);
                 };
 
-                daemon.on('connect', onConnect);
+                // Over TLS, the connection can only be used once the daemon's certificate was accepted
+                if (this.remote?.tls) {
+                    daemon.socket.once('secureConnect', onConnect);
+                } else {
+                    daemon.on('connect', onConnect);
+                }
                 daemon.on('error', onError);
             });
 
@@ -96,31 +195,94 @@ export class DaemonClient {
      *
      * This function is called if the daemon is not running when we try to connect to it.
      * It runs the start-daemon-runner.mjs script in a detached Node.js process.
+     * A detached daemon can't prompt, so a vaulted token is unlocked here and the key is
+     * handed over on the daemon's stdin. If `daemon install-service` set up a service, that
+     * service is started instead so the daemon stays supervised.
      *
      * @private
      * @returns {Promise<void>} - A promise that resolves when the daemon process has been started.
      */
     async startDaemonProcess() {
+        if (this.remote) {
+            throw new Error(`The remote daemon at ${this.remote.address} isn't running, start it on its machine`);
+        }
+        if (startInstalledService()) return;
+
         const runnerPath = path.resolve(__dirname, './start-daemon-runner.mjs');
 
-        // Open log file streams
-        const out = fs.openSync(path.resolve(__dirname, 'daemon-out.log'), 'a');
-        const err = fs.openSync(path.resolve(__dirname, 'daemon-err.log'), 'a');
+        let vaultKey = null;
+        if (credentialVault.isEnabled()) {
+            await credentialVault.getAccessToken();
+            vaultKey = credentialVault.cachedKey;
+        }
 
         const child = spawn(process.execPath, [runnerPath], {
             detached: true,
-            stdio: ['ignore', out, err], // stdin ignored, stdout and stderr go to files
+            // stdin only carries the vault key, the daemon writes its own log (see DaemonLogger)
+            stdio: [vaultKey ? 'pipe' : 'ignore', 'ignore', 'ignore'],
+            env: vaultKey ? { ...process.env, CICH_VAULT_KEY_STDIN: '1' } : process.env,
         });
 
+        if (vaultKey) {
+            child.stdin.end(vaultKey + '\n');
+        }
+
         child.unref(); // Allow parent to exit independently
     }
 
+    /**
+     * Asks a running daemon for the vault key it keeps in memory.
+     *
+     * Only used when the `vaultKeyCache` option is enabled, so CLI commands that need the
+     * token themselves can unlock the vault without prompting.
+     *
+     * @returns {Promise<string|null>} - The key as hex, or null if the daemon can't provide it.
+     */
+    async getCachedVaultKey() {
+        if (!configStore.get('vaultKeyCache') || this.remote) return null;
+        if (!(await this.isDaemonRunning())) return null;
+
+        const { key } = await this.sendCommand('getVaultKey');
+        return key || null;
+    }
+
+    /**
+     * Asks the running daemon how it is doing, see MatrixDaemon.status.
+     *
+     * @returns {Promise<Object|null>} - The metrics, or null if no daemon is running.
+     */
+    async getStatus() {
+        if (!(await this.isDaemonRunning())) return null;
+
+        return this.sendCommand('getDaemonStatus');
+    }
+
+    /**
+     * Calls a handler with the daemon's connection to the homeserver right away, then every
+     * time the daemon broadcasts `connection.lost`, `connection.restored` or `auth.failed`.
+     *
+     * @param {Function} handler - Called with the connection state (`online`, `lastError`, `retryAt`, ...).
+     * @returns {Promise<void>}
+     */
+    async onConnectionChange(handler) {
+        await this.connect();
+        await this.ensureCompatible();
+
+        const daemon = this.ipc.of[this.daemonId];
+        daemon.on('connection.lost', handler);
+        daemon.on('connection.restored', handler);
+        daemon.on('auth.failed', handler);
+
+        handler((await this.hello).connection);
+    }
+
     /**
      * Checks if the matrix daemon is currently running.
      *
      * Attempts to establish a connection to the matrix daemon via IPC. If the connection
-     * is successful, the daemon is considered running. If an ENOENT error is encountered,
-     * it indicates that the daemon is not running, and the promise is rejected with `false`.
+     * is successful, the daemon is considered running. If an ENOENT or ECONNREFUSED (the stale
+     * socket of a crashed daemon) error is encountered, it indicates that the daemon is not
+     * running, and the promise is rejected with `false`.
      * Other connection errors result in rejection with a detailed error message. If the
      * connection attempt times out, the promise is rejected with a timeout error.
      *
@@ -128,13 +290,15 @@ export class DaemonClient {
      *                               or rejects with `false` or an error if not.
      */
     async isDaemonRunning() {
+        this.configureSocket();
+
         return new Promise((resolve, reject) => {
             // Clean up any existing connection first
-            this.ipc.disconnect('matrix_daemon');
+            this.ipc.disconnect(this.daemonId);
 
             const cleanup = () => {
                 clearTimeout(timeout);
-                this.ipc.disconnect('matrix_daemon');
+                this.ipc.disconnect(this.daemonId);
                 if (daemon) {
                     daemon.off('connect', onConnect);
                     daemon.off('error', onError);
@@ -154,15 +318,15 @@ export class DaemonClient {
 
             const onError = (err) => {
                 cleanup();
-                if (err.code === 'ENOENT') {
+                if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED' || (this.remote && ['EHOSTUNREACH', 'ETIMEDOUT', 'ENOTFOUND'].includes(err.code))) {
                     resolve(false);
                 } else {
                     reject(new Error('Daemon connection error: ' + err.message));
                 }
             };
 
-            this.ipc.connectTo('matrix_daemon', () => {
-                daemon = this.ipc.of.matrix_daemon;
+            this.connectToDaemon(() => {
+                daemon = this.ipc.of[this.daemonId];
                 daemon.on('connect', onConnect);
                 daemon.on('error', onError);
             });
@@ -173,68 +337,192 @@ export class DaemonClient {
     /**
      * Send a command to the matrix daemon and wait for a response.
      *
-     * This function first ensures a connection to the daemon is established.
-     * Then it sends the command to the daemon and waits for a response.
+     * This function first ensures a connection to the daemon is established and that the
+     * daemon is compatible (see ensureCompatible). Then it sends the command to the daemon and waits for a response.
+     *
+     * If the response is successful, the promise resolves with the response data. Streams resolve
+     * with their subscription once the daemon has started them, updates go to `params.callback`.
+     * Progress of long actions (see PROGRESS_ACTIONS) goes to `params.onProgress`.
+     * If the response is an error, the promise is rejected with the error.
+     * Matrix errors keep their `errcode`, `statusCode` and `body`, as in direct mode.
      *
-     * If the response is successful, the promise resolves with the response data.
-     * If the response is an error or the daemon doesn't respond within 10 seconds, the promise is rejected with the error.
+     * If the daemon doesn't respond in time (see COMMAND_TIMEOUTS), or `params.signal` is aborted,
+     * the request is cancelled on the daemon and the promise is rejected.
      *
      * @param {string} action - The action/operation to perform on the daemon.
      * @param {Object} [params={}] - Parameters for the action.
+     * @param {Function} [params.onProgress] - Called with every progress update.
+     * @param {AbortSignal} [params.signal] - Cancels the request when aborted.
+     * @param {number} [params.timeout] - How long to wait without an answer or progress, in milliseconds.
      * @returns {Promise<Object>} - A promise that resolves with the response data or rejects with an error.
      */
     async sendCommand(action, params = {}) {
+        const { onProgress, signal, timeout = COMMAND_TIMEOUTS[action] ?? DEFAULT_TIMEOUT, ...sentParams } = params;
+
+        signal?.throwIfAborted();
         await this.connect();
+        await this.ensureCompatible(action);
 
 
         return new Promise((resolve, reject) => {
             const requestId = randomUUID();
+            const daemon = this.ipc.of[this.daemonId];
+
+            let isStream = STREAM_ACTIONS.includes(action);
+            let timer = null;
+
+            const settle = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                daemon.off('response', handler);
+            };
+
+            // Stops the request on the daemon, which may not even notice if the action can't be stopped midway
+            const cancel = (error) => {
+                settle();
+                daemon.emit('cancel', { requestId });
+                reject(error);
+            };
 
-            let isStream = action === 'streamMessages';
-            let resolved = false;
+            const onAbort = () => cancel(Object.assign(new Error(`${action} was cancelled`), { errcode: ERROR_CODES.CANCELLED }));
+
+            // Timeout only for non-streaming commands, progress shows the daemon is still at it
+            const armTimeout = () => {
+                if (isStream) return;
+                clearTimeout(timer);
+                timer = setTimeout(() => cancel(new Error(`Timeout waiting for response to command: ${action}`)), timeout);
+            };
 
             const handler = (response) => {
 
                 if (!response || response.requestId !== requestId) return;
 
                 if (response.success) {
-                    if (isStream) {
+                    if (isStream && response.subscribed) {
+                        // The stream is running, keep the handler until it is unsubscribed
+                        signal?.removeEventListener('abort', onAbort);
+                        this.streams.set(response.data.subscriptionId, handler);
+                        resolve(response.data);
+
+                    } else if (isStream) {
                         // Stream message received
                         params.callback(response.data);
 
-                        if (!resolved) {
-                            resolve(); // resolve once to avoid timeout rejection
-                            resolved = true;
-                        }
+                    } else if (response.progress) {
+                        armTimeout();
+                        onProgress?.(response.progress);
 
                     } else {
-                        this.ipc.of.matrix_daemon.off('response', handler);
+                        settle();
+
+                        if (action === 'unsubscribe' && this.streams.has(params.subscriptionId)) {
+                            daemon.off('response', this.streams.get(params.subscriptionId));
+                            this.streams.delete(params.subscriptionId);
+                        }
+
                         resolve(response.data);
                     }
                 } else {
-                    this.ipc.of.matrix_daemon.off('response', handler);
-                    reject(new Error(response.error));
+                    settle();
+                    reject(Object.assign(new Error(response.error), {
+                        errcode: response.errcode,
+                        statusCode: response.statusCode,
+                        body: response.body
+                    }));
                 }
             };
 
-            this.ipc.of.matrix_daemon.on('response', handler);
+            daemon.on('response', handler);
+            signal?.addEventListener('abort', onAbort, { once: true });
 
-            this.ipc.of.matrix_daemon.emit('command', {
+            daemon.emit('command', {
                 requestId,
                 action,
-                params
+                params: sentParams
             });
 
-            // Timeout only for non-streaming commands
-            if (!isStream) {
-                setTimeout(() => {
-                    this.ipc.of.matrix_daemon.off('response', handler);
-                    reject(new Error(`Timeout waiting for response to command: ${action}`));
-                }, 10000);
+            armTimeout();
+        });
+    }
+
+    /**
+     * Says hello to the connected daemon and waits for its handshake.
+     *
+     * The hello carries the daemon's session secret, read from the user-only runtime directory;
+     * without it the daemon refuses every command. Daemons from before the handshake existed
+     * don't answer; they are reported as protocol 0.
+     *
+     * @returns {Promise<{protocol: number, version: string, profile?: string, userId: string|null, deviceId?: string|null, actions: string[]}>}
+     */
+    handshake() {
+        return new Promise((resolve) => {
+            const daemon = this.ipc.of[this.daemonId];
+
+            const onHello = (hello) => {
+                clearTimeout(timeout);
+                daemon.off('hello', onHello);
+                resolve(hello);
+            };
+
+            const timeout = setTimeout(() => {
+                daemon.off('hello', onHello);
+                resolve({ protocol: 0, version: 'unknown', userId: null, actions: [] });
+            }, 3000);
+
+            let secret = null;
+            if (this.remote) {
+                // The bridge of a remote daemon takes its token instead
+                secret = configStore.get('remoteDaemonToken') ?? null;
+            } else {
+                try {
+                    secret = fs.readFileSync(configStore.daemonSecretPath, 'utf8').trim();
+                } catch {
+                    // No secret: the daemon is too old to have one, or belongs to someone else
+                }
             }
+
+            daemon.on('hello', onHello);
+            daemon.emit('hello', { protocol: PROTOCOL_VERSION, version: CICH_VERSION, secret });
         });
     }
 
+    /**
+     * Makes sure the connected daemon can run an action.
+     *
+     * A daemon speaking another protocol version, or logged in to another account, is refused.
+     * On a terminal the user is offered to restart it instead, which happens at most once.
+     *
+     * @param {string} [action] - The action about to be sent, checked against the ones the daemon supports.
+     * @param {boolean} [restarted=false] - Whether the daemon was just restarted.
+     * @returns {Promise<void>}
+     * @throws {Error} - If the daemon is incompatible or doesn't support the action.
+     */
+    async ensureCompatible(action, restarted = false) {
+        if (!this.hello) {
+            this.hello = this.handshake();
+        }
+        const hello = await this.hello;
+
+        if (hello.errcode) {
+            throw Object.assign(new Error(`The daemon refused this client: ${hello.error}`), { errcode: hello.errcode });
+        }
+
+        const problem = describeIncompatibility(hello, configStore.get('userId'));
+        if (problem) {
+            if (restarted || !(await confirmRestart(problem))) {
+                throw new Error(`${problem}. Restart it with "cich daemon stop" and try again.`);
+            }
+
+            await this.stopDaemon();
+            await this.connect();
+            return this.ensureCompatible(action, true);
+        }
+
+        if (action && !hello.actions.includes(action)) {
+            throw new Error(`The running daemon (cich ${hello.version}) doesn't support "${action}". Restart it with "cich daemon stop" and try again.`);
+        }
+    }
+
     /**
      * Execute a command on the matrix daemon.
      *
@@ -262,19 +550,21 @@ export class DaemonClient {
      */
     disconnect() {
         return new Promise((resolve) => {
-            if (!this.connected || !this.ipc.of.matrix_daemon) {
+            if (!this.connected || !this.ipc.of[this.daemonId]) {
                 return resolve();
             }
 
             // Clean up listeners on the underlying socket (if exists)
-            if (this.ipc.of.matrix_daemon.socket) {
-                this.ipc.of.matrix_daemon.socket.removeAllListeners();
+            if (this.ipc.of[this.daemonId].socket) {
+                this.ipc.of[this.daemonId].socket.removeAllListeners();
             }
             // Disconnect from the daemon
-            this.ipc.disconnect('matrix_daemon');
+            this.ipc.disconnect(this.daemonId);
 
             this.connected = false;
             this.connecting = null;
+            this.hello = null;
+            this.streams.clear();
 
             // Slight delay to ensure disconnect finishes before resolving
             setTimeout(() => resolve(), 100);
@@ -298,15 +588,21 @@ export class DaemonClient {
             throw new Error('Not connected to daemon.');
         }
 
+        // The daemon only takes stop requests from clients that presented its secret
+        if (!this.hello) {
+            this.hello = this.handshake();
+        }
+        await this.hello;
+
         return new Promise((resolve, reject) => {
             // Emit stop request
-            this.ipc.of.matrix_daemon.emit('stop_daemon');
+            this.ipc.of[this.daemonId].emit('stop_daemon');
 
             // Listen for confirmation
             const onStopped = async () => {
                 console.log('✅ Received stop confirmation from daemon.');
 
-                this.ipc.of.matrix_daemon.off('stopped', onStopped);
+                this.ipc.of[this.daemonId].off('stopped', onStopped);
 
                 try {
                     await this.disconnect();
@@ -319,11 +615,11 @@ export class DaemonClient {
             console.log('⏳ Waiting for daemon to stop...');
 
 
-            this.ipc.of.matrix_daemon.on('stopped', onStopped);
+            this.ipc.of[this.daemonId].on('stopped', onStopped);
 
             // Timeout fallback
             setTimeout(() => {
-                this.ipc.of.matrix_daemon.off('stopped', onStopped);
+                this.ipc.of[this.daemonId].off('stopped', onStopped);
                 reject(new Error('⌚ Daemon stop request timed out'));
             }, 10000);
         });
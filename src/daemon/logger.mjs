@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+
+/**
+ * Log levels from the most to the least severe, as used by matrix-bot-sdk's LogService.
+ */
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+/**
+ * Level the global `--debug`/`--verbose` flags asked for, handed to the daemon through the environment.
+ *
+ * @returns {string}
+ */
+export function requestedLogLevel() {
+    const level = process.env.CICH_LOG_LEVEL?.toLowerCase();
+    return LOG_LEVELS.includes(level) ? level : 'info';
+}
+
+/**
+ * Turns console/LogService arguments into a message and, for errors, their stack.
+ */
+function formatArgs(args) {
+    const error = args.find(arg => arg instanceof Error);
+    const message = util.format(...args.map(arg => arg instanceof Error ? arg.message : arg));
+    return error ? { message, stack: error.stack } : { message };
+}
+
+/**
+ * * DaemonLogger class to write the daemon's log as JSON lines, with size-based rotation.
+ * * @class DaemonLogger
+ * * @description Every entry is one line of `{time, level, module, message, stack?}`. When the file would grow
+ * * past `maxBytes` it is renamed to `.1` (the previous `.1` to `.2`, and so on) and a new one is started.
+ * * @property {string} file - The log file.
+ * * @property {string} level - The least severe level written.
+ * * @property {number} maxBytes - Size at which the file is rotated.
+ * * @property {number} maxFiles - Rotated files kept next to the current one.
+ * * @method log - Writes an entry.
+ * * @method captureConsole - Sends console output to the log.
+ * * @method asLogService - Adapts the logger to matrix-bot-sdk's ILogger.
+ */
+export class DaemonLogger {
+    constructor(file, { level = 'info', maxBytes = 5 * 1024 * 1024, maxFiles = 3 } = {}) {
+        this.file = file;
+        this.level = level;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+        try {
+            this.size = fs.statSync(file).size;
+        } catch {
+            this.size = 0;
+        }
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Writes an entry if its level is enabled.
+     *
+     * @param {string} level - One of LOG_LEVELS.
+     * @param {string} module - What logged it, e.g. `daemon` or a matrix-bot-sdk module.
+     * @param {...*} args - The message, formatted like console.log does.
+     */
+    log(level, module, ...args) {
+        if (!this.isEnabled(level)) return;
+
+        const line = JSON.stringify({ time: new Date().toISOString(), level, module, ...formatArgs(args) }) + '\n';
+        const bytes = Buffer.byteLength(line);
+
+        try {
+            if (this.size > 0 && this.size + bytes > this.maxBytes) {
+                this.rotate();
+            }
+            fs.appendFileSync(this.file, line, { mode: 0o600 });
+            this.size += bytes;
+        } catch {
+            // Logging must never take the daemon down
+        }
+    }
+
+    /**
+     * Shifts `daemon.log` to `daemon.log.1`, `.1` to `.2` and so on, dropping the oldest.
+     *
+     * @private
+     */
+    rotate() {
+        fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${this.file}.${i}`)) {
+                fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+            }
+        }
+        fs.renameSync(this.file, `${this.file}.1`);
+        this.size = 0;
+    }
+
+    /**
+     * Sends console output, uncaught exceptions and unhandled rejections to the log. The
+     * detached daemon has no terminal, so this is where its output ends up.
+     */
+    captureConsole() {
+        console.error = (...args) => this.log('error', 'daemon', ...args);
+        console.warn = (...args) => this.log('warn', 'daemon', ...args);
+        console.log = console.info = (...args) => this.log('info', 'daemon', ...args);
+        console.debug = (...args) => this.log('debug', 'daemon', ...args);
+
+        process.on('uncaughtException', (error) => {
+            this.log('error', 'daemon', 'Uncaught exception:', error);
+            process.exit(1);
+        });
+        process.on('unhandledRejection', (reason) => {
+            this.log('error', 'daemon', 'Unhandled rejection:', reason);
+        });
+    }
+
+    /**
+     * Adapts the logger to the ILogger interface of matrix-bot-sdk's LogService.
+     *
+     * @returns {Object}
+     */
+    asLogService() {
+        return Object.fromEntries(LOG_LEVELS.map(level => [level, (module, ...args) => this.log(level, module, ...args)]));
+    }
+}
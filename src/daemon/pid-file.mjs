@@ -0,0 +1,118 @@
+import fs from 'fs';
+import { execFileSync } from 'child_process';
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it exists, but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * The command line of a process, or null if it can't be read.
+ *
+ * @param {number} pid - The process.
+ * @returns {string|null}
+ */
+function commandLine(pid) {
+    try {
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').join(' ');
+    } catch {
+        // No procfs, e.g. on macOS
+    }
+    try {
+        return execFileSync('ps', ['-o', 'command=', '-p', String(pid)], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Records the PID of the current process, with the script it runs so the PID can be told
+ * apart from an unrelated process that got it after this one exited.
+ *
+ * @param {string} file - The PID file.
+ */
+export function writePidFile(file) {
+    fs.writeFileSync(file, `${process.pid}\n${process.argv[1]}\n`, { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Removes the PID file, unless another process has written its own PID there since.
+ *
+ * @param {string} file - The PID file.
+ */
+export function removePidFile(file) {
+    if (readPid(file) === process.pid) {
+        fs.rmSync(file, { force: true });
+    }
+}
+
+function readEntry(file) {
+    try {
+        const [pid, script] = fs.readFileSync(file, 'utf8').split('\n');
+        const parsed = parseInt(pid, 10);
+        return Number.isInteger(parsed) && parsed > 0 ? { pid: parsed, script: script?.trim() || null } : null;
+    } catch {
+        return null;
+    }
+}
+
+function readPid(file) {
+    return readEntry(file)?.pid ?? null;
+}
+
+/**
+ * Reads a PID file and checks that its process is still alive and still runs the script that wrote
+ * the file. A file left behind by a process that is gone, or whose PID now belongs to another
+ * process, is removed.
+ *
+ * @param {string} file - The PID file.
+ * @returns {number|null} - The PID of the running process, or null.
+ */
+export function readPidFile(file) {
+    const entry = readEntry(file);
+    if (entry === null) return null;
+
+    if (!isAlive(entry.pid)) {
+        fs.rmSync(file, { force: true });
+        return null;
+    }
+
+    const command = commandLine(entry.pid);
+    // Without a way to read the command line the process can't be told apart, leave it and its file alone
+    if (command === null) return null;
+
+    if (!entry.script || !command.includes(entry.script)) {
+        fs.rmSync(file, { force: true });
+        return null;
+    }
+    return entry.pid;
+}
+
+/**
+ * Sends SIGTERM to a process and waits for it to exit. Only pass a PID readPidFile just returned.
+ *
+ * @async
+ * @param {number} pid - The process.
+ * @param {number} [timeout=10000] - How long to wait, in milliseconds.
+ * @returns {Promise<boolean>} - Whether it exited in time.
+ */
+export async function terminate(pid, timeout = 10000) {
+    try {
+        process.kill(pid, 'SIGTERM');
+    } catch (error) {
+        if (error.code === 'ESRCH') return true;
+        throw error;
+    }
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (!isAlive(pid)) return true;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return false;
+}
@@ -0,0 +1,155 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Version of the IPC protocol between the CLI and the daemon. Bump it whenever a message,
+ * an action's parameters or its result change in a way the other side can't handle.
+ */
+export const PROTOCOL_VERSION = 6;
+
+/**
+ * Version of the installed cich package.
+ */
+export const CICH_VERSION = require('../../package.json').version;
+
+/**
+ * Actions whose results are streamed. The daemon first answers with the subscription
+ * (`subscribed: true`, `data.subscriptionId`), then with every invocation of the `callback`
+ * parameter, all carrying the request's ID, until the client sends `unsubscribe` or disconnects.
+ */
+export const STREAM_ACTIONS = ['streamMessages', 'subscribeEvents', 'verifyDevice', 'acceptVerification'];
+
+/**
+ * Actions the daemon answers while it can't reach the homeserver, history and room lists from
+ * its message store. The others are refused with `CICH_OFFLINE` until the connection is back,
+ * which the daemon announces to every client with a `connection.lost` and a `connection.restored` event.
+ * If the homeserver rejects the access token, the daemon stops retrying and announces `auth.failed` instead.
+ */
+export const LOCAL_ACTIONS = ['streamMessages', 'subscribeEvents', 'unsubscribe', 'getVaultKey', 'getDaemonStatus', 'listRooms', 'getMessages'];
+
+/**
+ * Actions that can take long and report how far they got. Until their result, the daemon answers
+ * with `progress` responses (`success: true`, `progress: {...}`) carrying the request's ID. A
+ * `cancel` message with the request's ID stops them between two pages, rooms or the like; they
+ * then fail with `CICH_CANCELLED`.
+ */
+export const PROGRESS_ACTIONS = ['listRooms', 'getMessages', 'exportRoomKeys'];
+
+/**
+ * How long the CLI waits for an answer before it gives up and cancels the request, in
+ * milliseconds. The wait starts over with every progress response, so a long pagination only
+ * times out when it stalls. Streams are never timed out.
+ */
+export const DEFAULT_TIMEOUT = 10000;
+export const COMMAND_TIMEOUTS = {
+    listRooms: 30000,
+    getMessages: 30000,
+    bootstrapCrossSigning: 30000,
+    exportRoomKeys: 60000,
+    importRoomKeys: 120000,
+    enableKeyBackup: 30000,
+    restoreKeyBackup: 120000,
+};
+
+/**
+ * Actions the daemon accepts over the socket, with the type of every parameter. A trailing `?`
+ * marks an optional parameter, which may also be null. Anything else is refused.
+ */
+export const ACTIONS = {
+    listRooms: { membership: 'string?' },
+    createRoom: { name: 'string', topic: 'string?', preset: 'string?', visibility: 'string?', initialState: 'array?' },
+    joinRoom: { roomId: 'string' },
+    getRoomEncryption: { roomId: 'string' },
+    enableEncryption: { roomId: 'string' },
+    leaveRoom: { roomId: 'string' },
+    inviteUser: { roomId: 'string', userId: 'string' },
+    listDevices: {},
+    renameDevice: { deviceId: 'string', displayName: 'string' },
+    deleteDevices: { deviceIds: 'array', auth: 'object?' },
+    verifyDevice: { userId: 'string', deviceId: 'string?' },
+    acceptVerification: { userId: 'string?' },
+    confirmVerification: { transactionId: 'string', match: 'boolean' },
+    cancelVerification: { transactionId: 'string' },
+    getCrossSigningStatus: {},
+    bootstrapCrossSigning: { auth: 'object?', force: 'boolean?' },
+    exportRoomKeys: {},
+    importRoomKeys: { sessions: 'array' },
+    getKeyBackupStatus: {},
+    enableKeyBackup: { passphrase: 'string?' },
+    restoreKeyBackup: { recoveryKey: 'string?', passphrase: 'string?' },
+    sendMessage: { room: 'object', message: 'object', refusePlaintext: 'boolean?' },
+    streamMessages: { room: 'object' },
+    subscribeEvents: { roomIds: 'array?', types: 'array?' },
+    unsubscribe: { subscriptionId: 'string' },
+    getMessages: { roomId: 'string', startDate: 'number', endDate: 'number', options: 'object?' },
+    getVaultKey: {},
+    getDaemonStatus: {},
+};
+
+/**
+ * Error codes of requests the daemon refuses before running them, or stops on request.
+ */
+export const ERROR_CODES = {
+    UNAUTHORIZED: 'CICH_UNAUTHORIZED',
+    UNKNOWN_ACTION: 'CICH_UNKNOWN_ACTION',
+    INVALID_PARAMS: 'CICH_INVALID_PARAMS',
+    OFFLINE: 'CICH_OFFLINE',
+    CANCELLED: 'CICH_CANCELLED',
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Checks the parameters of an action against ACTIONS.
+ *
+ * @param {string} action - The requested action.
+ * @param {*} params - The parameters as received.
+ * @returns {string|null} - What is wrong with them, or null if they are valid.
+ */
+export function validateParams(action, params = {}) {
+    if (typeOf(params) !== 'object') {
+        return 'parameters must be an object';
+    }
+
+    const schema = ACTIONS[action];
+    for (const key of Object.keys(params)) {
+        if (!Object.hasOwn(schema, key)) return `unexpected parameter "${key}"`;
+    }
+
+    for (const [key, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = params[key];
+
+        if (value === undefined || value === null) {
+            if (!optional) return `missing parameter "${key}"`;
+        } else if (typeOf(value) !== type) {
+            return `parameter "${key}" must be ${type === 'array' ? 'an array' : `a ${type}`}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Explains why the CLI can't work with a daemon, based on the daemon's handshake.
+ *
+ * @param {{protocol: number, version: string, userId: string|null}} hello - What the daemon reported.
+ * @param {string|undefined} userId - The account of the active profile.
+ * @returns {string|null} - The reason, or null if the daemon is compatible.
+ */
+export function describeIncompatibility(hello, userId) {
+    if (hello.protocol !== PROTOCOL_VERSION) {
+        const daemon = hello.protocol ? `cich ${hello.version}, protocol ${hello.protocol}` : 'an older cich without a version handshake';
+        return `The running daemon (${daemon}) doesn't match this CLI (cich ${CICH_VERSION}, protocol ${PROTOCOL_VERSION})`;
+    }
+    if (userId && hello.userId && hello.userId !== userId) {
+        return `The running daemon is logged in as ${hello.userId}, not ${userId}`;
+    }
+    return null;
+}
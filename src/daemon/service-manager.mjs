@@ -0,0 +1,246 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync, spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { configStore } from '../config/store.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const RUNNER_PATH = path.resolve(__dirname, './start-daemon-runner.mjs');
+const SYSTEMD_USER_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'systemd', 'user');
+
+// Environment the daemon needs to find the same profile, stores and socket as the CLI that installed it
+const PASSED_ENV = ['XDG_CONFIG_HOME', 'XDG_DATA_HOME', 'XDG_STATE_HOME', 'XDG_RUNTIME_DIR', 'CICH_LOG_LEVEL'];
+
+function serviceEnvironment() {
+    const env = { CICH_PROFILE: configStore.profile };
+    for (const key of PASSED_ENV) {
+        if (process.env[key]) env[key] = process.env[key];
+    }
+    return env;
+}
+
+// Double quotes (and doubled `%` specifiers) for systemd, single quotes for sh
+const systemdQuote = (value) => `"${value.replace(/(["\\])/g, '\\$1').replace(/%/g, '%%')}"`;
+const shellQuote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+function systemctl(...args) {
+    return execFileSync('systemctl', ['--user', ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 15000 });
+}
+
+/**
+ * Name of the systemd user unit of the active profile.
+ *
+ * @returns {string}
+ */
+export function unitName() {
+    return configStore.profile === 'default' ? 'cich-daemon.service' : `cich-daemon-${configStore.profile}.service`;
+}
+
+export function unitPath() {
+    return path.join(SYSTEMD_USER_DIR, unitName());
+}
+
+export function initScriptPath() {
+    return path.join(configStore.profileDir, 'daemon-init.sh');
+}
+
+/**
+ * Checks whether a systemd user manager is reachable.
+ *
+ * @returns {boolean}
+ */
+export function hasSystemd() {
+    try {
+        systemctl('show-environment');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Tells how the daemon of the active profile is managed.
+ *
+ * @returns {'systemd'|'init'|null} - The kind of service installed, or null if there is none.
+ */
+export function installedService() {
+    if (fs.existsSync(unitPath())) return 'systemd';
+    if (fs.existsSync(initScriptPath())) return 'init';
+    return null;
+}
+
+function buildUnit() {
+    const environment = Object.entries(serviceEnvironment())
+        .map(([key, value]) => `Environment=${systemdQuote(`${key}=${value}`)}`);
+
+    return [
+        '[Unit]',
+        `Description=cich Matrix daemon (profile ${configStore.profile})`,
+        'Wants=network-online.target',
+        'After=network-online.target',
+        '',
+        '[Service]',
+        'Type=simple',
+        `ExecStart=${systemdQuote(process.execPath)} ${systemdQuote(RUNNER_PATH)}`,
+        ...environment,
+        // `cich daemon stop` exits cleanly, anything else is a crash
+        'Restart=on-failure',
+        'RestartSec=5',
+        '',
+        '[Install]',
+        'WantedBy=default.target',
+        ''
+    ].join('\n');
+}
+
+function buildInitScript() {
+    const pidFile = configStore.daemonPidPath;
+    const exports = Object.entries(serviceEnvironment())
+        .map(([key, value]) => `export ${key}=${shellQuote(value)}`);
+
+    return `#!/bin/sh
+# cich daemon of profile "${configStore.profile}", generated by \`cich daemon install-service\`.
+# Usage: $0 start|stop|restart|status
+# Start it at boot from your init system, or with the crontab line: @reboot ${initScriptPath()} start
+
+NODE=${shellQuote(process.execPath)}
+RUNNER=${shellQuote(RUNNER_PATH)}
+PIDFILE=${shellQuote(pidFile)}
+SUPERVISOR_PIDFILE="$PIDFILE.supervisor"
+${exports.join('\n')}
+
+alive() {
+    [ -f "$1" ] && kill -0 "$(cat "$1")" 2>/dev/null
+}
+
+case "$1" in
+    start)
+        if alive "$SUPERVISOR_PIDFILE"; then
+            echo "cich daemon is already running"
+            exit 0
+        fi
+        mkdir -p -m 700 "$(dirname "$PIDFILE")"
+        nohup "$0" supervise >/dev/null 2>&1 &
+        echo $! > "$SUPERVISOR_PIDFILE"
+        echo "cich daemon started"
+        ;;
+    supervise)
+        # Restart the daemon until it exits cleanly, which it does when stopped on purpose
+        while :; do
+            "$NODE" "$RUNNER" </dev/null
+            [ $? -eq 0 ] && break
+            sleep 5
+        done
+        rm -f "$SUPERVISOR_PIDFILE"
+        ;;
+    stop)
+        alive "$SUPERVISOR_PIDFILE" && kill "$(cat "$SUPERVISOR_PIDFILE")"
+        rm -f "$SUPERVISOR_PIDFILE"
+        if alive "$PIDFILE"; then
+            kill "$(cat "$PIDFILE")"
+            echo "cich daemon stopped"
+        fi
+        ;;
+    restart)
+        "$0" stop
+        sleep 1
+        "$0" start
+        ;;
+    status)
+        if alive "$PIDFILE"; then
+            echo "cich daemon is running (PID $(cat "$PIDFILE"))"
+        else
+            echo "cich daemon is not running"
+            exit 3
+        fi
+        ;;
+    *)
+        echo "Usage: $0 start|stop|restart|status" >&2
+        exit 2
+        ;;
+esac
+`;
+}
+
+/**
+ * Installs and starts a service that runs the daemon of the active profile and restarts it
+ * when it crashes: a systemd user unit, or an init script where systemd isn't available.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.initScript=false] - Write the init script even if systemd is available.
+ * @returns {{kind: 'systemd'|'init', path: string}} - What was installed, and where.
+ * @throws {Error} - If a service is already installed or systemd refuses the unit.
+ */
+export function installService({ initScript = false } = {}) {
+    const existing = installedService();
+    if (existing) {
+        throw new Error(`A ${existing === 'systemd' ? 'systemd unit' : 'init script'} is already installed for profile "${configStore.profile}", uninstall it first.`);
+    }
+
+    if (!initScript && hasSystemd()) {
+        fs.mkdirSync(SYSTEMD_USER_DIR, { recursive: true });
+        fs.writeFileSync(unitPath(), buildUnit(), { encoding: 'utf8', mode: 0o644 });
+        systemctl('daemon-reload');
+        systemctl('enable', '--now', unitName());
+        return { kind: 'systemd', path: unitPath() };
+    }
+
+    fs.mkdirSync(configStore.profileDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(initScriptPath(), buildInitScript(), { encoding: 'utf8', mode: 0o700 });
+    execFileSync(initScriptPath(), ['start'], { stdio: 'ignore', timeout: 15000 });
+    return { kind: 'init', path: initScriptPath() };
+}
+
+/**
+ * Stops the service of the active profile and removes it.
+ *
+ * @returns {{kind: 'systemd'|'init', path: string}|null} - What was removed, or null if nothing was installed.
+ */
+export function uninstallService() {
+    const kind = installedService();
+
+    if (kind === 'systemd') {
+        try {
+            systemctl('disable', '--now', unitName());
+        } catch (error) {
+            console.warn(`⚠️  systemctl could not disable ${unitName()}: ${error.stderr?.trim() || error.message}`);
+        }
+        fs.rmSync(unitPath(), { force: true });
+        try {
+            systemctl('daemon-reload');
+        } catch {
+            // Nothing to reload without a user manager
+        }
+        return { kind, path: unitPath() };
+    }
+
+    if (kind === 'init') {
+        execFileSync(initScriptPath(), ['stop'], { stdio: 'ignore', timeout: 15000 });
+        fs.rmSync(initScriptPath(), { force: true });
+        return { kind, path: initScriptPath() };
+    }
+
+    return null;
+}
+
+/**
+ * Starts the installed service instead of a detached daemon, so it stays supervised.
+ *
+ * @returns {boolean} - Whether a service was installed and started.
+ */
+export function startInstalledService() {
+    const kind = installedService();
+
+    if (kind === 'systemd') {
+        systemctl('start', unitName());
+        return true;
+    }
+    if (kind === 'init') {
+        const child = spawn(initScriptPath(), ['start'], { detached: true, stdio: 'ignore' });
+        child.unref();
+        return true;
+    }
+    return false;
+}
@@ -1,19 +1,18 @@
 import fs from 'fs'
 import path from 'path'
+import { randomBytes, timingSafeEqual } from 'crypto';
 import IPC from 'node-ipc';
-import config from '../state/config.js';
+import { configStore } from '../config/store.mjs';
+import { credentialVault } from '../config/vault.mjs';
 import { MatrixCommands } from '../matrix/commands.mjs';
-// Matrix client
-import {
-    MatrixClient,
-    SimpleFsStorageProvider,
-    AutojoinRoomsMixin,
-    LogService,
-    LogLevel,
-    RustSdkCryptoStorageProvider
-} from 'matrix-bot-sdk';
+import { SyncMonitor } from '../matrix/sync-monitor.mjs';
+import { loadMatrixSdk } from '../matrix/sdk.mjs';
+import { PROTOCOL_VERSION, CICH_VERSION, STREAM_ACTIONS, LOCAL_ACTIONS, PROGRESS_ACTIONS, ACTIONS, ERROR_CODES, validateParams } from './protocol.mjs';
+import { requestedLogLevel } from './logger.mjs';
+import { writePidFile, removePidFile } from './pid-file.mjs';
+import { parseBridgeAddress, isLoopback } from './bridge.mjs';
 
-LogService.setLevel(LogLevel.INFO); // Set to 'silent' to suppress logs
+const refuse = (errcode, message) => Object.assign(new Error(message), { errcode });
 
 
 /**
@@ -22,34 +21,67 @@ LogService.setLevel(LogLevel.INFO); // Set to 'silent' to suppress logs
  * * @description This class sets up an IPC server to listen for commands and execute them using the MatrixCommands class.
  * * * @property {IPC.IPC} ipc - Instance of the IPC server for inter-process communication.
  * * @property {MatrixCommands} commands - Instance of the MatrixCommands class to handle Matrix operations.
+ * * @property {string} secret - Per-session secret clients must present in their `hello`.
+ * * @property {WeakSet} authenticated - Sockets that presented the secret.
+ * * @property {WeakMap} socketSubscriptions - Stream subscription IDs of every client socket.
+ * * @property {Map<Object, Map<string, Object>>} pending - Action, start time and AbortController of the commands being run, by client socket and request ID.
+ * * @property {SyncMonitor} sync - Keeps the client connected and tracks its connectivity.
+ * * @property {IPC.IPC|null} bridge - The network bridge, if `bridgeListen` is configured.
  * * @method start - Initializes the IPC server and MatrixCommands instance.
  * * @method setupIPC - Sets up the IPC server to listen for incoming commands and respond with results or errors.
+ * * @method setupBridge - Serves the same protocol over TCP or TLS to remote clients with the bridge token.
+ * * @method handleClients - Answers the handshake, commands and stop requests of a server's clients.
+ * * @method describe - Builds the handshake that tells clients which daemon they are talking to.
+ * * @method status - Reports the health of the daemon for `daemon status`.
+ * * @method broadcast - Sends an event, like `connection.lost`, to every authenticated client.
  */
 export class MatrixDaemon {
     constructor() {
         this.ipc = new IPC.IPC();
         this.commands = null;
+        this.secret = null;
+        this.authenticated = new WeakSet();
+        this.socketSubscriptions = new WeakMap();
+        this.startedAt = Date.now();
+        this.pending = new Map();
+        this.client = null;
+        this.sync = null;
+        this.bridge = null;
+        this.bridgeToken = null;
     }
 
     /**
-     * Creates and initializes a Matrix client instance.
+     * Creates a Matrix client instance, without starting it.
      *
      * @async
-     * @returns {Promise<MatrixClient>} - A promise that resolves to the initialized Matrix client.
+     * @returns {Promise<MatrixClient>} - A promise that resolves to the Matrix client.
      *
      * @description
-     * This function creates a new Matrix client using the provided configuration parameters,
-     * sets up error handling for client errors, and waits until the client's initial sync
-     * state is 'PREPARED'. If the client initialization fails, it throws an error.
+     * This function creates a new Matrix client using the provided configuration parameters
+     * and hands its sync requests to the SyncMonitor, which retries them with backoff and
+     * reports when the homeserver goes away or comes back. Start it with `this.sync.start()`.
      */
     async _createClient() {
-        const storage = new SimpleFsStorageProvider('storage.json');
-        const cryptoStore = new RustSdkCryptoStorageProvider('crypto_store');
+        const config = configStore.require();
+        const accessToken = await credentialVault.getAccessToken();
+
+        // Only keep the vault key around if the user opted in to handing it to CLI commands
+        if (!configStore.get('vaultKeyCache')) {
+            credentialVault.forgetKey();
+        }
+
+        const { MatrixClient, SimpleFsStorageProvider, RustSdkCryptoStorageProvider, AutojoinRoomsMixin, LogService, LogLevel } = await loadMatrixSdk();
+        // INFO unless the CLI that started the daemon was given --debug or --verbose
+        LogService.setLevel(LogLevel.fromString(requestedLogLevel(), LogLevel.INFO));
+
+        configStore.ensureDataDir();
+        const storage = new SimpleFsStorageProvider(configStore.storagePath);
+        const cryptoStore = new RustSdkCryptoStorageProvider(configStore.cryptoStorePath);
 
         // Create the client
         const client = new MatrixClient(
             config.homeserverUrl,
-            config.accessToken,
+            accessToken,
             storage,
             cryptoStore
         );
@@ -57,14 +89,12 @@ export class MatrixDaemon {
         // Optional: Auto-join rooms if you want similar behavior to syncing
         AutojoinRoomsMixin.setupOnClient(client);
 
+        this.sync = new SyncMonitor(client);
+        this.sync.install();
 
-        try {
-            // Start syncing
-            await client.start();
-            console.log("Matrix bot client is ready and syncing.");
-        } catch (error) {
-            console.error("Failed to initialize Matrix bot client:", error);
-            throw new Error("Client initialization failed");
+        // Tell every client, e.g. so the TUI can show that messages are delayed or that the user must log in again
+        for (const event of ['connection.lost', 'connection.restored', 'auth.failed']) {
+            this.sync.on(event, (state) => this.broadcast(event, state));
         }
 
         return client;
@@ -79,19 +109,161 @@ export class MatrixDaemon {
      * @returns {Promise<void>} - A promise that resolves when the IPC server is started.
      */
     async start() {
-        const client = await this._createClient();
-        this.commands = new MatrixCommands(client);
+        this.client = await this._createClient();
+        this.commands = new MatrixCommands(this.client, this.sync);
         this.setupIPC();
 
+        // Serve local requests right away, and the others once the homeserver answers
+        this.sync.start().then(() => {
+            console.log("Matrix bot client is ready and syncing.");
+
+            // Keep backing up new room keys if this profile holds the backup key
+            return this.commands.keyBackup.startUploads()
+                .catch(error => console.error('Failed to start key backup uploads:', error.message));
+        }, () => {
+            // Only a rejected access token ends the retries, the SyncMonitor reported it; local requests are still served
+        });
+
+        // Service managers and `daemon stop` without a working socket stop the daemon by PID
+        for (const signal of ['SIGTERM', 'SIGINT']) {
+            process.once(signal, () => {
+                console.log(`Received ${signal}, shutting down...`);
+                this.stop();
+                process.exit(0);
+            });
+        }
+
         return new Promise((resolve) => {
             this.ipc.server.on('start', () => {
-                console.log('IPC server started and listening for commands...');
+                writePidFile(configStore.daemonPidPath);
+                console.log(`IPC server started and listening for commands (PID ${process.pid})...`);
                 resolve();
             });
 
         });
     }
 
+    /**
+     * Builds the handshake sent to every client that says `hello`: protocol and cich version,
+     * the account the daemon is logged in as, the actions it supports and whether it can reach
+     * the homeserver.
+     *
+     * @async
+     * @returns {Promise<{protocol: number, version: string, profile: string, userId: string, deviceId: string|null, actions: string[], connection: Object}>}
+     */
+    async describe() {
+        return {
+            protocol: PROTOCOL_VERSION,
+            version: CICH_VERSION,
+            profile: configStore.profile,
+            userId: await this.userId(),
+            deviceId: this.commands.client.crypto?.clientDeviceId ?? null,
+            actions: Object.keys(ACTIONS),
+            connection: this.sync.state()
+        };
+    }
+
+    /**
+     * The account of the daemon. Until the client has started, asking the homeserver may not
+     * work, so the configured one is used.
+     *
+     * @async
+     * @returns {Promise<string>}
+     */
+    async userId() {
+        return this.sync.started ? this.client.getUserId() : configStore.get('userId');
+    }
+
+    describeOffline() {
+        const { lastError, retryAt, authFailed } = this.sync;
+        if (authFailed) return `The homeserver rejected the daemon's access token (${lastError}). Log in again: cich auth logout && cich auth login`;
+        if (!lastError) return 'The daemon is still connecting to the homeserver, try again in a moment';
+
+        const retry = retryAt ? `, retrying in ${Math.max(0, Math.round((retryAt - Date.now()) / 1000))}s` : '';
+        return `The daemon can't reach the homeserver (${lastError})${retry}`;
+    }
+
+    /**
+     * Sends an event to every authenticated client.
+     *
+     * @param {string} event - The IPC event, e.g. `connection.lost`.
+     * @param {Object} data - Its payload.
+     */
+    broadcast(event, data) {
+        for (const server of [this.ipc.server, this.bridge?.server]) {
+            for (const socket of server?.sockets || []) {
+                if (socket.destroyed || !this.authenticated.has(socket)) continue;
+                server.emit(socket, event, data);
+            }
+        }
+    }
+
+    /**
+     * Reports the health of the daemon: process, account, sync, connected clients, streams,
+     * commands in progress and memory usage.
+     *
+     * @async
+     * @returns {Promise<Object>}
+     */
+    async status() {
+        const client = this.commands.client;
+        const now = Date.now();
+        const { rss, heapUsed, heapTotal, external } = process.memoryUsage();
+
+        return {
+            pid: process.pid,
+            version: CICH_VERSION,
+            protocol: PROTOCOL_VERSION,
+            profile: configStore.profile,
+            startedAt: this.startedAt,
+            uptime: now - this.startedAt,
+            userId: await this.userId(),
+            deviceId: client.crypto?.clientDeviceId ?? null,
+            homeserver: client.homeserverUrl,
+            connection: this.sync.state(),
+            lastSyncAt: this.sync.lastSyncAt,
+            syncLag: this.sync.lastSyncAt ? now - this.sync.lastSyncAt : null,
+            joinedRooms: client.lastJoinedRoomIds.length,
+            clients: this.ipc.server.sockets.length + (this.bridge?.server?.sockets.length ?? 0),
+            bridge: this.bridge ? { listen: configStore.get('bridgeListen'), clients: this.bridge.server?.sockets.length ?? 0 } : null,
+            subscriptions: this.commands.subscriptions.size,
+            pendingRequests: [...this.pending.values()].flatMap(requests => [...requests.values()]).filter(({ action }) => action !== 'getDaemonStatus').map(({ action, startedAt }) => ({ action, runningFor: now - startedAt })),
+            memory: { rss, heapUsed, heapTotal, external }
+        };
+    }
+
+    /**
+     * Creates the secret of this daemon session and writes it where only the current user can
+     * read it. Clients present it in their `hello` before any command is accepted.
+     */
+    createSecret() {
+        this.secret = randomBytes(32).toString('hex');
+        fs.writeFileSync(configStore.daemonSecretPath, this.secret + '\n', { encoding: 'utf8', mode: 0o600 });
+    }
+
+    pendingOf(socket) {
+        if (!this.pending.has(socket)) {
+            this.pending.set(socket, new Map());
+        }
+        return this.pending.get(socket);
+    }
+
+    subscriptionsOf(socket) {
+        if (!this.socketSubscriptions.has(socket)) {
+            this.socketSubscriptions.set(socket, new Set());
+        }
+        return this.socketSubscriptions.get(socket);
+    }
+
+    isValidSecret(secret, expected = this.secret) {
+        if (typeof secret !== 'string' || typeof expected !== 'string') return false;
+
+        const given = Buffer.from(secret);
+        const wanted = Buffer.from(expected);
+        if (given.length !== wanted.length) return false;
+        return timingSafeEqual(given, wanted);
+    }
+
     /**
      * Sets up the IPC server to listen for incoming commands and respond with results or errors.
      *
@@ -103,91 +275,328 @@ export class MatrixDaemon {
      * message.
      */
     setupIPC() {
-        this.ipc.config.id = `matrix_daemon`;
+        this.ipc.config.id = configStore.daemonId;
         this.ipc.config.retry = 1500;
         this.ipc.config.silent = true;
+        // The socket lives in a directory only the current user can enter
+        this.ipc.config.socketRoot = configStore.ensureRuntimeDir() + path.sep;
+        this.createSecret();
+
+        this.ipc.serve(() => this.handleClients(this.ipc.server, { remote: false }));
+
+        // Start server with error listener
+        this.ipc.server.on('error', (err) => {
+            if (err.code === 'EADDRINUSE') {
+                console.error(`Error: Another instance of ${configStore.daemonId} is already running.`);
+                process.exit(1); // Or throw error if you prefer
+            } else {
+                console.error('IPC Server error:', err);
+            }
+        });
+
+        this.ipc.server.start();
+
+        this.setupBridge();
+    }
+
+    /**
+     * Starts the network bridge if `bridgeListen` is configured: the same protocol as the local
+     * socket over TCP, or over TLS with the `bridgeCert` and `bridgeKey` files. Its clients
+     * authenticate with `bridgeToken` instead of the session secret. A misconfigured bridge is
+     * logged and left off, the local socket keeps working.
+     */
+    setupBridge() {
+        const listen = configStore.get('bridgeListen');
+        if (!listen) return;
+
+        const { tls, host, port } = parseBridgeAddress(listen);
+        const cert = configStore.get('bridgeCert');
+        const key = configStore.get('bridgeKey');
+
+        this.bridgeToken = configStore.get('bridgeToken');
+        if (!this.bridgeToken) {
+            console.error('Not starting the network bridge: it has no token, run "cich daemon bridge-token" first');
+            return;
+        }
+        // node-ipc would fall back to the test certificate it ships with
+        if (tls && !(cert && key)) {
+            console.error('Not starting the network bridge: tls:// needs the bridgeCert and bridgeKey files');
+            return;
+        }
+        if (!tls && !isLoopback(host)) {
+            console.warn(`The network bridge on ${listen} is not encrypted, the token and your messages cross the network in the clear`);
+        }
 
-        this.ipc.serve(() => {
-            // Handle commands
-            this.ipc.server.on('command', async (data, socket) => {
-                try {
-
-                    console.log(`Received command: ${data.action} with params:`, data.params);
-
-                    let result;
-
-                    if (data.action === "streamMessages") {
-                        // Stream messages get emitted differently
-                        result = await this.commands[data.action]({
-                            ...data.params,
-                            callback: (streamData) => {
-                                this.ipc.server.emit(socket, 'response', {
-                                    requestId: data.requestId,
-                                    success: true,
-                                    data: streamData
-                                });
-                            }
-                        });
-
-                        return; // prevent double response
-
-                    } else {
-                        // Normal atomic commands
-                        result = await this.commands[data.action](data.params);
-
-                        this.ipc.server.emit(socket, 'response', {
-                            requestId: data.requestId,
-                            success: true,
-                            data: result
-                        });
+        this.bridge = new IPC.IPC();
+        this.bridge.config.id = configStore.daemonId;
+        this.bridge.config.silent = true;
+        this.bridge.config.tls = tls ? { public: cert, private: key } : false;
+
+        this.bridge.serveNet(host, port, () => {
+            this.handleClients(this.bridge.server, { remote: true });
+            console.log(`Network bridge listening on ${listen}`);
+        });
+
+        this.bridge.server.on('error', (err) => {
+            console.error(`Network bridge error: ${err.message}`);
+        });
+
+        this.bridge.server.start();
+    }
+
+
+
+    /**
+     * Answers the clients of an IPC server: handshake, commands, cancellations, disconnects and
+     * stop requests. The local socket and the network bridge share it.
+     *
+     * @param {Object} server - The node-ipc server.
+     * @param {Object} options
+     * @param {boolean} options.remote - Whether the server is the network bridge, whose clients present the
+     *        bridge token instead of the session secret and never get the vault key.
+     */
+    handleClients(server, { remote }) {
+        // Handshake: clients authenticate with the session secret (bridge token), then check the protocol version and account
+        server.on('hello', async (data, socket) => {
+            if (data?.protocol !== PROTOCOL_VERSION) {
+                console.warn(`Client speaks protocol ${data?.protocol} (cich ${data?.version}), this daemon speaks ${PROTOCOL_VERSION}`);
+            }
+
+            if (!this.isValidSecret(data?.secret, remote ? this.bridgeToken : this.secret)) {
+                console.warn(`Refused a client without the ${remote ? 'bridge token' : 'session secret'}`);
+                server.emit(socket, 'hello', {
+                    protocol: PROTOCOL_VERSION,
+                    version: CICH_VERSION,
+                    error: remote ? 'Wrong or missing bridge token' : 'Wrong or missing daemon session secret',
+                    errcode: ERROR_CODES.UNAUTHORIZED
+                });
+                return;
+            }
+
+            this.authenticated.add(socket);
+            server.emit(socket, 'hello', await this.describe());
+        });
+
+        // Handle commands
+        server.on('command', async (data, socket) => {
+            // Refused before anything is kept for the socket, unauthenticated clients get nothing but this answer
+            if (!this.authenticated.has(socket)) {
+                server.emit(socket, 'response', {
+                    requestId: data?.requestId,
+                    success: false,
+                    error: 'Say hello with the daemon session secret first',
+                    errcode: ERROR_CODES.UNAUTHORIZED
+                });
+                return;
+            }
+
+            // Requests are tracked and answered by their ID, a command without one can't be
+            if (typeof data !== 'object' || data === null || typeof data.requestId !== 'string') {
+                server.emit(socket, 'response', {
+                    requestId: null,
+                    success: false,
+                    error: 'A command needs a string requestId',
+                    errcode: ERROR_CODES.INVALID_PARAMS
+                });
+                return;
+            }
+
+            const requests = this.pendingOf(socket);
+            if (requests.has(data.requestId)) {
+                server.emit(socket, 'response', {
+                    requestId: data.requestId,
+                    success: false,
+                    error: `Request ${data.requestId} is already running`,
+                    errcode: ERROR_CODES.INVALID_PARAMS
+                });
+                return;
+            }
+
+            const controller = new AbortController();
+            requests.set(data.requestId, { action: data.action, startedAt: Date.now(), controller });
+            try {
+                if (!Object.hasOwn(ACTIONS, data.action)) {
+                    throw refuse(ERROR_CODES.UNKNOWN_ACTION, `Unknown action "${data.action}"`);
+                }
+                const invalid = validateParams(data.action, data.params);
+                if (invalid) {
+                    throw refuse(ERROR_CODES.INVALID_PARAMS, `Invalid parameters for ${data.action}: ${invalid}`);
+                }
+                if (!this.sync.online && !LOCAL_ACTIONS.includes(data.action)) {
+                    throw refuse(ERROR_CODES.OFFLINE, this.describeOffline());
+                }
+
+                // UIA stages, key backup restores and key imports carry secrets, keep them out of the log
+                const { auth, recoveryKey, passphrase, sessions, ...loggedParams } = data.params || {};
+                console.log(`Received command: ${data.action} with params:`, loggedParams);
+
+                let result;
+
+                if (STREAM_ACTIONS.includes(data.action)) {
+                    // Streams (messages, verification updates) answer with the subscription, then with every update
+                    result = await this.commands[data.action]({
+                        ...data.params,
+                        callback: (streamData) => {
+                            if (socket.destroyed) return;
+                            server.emit(socket, 'response', {
+                                requestId: data.requestId,
+                                success: true,
+                                data: streamData
+                            });
+                        }
+                    });
+
+                    this.subscriptionsOf(socket).add(result.subscriptionId);
+
+                    server.emit(socket, 'response', {
+                        requestId: data.requestId,
+                        success: true,
+                        subscribed: true,
+                        data: result
+                    });
+
+                } else if (data.action === "unsubscribe") {
+                    // Clients can only stop their own streams
+                    const subscriptions = this.subscriptionsOf(socket);
+                    if (!subscriptions.has(data.params.subscriptionId)) {
+                        throw new Error(`No subscription ${data.params.subscriptionId} on this connection`);
                     }
 
-                } catch (error) {
-                    this.ipc.server.emit(socket, 'response', {
+                    subscriptions.delete(data.params.subscriptionId);
+                    await this.commands.unsubscribe(data.params);
+
+                    server.emit(socket, 'response', {
                         requestId: data.requestId,
-                        success: false,
-                        error: error.message
+                        success: true,
+                        data: null
                     });
-                }
-            });
 
-            // Handle daemon stop request
-            this.ipc.server.on('stop_daemon', async (data, socket) => {
+                } else if (data.action === "getDaemonStatus") {
+                    // Answered by the daemon itself, it knows about its sockets and process
+                    server.emit(socket, 'response', {
+                        requestId: data.requestId,
+                        success: true,
+                        data: await this.status()
+                    });
+
+                } else if (data.action === "getVaultKey") {
+                    // Answered by the daemon itself, MatrixCommands never sees the key
+                    if (remote) {
+                        throw refuse(ERROR_CODES.UNAUTHORIZED, 'The vault key is never handed out over the network bridge');
+                    }
+                    if (!credentialVault.cachedKey) {
+                        throw new Error('Vault key is not cached by the daemon');
+                    }
+
+                    server.emit(socket, 'response', {
+                        requestId: data.requestId,
+                        success: true,
+                        data: { key: credentialVault.cachedKey }
+                    });
 
-                console.log('Received stop_daemon request, shutting down...');
+                } else if (PROGRESS_ACTIONS.includes(data.action)) {
+                    // Long commands report their progress and stop early when cancelled
+                    result = await this.commands[data.action]({
+                        ...data.params,
+                        signal: controller.signal,
+                        onProgress: (progress) => {
+                            if (socket.destroyed) return;
+                            server.emit(socket, 'response', {
+                                requestId: data.requestId,
+                                success: true,
+                                progress
+                            });
+                        }
+                    });
 
-                try {
-                    this.stop();
+                    server.emit(socket, 'response', {
+                        requestId: data.requestId,
+                        success: true,
+                        data: result
+                    });
 
-                    // Emit confirmation to client
-                    this.ipc.server.emit(socket, 'stopped');
+                } else {
+                    // Normal atomic commands
+                    result = await this.commands[data.action](data.params);
 
-                    // Exit the process after short delay
-                    setTimeout(() => {
-                        process.exit(0);
-                    }, 100);
-                } catch (err) {
-                    console.error('Failed to stop daemon:', err);
+                    server.emit(socket, 'response', {
+                        requestId: data.requestId,
+                        success: true,
+                        data: result
+                    });
                 }
-            });
 
+            } catch (error) {
+                // Commands cancelled because their client disconnected have nobody to tell
+                if (socket.destroyed) return;
+                // Matrix errors keep their errcode and body, e.g. for User-Interactive Auth
+                server.emit(socket, 'response', {
+                    requestId: data.requestId,
+                    success: false,
+                    error: error.message || `HTTP ${error.statusCode}`,
+                    errcode: error.errcode,
+                    statusCode: error.statusCode,
+                    body: error.body
+                });
+            } finally {
+                requests.delete(data.requestId);
+                if (requests.size === 0) this.pending.delete(socket);
+            }
+        });
+
+        // Cancel a command still being run, when its client gave up waiting or the user interrupted it
+        server.on('cancel', (data, socket) => {
+            // Clients can only cancel their own requests
+            const request = this.pending.get(socket)?.get(data?.requestId);
+            if (!request) return;
 
+            console.log(`Cancelling ${request.action} (${data.requestId})`);
+            request.controller.abort(refuse(ERROR_CODES.CANCELLED, `${request.action} was cancelled`));
         });
 
-        // Start server with error listener
-        this.ipc.server.on('error', (err) => {
-            if (err.code === 'EADDRINUSE') {
-                console.error(`Error: Another instance of matrix_daemon is already running.`);
-                process.exit(1); // Or throw error if you prefer
-            } else {
-                console.error('IPC Server error:', err);
+        // Streams of a client that went away would keep emitting to a dead socket
+        server.on('socket.disconnected', (socket) => {
+            // Nobody is waiting for the results of its commands anymore
+            for (const request of this.pending.get(socket)?.values() || []) {
+                request.controller.abort(refuse(ERROR_CODES.CANCELLED, `${request.action} was cancelled, its client disconnected`));
+            }
+
+            const subscriptions = this.subscriptionsOf(socket);
+            if (subscriptions.size === 0) return;
+
+            console.log(`Client disconnected, stopping ${subscriptions.size} stream(s)`);
+            for (const subscriptionId of subscriptions) {
+                // Verifications end on their own, their subscription may already be gone
+                this.commands.unsubscribe({ subscriptionId }).catch(() => { });
             }
+            this.socketSubscriptions.delete(socket);
         });
 
-        this.ipc.server.start();
-    }
+        // Handle daemon stop request
+        server.on('stop_daemon', async (data, socket) => {
+            if (!this.authenticated.has(socket)) {
+                console.warn('Ignored a stop_daemon request from an unauthenticated client');
+                return;
+            }
+
+
+            console.log('Received stop_daemon request, shutting down...');
 
+            try {
+                this.stop();
 
+                // Emit confirmation to client
+                server.emit(socket, 'stopped');
+
+                // Exit the process after short delay
+                setTimeout(() => {
+                    process.exit(0);
+                }, 100);
+            } catch (err) {
+                console.error('Failed to stop daemon:', err);
+            }
+        });
+    }
 
     /**
      * Stops the IPC server and Matrix client.
@@ -198,7 +607,10 @@ export class MatrixDaemon {
      */
     stop() {
         this.ipc.server.stop();
-        this.client?.stopClient?.();
+        this.bridge?.server?.stop();
+        fs.rmSync(configStore.daemonSecretPath, { force: true });
+        removePidFile(configStore.daemonPidPath);
+        this.client?.stop();
     }
 
 }
@@ -1,5 +1,34 @@
 import { startDaemon } from "../cli/daemon/start.mjs";
-startDaemon().then(() => {
+import { credentialVault } from "../config/vault.mjs";
+import { configStore } from "../config/store.mjs";
+import { DaemonLogger, requestedLogLevel } from "./logger.mjs";
+import { loadMatrixSdk } from "../matrix/sdk.mjs";
+
+// Detached, the daemon has no terminal: its output and the SDK's logs go to the profile's JSON-lines log
+const logger = new DaemonLogger(configStore.daemonLogPath, { level: requestedLogLevel() });
+logger.captureConsole();
+const { LogService } = await loadMatrixSdk();
+LogService.setLogger(logger.asLogService());
+
+// The CLI that spawned us hands over the unlocked vault key on stdin
+async function readVaultKey() {
+    if (process.env.CICH_VAULT_KEY_STDIN !== '1') return null;
+
+    let input = '';
+    for await (const chunk of process.stdin) {
+        input += chunk;
+    }
+    delete process.env.CICH_VAULT_KEY_STDIN;
+
+    return input.trim() || null;
+}
+
+readVaultKey().then(async (key) => {
+    if (key) {
+        await credentialVault.unlock({ key });
+    }
+    await startDaemon();
+}).then(() => {
     console.log("Daemon started successfully!");
 }).catch((error) => {
     console.error("Daemon failed to start:", error.message);
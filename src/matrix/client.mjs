@@ -1,14 +1,10 @@
 import { MatrixCommands } from './commands.mjs';
-import config from '../state/config.js';
+import { SyncMonitor } from './sync-monitor.mjs';
+import { loadMatrixSdk } from './sdk.mjs';
+import { configStore } from '../config/store.mjs';
+import { credentialVault } from '../config/vault.mjs';
 
-// Matrix client
-import {
-    MatrixClient,
-    SimpleFsStorageProvider,
-    RustSdkCryptoStorageProvider,
-    AutojoinRoomsMixin,
-    LogService
-} from 'matrix-bot-sdk';
+import { requestedLogLevel } from '../daemon/logger.mjs';
 
 // Daemon client
 import { daemonClient, DaemonClient } from '../daemon/client.mjs';
@@ -19,13 +15,16 @@ import { daemonClient, DaemonClient } from '../daemon/client.mjs';
  * @description This class acts as a proxy to either the direct Matrix client or the daemon client based on the configuration.
  * @property {MatrixCommands} directCommands - Instance of the MatrixCommands class for direct commands.
  * @property {string} mode - The mode of operation, either 'daemon' or 'direct'.
+ * @property {SyncMonitor|null} syncMonitor - Connectivity of the direct client, once created.
  * @method getCommands - Returns the appropriate commands instance based on the mode.
  * @method execute - Executes a command based on the action and parameters provided.
+ * @method onConnectionChange - Follows whether the homeserver can be reached.
  */
 export class MatrixClientProxy {
     constructor() {
         this.directCommands = null;
-        this._mode = config.useDaemon ? 'daemon' : 'direct';
+        this.syncMonitor = null;
+        this._mode = configStore.get('useDaemon') ? 'daemon' : 'direct';
     }
 
     /**
@@ -42,13 +41,23 @@ export class MatrixClientProxy {
      * The client is considered initialized when it reaches the 'PREPARED' sync state.
      */
     async _createDirectClient() {
-        const storage = new SimpleFsStorageProvider('storage.json');
-        const cryptoStore = new RustSdkCryptoStorageProvider('crypto_store');
+        const config = configStore.require();
+        const accessToken = await credentialVault.getAccessToken({
+            fetchCachedKey: () => daemonClient.getCachedVaultKey()
+        });
+
+        const { MatrixClient, SimpleFsStorageProvider, RustSdkCryptoStorageProvider, AutojoinRoomsMixin, LogService, LogLevel } = await loadMatrixSdk();
+        // Direct mode logs to the terminal, INFO unless --debug or --verbose asked for more
+        LogService.setLevel(LogLevel.fromString(requestedLogLevel(), LogLevel.INFO));
+
+        configStore.ensureDataDir();
+        const storage = new SimpleFsStorageProvider(configStore.storagePath);
+        const cryptoStore = new RustSdkCryptoStorageProvider(configStore.cryptoStorePath);
 
         // Create the client
         const client = new MatrixClient(
             config.homeserverUrl,
-            config.accessToken,
+            accessToken,
             storage,
             cryptoStore
         );
@@ -56,12 +65,18 @@ export class MatrixClientProxy {
         // Optional: Auto-join rooms if you want similar behavior to syncing
         AutojoinRoomsMixin.setupOnClient(client);
 
+        // Sync failures are retried with backoff, one-off commands still fail fast if the homeserver is down
+        this.syncMonitor = new SyncMonitor(client);
+        this.syncMonitor.install();
 
         try {
             // Start syncing
-            await client.start();
+            await this.syncMonitor.start({ retry: false });
             console.log("Matrix bot client is ready and syncing.");
         } catch (error) {
+            if (this.syncMonitor.authFailed) {
+                throw new Error("The homeserver rejected the access token of this profile. Log in again: cich auth logout && cich auth login");
+            }
             console.error("Failed to initialize Matrix bot client:", error);
             throw new Error("Client initialization failed");
         }
@@ -92,7 +107,7 @@ export class MatrixClientProxy {
 
             const client = await this._createDirectClient();
 
-            this.directCommands = new MatrixCommands(client);
+            this.directCommands = new MatrixCommands(client, this.syncMonitor);
         }
 
         return this.directCommands;
@@ -119,6 +134,26 @@ export class MatrixClientProxy {
 
     }
 
+    /**
+     * Calls a handler with the connection to the homeserver right away, then every time it is
+     * lost or restored, or the access token is rejected. In daemon mode the daemon's connection is followed.
+     *
+     * @async
+     * @param {Function} handler - Called with the connection state (`online`, `lastError`, `retryAt`, ...).
+     * @returns {Promise<void>}
+     */
+    async onConnectionChange(handler) {
+        if (this.mode === 'daemon') {
+            return daemonClient.onConnectionChange(handler);
+        }
+
+        await this.getCommands();
+        this.syncMonitor.on('connection.lost', handler);
+        this.syncMonitor.on('connection.restored', handler);
+        this.syncMonitor.on('auth.failed', handler);
+        handler(this.syncMonitor.state());
+    }
+
     /**
      * Retrieves the current mode of operation.
      *
@@ -126,7 +161,8 @@ export class MatrixClientProxy {
      */
 
     get mode() {
-        return config.useDaemon ? 'daemon' : 'direct';
+        // A remote daemon is only reachable as a daemon
+        return configStore.get('useDaemon') || configStore.get('remoteDaemon') ? 'daemon' : 'direct';
     }
 
     /**
@@ -1,21 +1,90 @@
+import { randomUUID } from 'crypto';
 // Matrix client
 import {
     MatrixClient,
-    MatrixAuth
-} from 'matrix-bot-sdk';
+    MatrixAuth,
+    EncryptedRoomEvent
+} from '@vector-im/matrix-bot-sdk';
+import { SYNC_LOCK_NAME } from '@vector-im/matrix-bot-sdk/lib/e2ee/RustEngine.js';
+import { RequestType } from '@matrix-org/matrix-sdk-crypto-nodejs';
+import { SasVerification, isLiveRequest } from './verification.mjs';
+import { CrossSigning } from './cross-signing.mjs';
+import { KeyBackup } from './key-backup.mjs';
+import { EventBus } from './event-bus.mjs';
+import { MessageStore } from './message-store.mjs';
+import { RoomKeyStore } from './room-keys.mjs';
+/**
+ * Explains a decryption failure in a few words.
+ *
+ * @param {Error} error - The error thrown by the crypto machine.
+ * @returns {string}
+ */
+function describeDecryptionError(error) {
+    const message = error?.message || String(error);
+
+    if (/missing|room key|unknown (inbound )?session|withheld/i.test(message)) {
+        return "missing room key, requested from your other devices";
+    }
+    if (/message.index|ratchet/i.test(message)) {
+        return "the room key does not cover this message";
+    }
+    return message;
+}
+
+/**
+ * Turns an event that couldn't be decrypted into a message that says so, so it is shown
+ * instead of silently dropped.
+ *
+ * @param {Object} event - The `m.room.encrypted` event.
+ * @param {string} reason - Why decryption failed.
+ * @returns {Object} - An `m.room.message` event with an `m.bad.encrypted` placeholder body.
+ */
+function undecryptablePlaceholder(event, reason) {
+    return {
+        ...event,
+        type: "m.room.message",
+        content: { msgtype: "m.bad.encrypted", body: `🔒 unable to decrypt (${reason})` },
+        unsigned: { ...event.unsigned, decryptionError: reason }
+    };
+}
+
 /**
  * MatrixCommands class to handle Matrix operations.
  * @class MatrixCommands
  * @description This class provides methods to manage authentication, rooms, and chat messages in a Matrix client.
  * @property {MatrixClient} client - The Matrix client instance used to interact with the Matrix server.
+ * @property {SyncMonitor|null} sync - Tells whether the homeserver can be reached.
+ * @property {MessageStore} messageStore - Timelines kept on disk, for history while offline.
+ * @property {RoomKeyStore} roomKeys - Room keys imported from key exports or the key backup.
  */
 export class MatrixCommands {
     /**
      * Constructs a new MatrixCommands instance with the given client.
      * @param {MatrixClient} client - The Matrix client instance used to interact with the Matrix server.
+     * @param {SyncMonitor} [sync] - The client's sync monitor. Without it, the homeserver is assumed reachable.
+     * @param {MessageStore} [messageStore] - Where timelines are kept, the profile's store by default.
      */
-    constructor(client) {
+    constructor(client, sync = null, messageStore = new MessageStore()) {
         this.client = client;
+        this.sync = sync;
+        this.messageStore = messageStore;
+        this.messageStore.install(client);
+        this.crossSigning = new CrossSigning(client);
+        this.keyBackup = new KeyBackup(client);
+        this.roomKeys = new RoomKeyStore();
+        // Sync decrypts encrypted events before emitting them, failures get another try with the imported room keys
+        this.eventBus = new EventBus(client, (roomId, event, error) => this.decryptWithImportedKeys(roomId, event, error));
+        // Running SAS verifications by transaction ID
+        this.verifications = new Map();
+        // Verifications other devices requested and nobody accepted yet, with when they arrived, by transaction ID
+        this.incomingVerifications = new Map();
+        // acceptVerification streams waiting for a request, each returns whether it took the request
+        this.verificationWaiters = new Set();
+        client.on('to_device.decrypted', (event) => this.onVerificationRequest(event));
+        // Stop functions of running streams by subscription ID
+        this.subscriptions = new Map();
+        // Set when a decryption failed and the crypto machine queued a room key request
+        this.pendingKeyRequests = false;
     }
 
     /*
@@ -37,19 +106,124 @@ export class MatrixCommands {
         }
     }
 
-    static async register({ homeserverUrl, username, password }) {
+    /**
+     * Registers a new account.
+     *
+     * Homeservers protect registration with User-Interactive Auth: without a completed `auth`
+     * object the request fails with a 401 whose body lists the flows and the session ID.
+     *
+     * @async
+     * @param {Object} params - The parameters for the registration.
+     * @param {string} params.homeserverUrl - The homeserver to register on.
+     * @param {string} params.username - The desired localpart.
+     * @param {string} params.password - The desired password.
+     * @param {Object} [params.auth] - The UIA stage being completed, including the session ID.
+     * @returns {Promise<{accessToken: string, userId: string, deviceId: string}>} - The new session.
+     * @throws Will throw an error if the homeserver rejects the registration or asks for auth.
+     */
+    static async register({ homeserverUrl, username, password, auth }) {
 
-        const auth = new MatrixAuth(homeserverUrl);
+        const client = new MatrixClient(homeserverUrl, "");
 
-        const { accessToken, userId, deviceId } = await auth.passwordRegister(username, password);
+        const response = await client.doRequest("POST", "/_matrix/client/v3/register", null, {
+            username,
+            password,
+            auth,
+            initial_device_display_name: "cich",
+        });
+
+        return {
+            accessToken: response.access_token,
+            userId: response.user_id,
+            deviceId: response.device_id
+        }
+    }
+
+    /**
+     * Checks an access token against the homeserver.
+     *
+     * @async
+     * @param {Object} params - The parameters for the check.
+     * @param {string} params.homeserverUrl - The homeserver the token belongs to.
+     * @param {string} params.accessToken - The access token to check.
+     * @returns {Promise<{userId: string, deviceId: string}>} - The owner of the token.
+     * @throws Will throw an error if the token is invalid.
+     */
+    static async whoami({ homeserverUrl, accessToken }) {
+
+        const client = new MatrixClient(homeserverUrl, accessToken);
+
+        const { user_id: userId, device_id: deviceId } = await client.getWhoAmI();
 
         return {
-            accessToken,
             userId,
             deviceId
         }
     }
 
+    /**
+     * Revokes an access token on the homeserver.
+     *
+     * @async
+     * @param {Object} params - The parameters for logging out.
+     * @param {string} params.homeserverUrl - The homeserver the token belongs to.
+     * @param {string} params.accessToken - The access token to revoke.
+     * @param {boolean} [params.all=false] - Whether to log out every device of the account.
+     * @returns {Promise<void>} - A promise that resolves when the token has been revoked.
+     * @throws Will throw an error if the homeserver rejects the request.
+     */
+    static async logout({ homeserverUrl, accessToken, all = false }) {
+
+        const client = new MatrixClient(homeserverUrl, accessToken);
+
+        await client.doRequest("POST", all ? "/_matrix/client/v3/logout/all" : "/_matrix/client/v3/logout", null, {});
+    }
+
+    /**
+     * Lists the login flows a homeserver supports.
+     *
+     * @async
+     * @param {Object} params - The parameters for the lookup.
+     * @param {string} params.homeserverUrl - The homeserver to ask.
+     * @returns {Promise<Object[]>} - The login flows, e.g. `{ type: "m.login.sso", identity_providers: [...] }`.
+     * @throws Will throw an error if the homeserver can't be reached.
+     */
+    static async getLoginFlows({ homeserverUrl }) {
+
+        const client = new MatrixClient(homeserverUrl, "");
+
+        const { flows } = await client.doRequest("GET", "/_matrix/client/v3/login");
+
+        return flows || [];
+    }
+
+    /**
+     * Exchanges a short-lived login token, e.g. from SSO, for an access token.
+     *
+     * @async
+     * @param {Object} params - The parameters for the login.
+     * @param {string} params.homeserverUrl - The homeserver that issued the login token.
+     * @param {string} params.loginToken - The login token.
+     * @returns {Promise<{accessToken: string, userId: string, deviceId: string}>} - The new session.
+     * @throws Will throw an error if the homeserver rejects the token.
+     */
+    static async tokenLogin({ homeserverUrl, loginToken }) {
+
+        const client = new MatrixClient(homeserverUrl, "");
+
+        const response = await client.doRequest("POST", "/_matrix/client/v3/login", null, {
+            type: "m.login.token",
+            token: loginToken,
+            initial_device_display_name: "cich",
+        });
+
+        return {
+            accessToken: response.access_token,
+            userId: response.user_id,
+            deviceId: response.device_id
+        }
+    }
+
     /*
     ==================================================================
     Room Management Commands
@@ -63,10 +237,17 @@ export class MatrixCommands {
   * @async
   * @param {Object} [options] - Filtering options.
   * @param {string} [options.membership] - Membership filter: "join", "invite", "leave", or null for all.
+  * @param {AbortSignal} [options.signal] - Stops before the next room when aborted.
+  * @param {Function} [options.onProgress] - Called with `{rooms, total}` after every room, and with
+  *        `offline: true` when the rooms come from the message store because the homeserver can't be reached.
   * @returns {Promise<Array>} - A promise that resolves to the list of rooms.
   */
     async listRooms(options = {}) {
-        const { membership = "join" } = options;
+        const { membership = "join", signal, onProgress } = options;
+
+        if (!this.isOnline()) {
+            return this.listStoredRooms({ membership, signal, onProgress });
+        }
 
         const getRoomName = async (roomId) => {
             try {
@@ -88,6 +269,16 @@ export class MatrixCommands {
 
         const getLastMessageInfo = async (roomId) => {
             try {
+                // Sync keeps the store up to date, once it holds the room's last message
+                const stored = this.messageStore.latest(roomId);
+                if (stored) {
+                    const lastEvent = await this.decryptEvent(roomId, stored);
+                    return {
+                        lastEventTime: new Date(lastEvent.origin_server_ts),
+                        lastMessage: lastEvent.content?.body || "None",
+                    };
+                }
+
                 const token = await this.client.storageProvider.getSyncToken();
 
                 if (!token) {
@@ -104,8 +295,14 @@ export class MatrixCommands {
                     }
                 );
 
+                // A chunk just started at the sync token continues right there
+                const live = this.messageStore.liveChunk(roomId, token);
+                if (live.prevToken === token) {
+                    this.messageStore.extendBackward(roomId, live, messages.chunk || [], messages.end);
+                }
+
                 if (messages.chunk && messages.chunk.length > 0) {
-                    const lastEvent = messages.chunk[0];
+                    const lastEvent = await this.decryptEvent(roomId, messages.chunk[0]);
                     return {
                         lastEventTime: new Date(lastEvent.origin_server_ts),
                         lastMessage: lastEvent.content?.body || "None",
@@ -145,6 +342,8 @@ export class MatrixCommands {
         const rooms = [];
 
         for (const roomId of roomIds) {
+            signal?.throwIfAborted();
+
             const [roomName, memberCount, { lastEventTime, lastMessage }] = await Promise.all([
                 getRoomName(roomId),
                 getMemberCount(roomId),
@@ -158,6 +357,53 @@ export class MatrixCommands {
                 lastEvent: lastEventTime,
                 lastMessage
             });
+            this.messageStore.updateRoom(roomId, { name: roomName, memberCount });
+
+            onProgress?.({ rooms: rooms.length, total: roomIds.length });
+        }
+
+        await this.requestMissingKeys();
+
+        return rooms;
+    }
+
+    /**
+     * Lists the joined rooms from the message store, with the names and member counts last seen
+     * online and the last stored message as preview.
+     *
+     * @async
+     * @private
+     * @param {Object} options - As for listRooms.
+     * @returns {Promise<Array>} - The rooms, shaped as by listRooms.
+     */
+    async listStoredRooms({ membership, signal, onProgress }) {
+        if (membership && membership !== "join") {
+            throw new Error(`Rooms with membership ${membership} can't be listed while the homeserver is unreachable`);
+        }
+
+        const store = this.messageStore;
+        // What the last sync said, or what the store remembers if the client hasn't synced yet
+        const roomIds = this.client.lastJoinedRoomIds?.length ? this.client.lastJoinedRoomIds : store.roomIds();
+        const rooms = [];
+
+        onProgress?.({ rooms: 0, total: roomIds.length, offline: true });
+
+        for (const roomId of roomIds) {
+            signal?.throwIfAborted();
+
+            const { name, memberCount } = store.roomInfo(roomId);
+            const stored = store.latest(roomId, { live: false });
+            const lastEvent = stored && await this.decryptEvent(roomId, stored);
+
+            rooms.push({
+                roomId,
+                roomName: name || "Unnamed Room",
+                memberCount: memberCount ?? 0,
+                lastEvent: lastEvent ? new Date(lastEvent.origin_server_ts) : null,
+                lastMessage: lastEvent?.content?.body || "No messages yet"
+            });
+
+            onProgress?.({ rooms: rooms.length, total: roomIds.length, offline: true });
         }
 
         return rooms;
@@ -182,7 +428,7 @@ export class MatrixCommands {
      *
      * @async
      * @param {{roomId: string}} params - The parameters for joining the room.
-     * @returns {Promise<{{roomId: string, roomName: string, canonicalAlias: string, memberCount: number, roomType: string}}>} - A promise that resolves with the joined room's details.
+     * @returns {Promise<{{roomId: string, roomName: string, canonicalAlias: string, memberCount: number, roomType: string, encrypted: boolean, encryptionAlgorithm: string|null}}>} - A promise that resolves with the joined room's details.
      */
     async joinRoom(params) {
         const { roomId } = params;
@@ -193,6 +439,7 @@ export class MatrixCommands {
         let canonicalAlias = "None";
         let memberCount = 0;
         let roomType = "Regular chat";
+        let encryptionAlgorithm = null;
 
         try {
             const nameEvent = await this.client.getRoomStateEvent(roomId, "m.room.name", "");
@@ -219,15 +466,63 @@ export class MatrixCommands {
             console.error("Error fetching room members:", error);
         }
 
+        try {
+            ({ algorithm: encryptionAlgorithm } = await this.getRoomEncryption({ roomId }));
+        } catch (error) {
+            console.error("Error fetching room encryption:", error);
+        }
+
         return {
             roomId,
             roomName,
             canonicalAlias,
             memberCount,
             roomType,
+            encrypted: encryptionAlgorithm !== null,
+            encryptionAlgorithm,
         };
     }
 
+    /**
+     * Looks up whether a room is end-to-end encrypted.
+     *
+     * @async
+     * @param {{roomId: string}} params - The room to check.
+     * @returns {Promise<{encrypted: boolean, algorithm: string|null}>} - The encryption state.
+     * @throws Will throw an error if the room state can't be read.
+     */
+    async getRoomEncryption({ roomId }) {
+        try {
+            const { algorithm } = await this.client.getRoomStateEvent(roomId, "m.room.encryption", "");
+            return { encrypted: true, algorithm };
+        } catch (error) {
+            if (error.errcode === 'M_NOT_FOUND' || error.statusCode === 404) {
+                return { encrypted: false, algorithm: null };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Turns on end-to-end encryption for a room. This can't be undone.
+     *
+     * @async
+     * @param {{roomId: string}} params - The room to encrypt.
+     * @returns {Promise<{algorithm: string}>} - The algorithm the room now uses.
+     * @throws Will throw an error if the room is already encrypted or you may not change its state.
+     */
+    async enableEncryption({ roomId }) {
+        const { encrypted } = await this.getRoomEncryption({ roomId });
+        if (encrypted) {
+            throw new Error('The room is already encrypted');
+        }
+
+        const algorithm = "m.megolm.v1.aes-sha2";
+        await this.client.sendStateEvent(roomId, "m.room.encryption", "", { algorithm });
+
+        return { algorithm };
+    }
+
 
     /**
      * Leaves a specified Matrix room.
@@ -305,12 +600,495 @@ export class MatrixCommands {
 
 
 
+    /*
+    ==================================================================
+    Device Management Commands
+    ==================================================================
+    */
+
+    /**
+     * Lists the devices logged in to the account.
+     *
+     * @async
+     * @returns {Promise<Array<{deviceId: string, displayName: string|null, lastSeenIp: string|null, lastSeenTs: number|null, current: boolean}>>}
+     *          - The devices, most recently seen first.
+     */
+    async listDevices() {
+        const [devices, whoami] = await Promise.all([
+            this.client.getOwnDevices(),
+            this.client.getWhoAmI()
+        ]);
+
+        return devices
+            .map(device => ({
+                deviceId: device.device_id,
+                displayName: device.display_name || null,
+                lastSeenIp: device.last_seen_ip || null,
+                lastSeenTs: device.last_seen_ts || null,
+                current: device.device_id === whoami.device_id
+            }))
+            .sort((a, b) => (b.lastSeenTs || 0) - (a.lastSeenTs || 0));
+    }
+
+    /**
+     * Sets the display name of a device.
+     *
+     * @async
+     * @param {Object} params - The parameters for renaming the device.
+     * @param {string} params.deviceId - The device to rename.
+     * @param {string} params.displayName - The new display name.
+     * @returns {Promise<void>} - A promise that resolves when the device has been renamed.
+     * @throws Will throw an error if the device doesn't exist.
+     */
+    async renameDevice(params) {
+        const { deviceId, displayName } = params;
+
+        await this.client.doRequest("PUT", `/_matrix/client/v3/devices/${encodeURIComponent(deviceId)}`, null, {
+            display_name: displayName
+        });
+    }
+
+    /**
+     * Deletes devices, logging them out.
+     *
+     * The homeserver protects this with User-Interactive Auth: without a completed `auth` object
+     * the request fails with a 401 whose body lists the flows and the session ID.
+     *
+     * @async
+     * @param {Object} params - The parameters for deleting the devices.
+     * @param {string[]} params.deviceIds - The devices to delete.
+     * @param {Object} [params.auth] - The UIA stage being completed, including the session ID.
+     * @returns {Promise<void>} - A promise that resolves when the devices have been deleted.
+     * @throws Will throw an error if the homeserver rejects the request or asks for auth.
+     */
+    async deleteDevices(params) {
+        const { deviceIds, auth } = params;
+
+        await this.client.doRequest("POST", "/_matrix/client/v3/delete_devices", null, {
+            devices: deviceIds,
+            auth
+        });
+    }
+
+    /**
+     * Starts an emoji/decimal SAS verification with a device. Progress is streamed to the callback:
+     * `requested`, `ready`, `sas` (with `emoji` and `decimal` to compare), `confirmed`, `verified`,
+     * and finally `done` or `cancelled`.
+     *
+     * @async
+     * @param {Object} params - The parameters for the verification.
+     * @param {string} params.userId - The user to verify.
+     * @param {string} [params.deviceId] - The device to verify. Without it every device of the user is asked.
+     * @param {Function} params.callback - Called with every state update.
+     * @returns {Promise<{transactionId: string, subscriptionId: string}>} - The transaction ID, used to confirm or
+     * cancel the verification, and the subscription of the updates. Unsubscribing cancels a running verification.
+     * @throws Will throw an error if encryption is off.
+     */
+    async verifyDevice(params) {
+        const { userId, deviceId, callback } = params;
+
+        const verification = new SasVerification(this.client, { userId, deviceId, crossSigning: this.crossSigning });
+        const { transactionId } = verification;
+
+        this.verifications.set(transactionId, verification);
+        verification.on('update', callback);
+
+        const subscriptionId = this.subscribe(() => {
+            verification.off('update', callback);
+            if (this.verifications.has(transactionId)) {
+                verification.cancel().catch(() => { });
+            }
+        });
+
+        verification.once('end', () => {
+            this.verifications.delete(transactionId);
+            this.subscriptions.delete(subscriptionId);
+        });
+
+        await verification.start();
+
+        return { transactionId, subscriptionId };
+    }
+
+    /**
+     * Accepts a SAS verification another device requested, e.g. Element verifying this session: the
+     * oldest request still waiting, or else the next one. Progress is streamed to the callback: `waiting`
+     * until a request comes in, then the same updates as `verifyDevice` from `ready` on.
+     *
+     * @async
+     * @param {Object} params - The parameters for the verification.
+     * @param {string} [params.userId] - Only accept requests from this user.
+     * @param {Function} params.callback - Called with every state update.
+     * @returns {Promise<{subscriptionId: string}>} - The subscription of the updates. Unsubscribing stops waiting
+     * and cancels a running verification; the transaction ID comes with the updates.
+     * @throws Will throw an error if encryption is off.
+     */
+    async acceptVerification(params) {
+        const { userId, callback } = params;
+
+        if (!this.client.crypto?.isReady) {
+            throw new Error('Encryption is not enabled for this client');
+        }
+
+        let verification = null;
+
+        const take = (event) => {
+            if (userId && event.sender !== userId) return false;
+
+            this.verificationWaiters.delete(take);
+            this.incomingVerifications.delete(event.content.transaction_id);
+
+            verification = SasVerification.fromRequest(this.client, event, this.crossSigning);
+            const { transactionId } = verification;
+
+            this.verifications.set(transactionId, verification);
+            verification.on('update', callback);
+            verification.once('end', () => {
+                this.verifications.delete(transactionId);
+                this.subscriptions.delete(subscriptionId);
+            });
+
+            verification.accept().catch(error => verification.cancel('m.unexpected_message', error.message));
+            return true;
+        };
+
+        const subscriptionId = this.subscribe(() => {
+            this.verificationWaiters.delete(take);
+            if (!verification) return;
+
+            verification.off('update', callback);
+            if (this.verifications.has(verification.transactionId)) {
+                verification.cancel().catch(() => { });
+            }
+        });
+
+        const waiting = [...this.incomingVerifications.values()]
+            .filter(({ event, receivedAt }) => isLiveRequest(event, receivedAt))
+            .map(({ event }) => event);
+        if (!waiting.some(take)) {
+            this.verificationWaiters.add(take);
+            callback({ transactionId: null, userId: userId ?? null, deviceId: null, state: 'waiting' });
+        }
+
+        return { subscriptionId };
+    }
+
+    /**
+     * Keeps the verification requests of other devices until they are accepted, cancelled or expire,
+     * and hands new ones to a waiting `acceptVerification`.
+     *
+     * @private
+     * @param {Object} event - A to-device event.
+     */
+    onVerificationRequest(event) {
+        const { type, content = {} } = event;
+        const transactionId = content.transaction_id;
+        // Running verifications handle their own messages
+        if (!transactionId || this.verifications.has(transactionId)) return;
+
+        if (type === 'm.key.verification.cancel') {
+            this.incomingVerifications.delete(transactionId);
+            return;
+        }
+        if (type !== 'm.key.verification.request' && type !== 'm.key.verification.start') return;
+        // A start that follows a request belongs to it
+        const receivedAt = Date.now();
+        if (this.incomingVerifications.has(transactionId) || !isLiveRequest(event, receivedAt)) return;
+
+        for (const [id, request] of this.incomingVerifications) {
+            if (!isLiveRequest(request.event, request.receivedAt)) this.incomingVerifications.delete(id);
+        }
+        this.incomingVerifications.set(transactionId, { event, receivedAt });
+
+        for (const take of this.verificationWaiters) {
+            if (take(event)) return;
+        }
+    }
+
+    /**
+     * Reports whether the emoji/numbers of a verification matched on both devices.
+     *
+     * @async
+     * @param {Object} params - The parameters for the confirmation.
+     * @param {string} params.transactionId - The verification to confirm.
+     * @param {boolean} params.match - Whether the emoji/numbers matched.
+     * @returns {Promise<void>}
+     * @throws Will throw an error if there is no such verification waiting for confirmation.
+     */
+    async confirmVerification(params) {
+        await this.getVerification(params.transactionId).confirm(params.match);
+    }
+
+    /**
+     * Cancels a running verification.
+     *
+     * @async
+     * @param {Object} params - The parameters for the cancellation.
+     * @param {string} params.transactionId - The verification to cancel.
+     * @returns {Promise<void>}
+     */
+    async cancelVerification(params) {
+        await this.verifications.get(params.transactionId)?.cancel();
+    }
+
+    getVerification(transactionId) {
+        const verification = this.verifications.get(transactionId);
+        if (!verification) {
+            throw new Error(`No running verification ${transactionId}`);
+        }
+        return verification;
+    }
+
+    /*
+    ==================================================================
+    Crypto Management Commands
+    ==================================================================
+    */
+
+    /**
+     * Reports whether cross-signing is set up for the account and this profile.
+     *
+     * @async
+     * @returns {Promise<{published: boolean, masterKey: string|null, hasPrivateKeys: boolean, deviceSigned: boolean}>}
+     */
+    async getCrossSigningStatus() {
+        return await this.crossSigning.status();
+    }
+
+    /**
+     * Creates and uploads cross-signing keys and signs this device with them.
+     *
+     * The homeserver protects the upload with User-Interactive Auth: without a completed `auth`
+     * object the request fails with a 401 whose body lists the flows and the session ID.
+     *
+     * @async
+     * @param {Object} params - The parameters for the bootstrap.
+     * @param {Object} [params.auth] - The UIA stage being completed, including the session ID.
+     * @param {boolean} [params.force=false] - Replace cross-signing keys the account already has.
+     * @returns {Promise<{masterKey: string}>} - The new master key.
+     * @throws Will throw an error if keys exist without `force`, or if the homeserver asks for auth.
+     */
+    async bootstrapCrossSigning(params) {
+        return await this.crossSigning.bootstrap(params);
+    }
+
+    /**
+     * Exports the Megolm sessions of this profile, in the session export format.
+     *
+     * The crypto engine exports one session at a time, so the sessions are found through the encrypted
+     * events in the history of the joined rooms; sessions the profile imported are added. The sessions leave
+     * this process unencrypted; the CLI protects them with a passphrase before writing them anywhere.
+     *
+     * @async
+     * @param {Object} [params]
+     * @param {AbortSignal} [params.signal] - Stops before the next page of history when aborted.
+     * @param {Function} [params.onProgress] - Called with `{rooms, total, sessions}` as the rooms are searched.
+     * @returns {Promise<Object[]>} - The exported sessions.
+     * @throws Will throw an error if the crypto store predates room key export.
+     */
+    async exportRoomKeys({ signal, onProgress } = {}) {
+        const crypto = this.client.crypto;
+        const sessions = new Map();
+
+        if (crypto?.isReady) {
+            if (typeof crypto.exportRoomKeysForSession !== 'function') {
+                throw new Error("This profile's crypto store predates room key export, log in again to export room keys");
+            }
+
+            const roomIds = await this.client.getJoinedRooms();
+            onProgress?.({ rooms: 0, total: roomIds.length, sessions: 0 });
+
+            for (const [index, roomId] of roomIds.entries()) {
+                if (await crypto.isRoomEncrypted(roomId)) {
+                    for (const sessionId of await this.megolmSessionIds(roomId, signal)) {
+                        // Sessions the engine never received can't be exported, their events are undecryptable anyway
+                        const exported = await crypto.exportRoomKeysForSession(roomId, sessionId).catch(() => []);
+                        for (const session of exported || []) {
+                            sessions.set(session.session_id, session);
+                        }
+                    }
+                }
+                onProgress?.({ rooms: index + 1, total: roomIds.length, sessions: sessions.size });
+            }
+        }
+
+        for (const session of await this.roomKeys.export()) {
+            if (!sessions.has(session.session_id)) sessions.set(session.session_id, session);
+        }
+
+        return [...sessions.values()];
+    }
+
+    /**
+     * The Megolm sessions a room's encrypted history was sent with, paging back to the room's start.
+     *
+     * @async
+     * @private
+     * @param {string} roomId - The room to search.
+     * @param {AbortSignal} [signal] - Stops before the next page when aborted.
+     * @returns {Promise<Set<string>>} - The session IDs.
+     */
+    async megolmSessionIds(roomId, signal) {
+        const token = await this.client.storageProvider.getSyncToken();
+        if (!token) {
+            throw new Error("No sync token available. Sync at least once first.");
+        }
+
+        const sessionIds = new Set();
+        let from = token;
+        while (from) {
+            signal?.throwIfAborted();
+
+            const response = await this.client.doRequest(
+                "GET",
+                `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/messages`,
+                {
+                    from,
+                    dir: 'b',
+                    limit: 1000,
+                    filter: JSON.stringify({ types: ['m.room.encrypted'] }),
+                }
+            );
+
+            for (const event of response.chunk || []) {
+                if (event.content?.session_id) sessionIds.add(event.content.session_id);
+            }
+            // The homeserver leaves out `end` once there is nothing older
+            from = response.chunk?.length ? response.end : null;
+        }
+        return sessionIds;
+    }
+
+    /**
+     * Imports Megolm sessions from a session export.
+     *
+     * @async
+     * @param {Object} params - The parameters for the import.
+     * @param {Object[]} params.sessions - The sessions to import.
+     * @returns {Promise<{imported: number, skipped: number}>} - How many sessions were new, and how many
+     * were invalid or already known.
+     */
+    async importRoomKeys({ sessions }) {
+        return await this.roomKeys.import(sessions);
+    }
+
+    /**
+     * Reports the server-side key backup and whether this profile can use it.
+     *
+     * @async
+     * @returns {Promise<{version: string|null, algorithm: string|null, count: number, hasKey: boolean, uploading: boolean}>}
+     */
+    async getKeyBackupStatus() {
+        return await this.keyBackup.status();
+    }
+
+    /**
+     * Creates a new key backup version and starts backing up room keys to it.
+     *
+     * @async
+     * @param {Object} [params] - The parameters for the backup.
+     * @param {string} [params.passphrase] - Derive the backup key from a passphrase.
+     * @returns {Promise<{version: string, recoveryKey: string}>} - The new version and its recovery key.
+     */
+    async enableKeyBackup({ passphrase } = {}) {
+        const crossSigningKeys = await this.crossSigning.loadKeys();
+        return await this.keyBackup.enable({ passphrase, crossSigningKeys });
+    }
+
+    /**
+     * Restores the room keys of the latest key backup into the crypto store.
+     *
+     * @async
+     * @param {Object} params - The parameters for the restore.
+     * @param {string} [params.recoveryKey] - The recovery key of the backup.
+     * @param {string} [params.passphrase] - The passphrase of the backup.
+     * @returns {Promise<{version: string, imported: number, skipped: number}>} - The session counts.
+     * @throws Will throw an error if the key doesn't match the backup.
+     */
+    async restoreKeyBackup({ recoveryKey, passphrase }) {
+        const { version, sessions, failed } = await this.keyBackup.restore({ recoveryKey, passphrase });
+        const { imported, skipped } = await this.roomKeys.import(sessions);
+
+        await this.keyBackup.startUploads();
+
+        return { version, imported, skipped: failed + skipped };
+    }
+
     /*
     ==================================================================
     Chat Management Commands
     ==================================================================
     */
 
+    /**
+     * Decrypts an event fetched outside of sync, e.g. from `/messages`.
+     *
+     * Unencrypted events are returned as they are. Events that can't be decrypted come back as an
+     * "unable to decrypt" placeholder; the crypto machine queues a key request for their session.
+     *
+     * @async
+     * @param {string} roomId - The room the event belongs to.
+     * @param {Object} event - The raw event.
+     * @returns {Promise<Object>} - The decrypted event, or a placeholder message.
+     */
+    async decryptEvent(roomId, event) {
+        if (event.type !== "m.room.encrypted") return event;
+
+        if (!this.client.crypto?.isReady) {
+            const decrypted = await this.roomKeys.decrypt(roomId, event).catch(() => null);
+            return decrypted || undecryptablePlaceholder(event, "encryption is not enabled for this client");
+        }
+
+        try {
+            return (await this.client.crypto.decryptRoomEvent(new EncryptedRoomEvent(event), roomId)).raw;
+        } catch (error) {
+            return await this.decryptWithImportedKeys(roomId, event, error);
+        }
+    }
+
+    /**
+     * Gives an event the crypto engine failed to decrypt another try with the imported room keys,
+     * which the engine can't take in.
+     *
+     * @async
+     * @private
+     * @param {string} roomId - The room the event belongs to.
+     * @param {Object} event - The raw event.
+     * @param {Error} error - Why the engine failed.
+     * @returns {Promise<Object>} - The decrypted event, or a placeholder message.
+     */
+    async decryptWithImportedKeys(roomId, event, error) {
+        try {
+            const decrypted = await this.roomKeys.decrypt(roomId, event);
+            if (decrypted) return decrypted;
+        } catch (importedError) {
+            error = importedError;
+        }
+
+        this.pendingKeyRequests = true;
+        return undecryptablePlaceholder(event, describeDecryptionError(error));
+    }
+
+    /**
+     * Sends the room key requests queued by failed decryptions now, instead of after the next sync.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async requestMissingKeys() {
+        if (!this.pendingKeyRequests) return;
+        this.pendingKeyRequests = false;
+
+        try {
+            // Only flush to-device messages, the rest is handled by the sync loop. Under the sync's lock, so the
+            // two can't send the same outgoing requests of the crypto engine at once
+            const { engine } = this.client.crypto;
+            await engine.lock.acquire(SYNC_LOCK_NAME, () => engine.runOnly(RequestType.ToDevice));
+        } catch (error) {
+            console.error("Failed to send room key requests:", error);
+        }
+    }
+
 
 
     /**
@@ -322,10 +1100,18 @@ export class MatrixCommands {
      * @param {Object} params.message - The message object containing the body and optionally the type.
      * @param {string} [params.message.type=m.text] - The message type (e.g., m.text, m.notice, m.emote, m.file, etc.).
      * @param {string} params.message.body - The message body.
+     * @param {boolean} [params.refusePlaintext=false] - Refuse to send if the room is not encrypted.
      * @returns {Promise} - A promise that resolves when the message has been successfully sent.
-     * @throws Will throw an error if the operation fails.
+     * @throws Will throw an error if the operation fails, or the room is unencrypted and plaintext is refused.
      */
     async sendMessage(params) {
+        if (params.refusePlaintext) {
+            const { encrypted } = await this.getRoomEncryption({ roomId: params.room.roomId });
+            if (!encrypted) {
+                throw new Error('Refusing to send plaintext: the room is not encrypted (refusePlaintext is on)');
+            }
+        }
+
         return await this.client.sendMessage(params.room.roomId, {
             msgtype: params.message.type || "m.text",
             body: params.message.body
@@ -341,123 +1127,193 @@ export class MatrixCommands {
      * @async
      * @param {Object} params - The parameters for streaming messages.
      * @param {Object} params.room - The room object containing the ID.
-     * @param {Function} params.callback - The callback function to call for each message.
-     * @returns {Function} - A cleanup function to call when you want to stop streaming.
+     * @param {Function} params.callback - Called with `{roomId, sender, body, eventId, timestamp, msgtype, event}` for each message.
+     * @returns {Promise<{subscriptionId: string}>} - The subscription, pass it to `unsubscribe` to stop streaming.
      * @throws Will throw an error if the operation fails.
      */
     async streamMessages(params) {
-        const handler = async (roomId, event) => {
-            if (roomId !== params.room.roomId) return;
-            if (event['type'] !== 'm.room.message') return;
-
-            const content = event['content'];
-            const sender = event['sender'];
-
+        const stop = this.eventBus.subscribe({ roomIds: [params.room.roomId], types: ['m.room.message'] }, ({ roomId, event }) => {
             params.callback({
                 roomId,
-                sender,
-                body: content.body,
+                sender: event['sender'],
+                body: event['content']?.body,
+                eventId: event['event_id'],
+                timestamp: event['origin_server_ts'],
+                msgtype: event['content']?.msgtype,
+                event,
             });
-        };
+        });
 
-        this.client.on('room.event', handler);
+        return { subscriptionId: this.subscribe(stop) };
+    }
 
-        return () => {
-            this.client.removeListener('room.event', handler);
-        };
+    /**
+     * Streams the raw events of the sync loop: timeline events (decrypted, or "unable to decrypt"
+     * placeholders), invites, leaves, and the ephemeral typing notifications and read receipts.
+     *
+     * @async
+     * @param {Object} params - The parameters for streaming events.
+     * @param {string[]} [params.roomIds] - Only events of these rooms. All rooms by default.
+     * @param {string[]} [params.types] - Only these event types, a trailing `*` matches a prefix (`m.room.*`). All types by default.
+     * @param {Function} params.callback - Called with `{roomId, event, ephemeral}` for every event.
+     * @returns {Promise<{subscriptionId: string}>} - The subscription, pass it to `unsubscribe` to stop streaming.
+     */
+    async subscribeEvents({ roomIds, types, callback }) {
+        const stop = this.eventBus.subscribe({ roomIds, types }, callback);
+        return { subscriptionId: this.subscribe(stop) };
+    }
+
+    /**
+     * Stops a stream started by `streamMessages`, `subscribeEvents`, `verifyDevice` or `acceptVerification`.
+     *
+     * @async
+     * @param {Object} params - The parameters for unsubscribing.
+     * @param {string} params.subscriptionId - The subscription to stop.
+     * @returns {Promise<void>}
+     * @throws Will throw an error if there is no such subscription.
+     */
+    async unsubscribe({ subscriptionId }) {
+        const stop = this.subscriptions.get(subscriptionId);
+        if (!stop) {
+            throw new Error(`No subscription ${subscriptionId}`);
+        }
+
+        this.subscriptions.delete(subscriptionId);
+        stop();
+    }
+
+    /**
+     * Registers the stop function of a stream under a new subscription ID.
+     *
+     * @param {Function} stop - Removes the stream's listeners.
+     * @returns {string} - The subscription ID.
+     */
+    subscribe(stop) {
+        const subscriptionId = randomUUID();
+        this.subscriptions.set(subscriptionId, stop);
+        return subscriptionId;
     }
 
 
     /**
     * Fetches messages from a room within a specific time range
     *
+    * Pages are fetched backward from the present and kept in the message store, which serves what
+    * it already holds: pagination skips the stretches stored before and only fills the gaps between
+    * them. While the homeserver can't be reached, the messages come from the store alone, so recent
+    * ones and those in gaps may be missing.
+    *
     * @async
     * @param {string} roomId - The ID of the room to fetch messages from
     * @param {Date} startDate - The start of the time range
     * @param {Date} endDate - The end of the time range
     * @param {Object} [options] - Additional options
     * @param {number} [options.limit=100] - Maximum number of messages to return
-    * @param {string} [options.direction='b'] - Direction to paginate ('b' for backward, 'f' for forward)
-    * @returns {Promise<Array<{event: object, timestamp: Date}>>} - Array of message events with timestamps
+    * @param {string} [options.direction='b'] - Which messages of the range to return when there are more than `limit`:
+    *          the newest ('b' for backward) or the oldest ('f' for forward). They are returned oldest first either way
+    * @param {AbortSignal} [signal] - Stops the pagination before the next page when aborted
+    * @param {Function} [onProgress] - Called with `{pages, messages}` fetched so far after every page,
+    *          and with `offline: true` when the messages come from the store alone
+    * @returns {Promise<Array<{event: object, timestamp: Date}>>} - Array of message events with timestamps.
+    *          Encrypted events are decrypted; those that can't be come back as "unable to decrypt" placeholders.
     */
-    async getMessages({ roomId, startDate, endDate, options = {} }) {
+    async getMessages({ roomId, startDate, endDate, options = {}, signal, onProgress }) {
         const { limit = 100, direction = 'b' } = options;
-        const messages = [];
-        let hasMore = true;
-        let fromToken = null;
-
-        const startTime = startDate;
-        const endTime = endDate;
+        const store = this.messageStore;
+        let offline = !this.isOnline();
+        let pages = 0;
 
         try {
-            fromToken = await this.client.storageProvider.getSyncToken();
-            if (!fromToken) {
-                throw new Error("No sync token available. Sync at least once first.");
-            }
-
-            while (messages.length < limit && hasMore) {
-                const response = await this.client.doRequest(
-                    "GET",
-                    `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/messages`,
-                    {
-                        from: fromToken,
-                        dir: direction,
-                        limit: 100,
-                    }
-                );
-
-                if (!response.chunk || response.chunk.length === 0) {
-                    hasMore = false;
-                    break;
+            if (!offline) {
+                const syncToken = await this.client.storageProvider.getSyncToken();
+                if (!syncToken) {
+                    throw new Error("No sync token available. Sync at least once first.");
                 }
 
-                for (const event of response.chunk) {
-                    const eventTime = event.origin_server_ts;
-
-                    if (eventTime < startTime) {
-                        if (direction === 'b') {
-                            hasMore = false;
-                            break;
-                        }
-                        continue;
-                    }
-
-                    if (eventTime > endTime) {
-                        if (direction === 'f') {
-                            hasMore = false;
-                            break;
+                // Sync keeps this chunk up to date, it only needs extending into the past
+                const chunk = store.liveChunk(roomId, syncToken);
+                const fetched = () => store.events(roomId, Math.max(startDate, chunk.oldest), endDate, { messagesOnly: true }).length;
+                // The newest messages are there once enough are, the oldest only once the start of the range is
+                const done = () => chunk.complete || !(chunk.prevToken || chunk.resumeFrom) || chunk.oldest < startDate || (direction === 'b' && fetched() >= limit);
+
+                while (!done()) {
+                    signal?.throwIfAborted();
+
+                    let response;
+                    try {
+                        if (!chunk.prevToken) {
+                            // The store dropped the chunk's older events, paginate on from its oldest one left
+                            const context = await this.client.doRequest(
+                                "GET",
+                                `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/context/${encodeURIComponent(chunk.resumeFrom)}`,
+                                { limit: 0 }
+                            );
+                            store.resume(roomId, chunk, context.start);
+                            continue;
                         }
-                        continue;
-                    }
 
-                    if (event.type === 'm.room.message') {
-                        messages.push({
-                            event,
-                            timestamp: new Date(eventTime)
-                        });
-                    }
-
-                    if (messages.length >= limit) {
-                        hasMore = false;
+                        response = await this.client.doRequest(
+                            "GET",
+                            `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/messages`,
+                            {
+                                from: chunk.prevToken,
+                                dir: 'b',
+                                limit: 100,
+                            }
+                        );
+                    } catch (error) {
+                        // The homeserver went away midway, what is stored will have to do
+                        if (error.statusCode) throw error;
+                        offline = true;
                         break;
                     }
+
+                    store.extendBackward(roomId, chunk, response.chunk || [], response.end);
+                    pages++;
+                    onProgress?.({ pages, messages: fetched() });
                 }
+            }
+
+            const stored = store.events(roomId, startDate, endDate, { messagesOnly: true });
+            if (offline) {
+                onProgress?.({ pages, messages: stored.length, offline: true });
+            }
 
-                fromToken = response.end || null;
+            const messages = [];
+            for (const rawEvent of direction === 'b' ? stored.reverse() : stored) {
+                const event = await this.decryptEvent(roomId, rawEvent);
 
-                if (!fromToken) {
-                    hasMore = false;
+                if (event.type === 'm.room.message') {
+                    messages.push({
+                        event,
+                        timestamp: new Date(event.origin_server_ts)
+                    });
                 }
+
+                if (messages.length >= limit) break;
             }
 
+            await this.requestMissingKeys();
+
             if (direction === 'b') {
                 messages.reverse();
             }
 
             return messages;
         } catch (error) {
-            console.error(`Error fetching messages for room ${roomId}:`, error);
+            if (!signal?.aborted) {
+                console.error(`Error fetching messages for room ${roomId}:`, error);
+            }
             throw error;
         }
     }
+
+    /**
+     * Tells whether the homeserver can be reached, as far as the last sync knows.
+     *
+     * @returns {boolean}
+     */
+    isOnline() {
+        return !this.sync || this.sync.online;
+    }
 }
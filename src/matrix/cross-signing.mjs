@@ -0,0 +1,199 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { configStore } from '../config/store.mjs';
+import { generateSigningKey, signJson } from './signing.mjs';
+
+/**
+ * * CrossSigning class to set up and use the cross-signing keys of the account.
+ * * @class CrossSigning
+ * * @description Generates the master, self-signing and user-signing keys, uploads their public halves and
+ * * keeps the private halves in the profile's data directory, so devices cich verifies can be signed.
+ * * @property {MatrixClient} client - The crypto-enabled Matrix client.
+ * * @property {string} path - Absolute path of the private key file.
+ * * @method status - Reports whether the account and this profile have cross-signing keys.
+ * * @method bootstrap - Creates and uploads new cross-signing keys.
+ * * @method signDevice - Signs one of the account's own devices with the self-signing key.
+ * * @method signUser - Signs another user's master key with the user-signing key.
+ */
+export class CrossSigning {
+    constructor(client, store = configStore) {
+        this.client = client;
+        this.store = store;
+        // Keys generated for an upload that is still waiting for User-Interactive Auth
+        this.pending = null;
+    }
+
+    get path() {
+        return this.store.crossSigningKeysPath;
+    }
+
+    /**
+     * Reads the private keys of this profile.
+     *
+     * @async
+     * @returns {Promise<{master: Object, selfSigning: Object, userSigning: Object}|null>} - The keys, or null if there are none.
+     */
+    async loadKeys() {
+        if (!fs.existsSync(this.path)) return null;
+        return JSON.parse(await fsp.readFile(this.path, 'utf8'));
+    }
+
+    /**
+     * Fetches the published device and cross-signing keys of a user.
+     *
+     * @async
+     * @param {string} userId - The user to look up.
+     * @returns {Promise<{devices: Object, masterKey: Object|null, selfSigningKey: Object|null}>}
+     */
+    async queryKeys(userId) {
+        const response = await this.client.doRequest("POST", "/_matrix/client/v3/keys/query", null, {
+            device_keys: { [userId]: [] }
+        });
+
+        return {
+            devices: response.device_keys?.[userId] || {},
+            masterKey: response.master_keys?.[userId] || null,
+            selfSigningKey: response.self_signing_keys?.[userId] || null
+        };
+    }
+
+    /**
+     * Reports the cross-signing state of the account and this profile.
+     *
+     * @async
+     * @returns {Promise<{published: boolean, masterKey: string|null, hasPrivateKeys: boolean, deviceSigned: boolean}>}
+     */
+    async status() {
+        const userId = await this.client.getUserId();
+        const deviceId = this.client.crypto.clientDeviceId;
+        const [{ devices, masterKey, selfSigningKey }, keys] = await Promise.all([this.queryKeys(userId), this.loadKeys()]);
+
+        const publishedMaster = masterKey ? Object.values(masterKey.keys)[0] : null;
+        const selfSigningKeyId = selfSigningKey ? Object.keys(selfSigningKey.keys)[0] : null;
+
+        return {
+            published: !!masterKey,
+            masterKey: publishedMaster,
+            hasPrivateKeys: !!keys && keys.master.publicKey === publishedMaster,
+            deviceSigned: !!selfSigningKeyId && !!devices[deviceId]?.signatures?.[userId]?.[selfSigningKeyId]
+        };
+    }
+
+    /**
+     * Creates new cross-signing keys, uploads them and signs this device.
+     *
+     * The upload is protected by User-Interactive Auth. The keys generated for the first attempt
+     * are kept, so the retry with the completed auth uploads the same keys.
+     *
+     * @async
+     * @param {Object} [params]
+     * @param {Object} [params.auth] - The UIA stage being completed, including the session ID.
+     * @param {boolean} [params.force=false] - Replace cross-signing keys that already exist on the account.
+     * @returns {Promise<{masterKey: string}>} - The new master key.
+     * @throws Will throw an error if keys exist and `force` isn't set, or if the homeserver asks for auth.
+     */
+    async bootstrap({ auth, force = false } = {}) {
+        const userId = await this.client.getUserId();
+
+        if (!this.pending) {
+            const { masterKey } = await this.queryKeys(userId);
+            if (masterKey && !force) {
+                throw new Error('Cross-signing is already set up for this account, use --force to replace the keys');
+            }
+
+            this.pending = {
+                master: generateSigningKey(),
+                selfSigning: generateSigningKey(),
+                userSigning: generateSigningKey()
+            };
+        }
+
+        const { master, selfSigning, userSigning } = this.pending;
+        const publicKey = (key, usage) => ({
+            user_id: userId,
+            usage: [usage],
+            keys: { [`ed25519:${key.publicKey}`]: key.publicKey }
+        });
+
+        // The master key is signed by this device, the other two by the master key
+        const masterKey = publicKey(master, 'master');
+        masterKey.signatures = await this.client.crypto.sign(masterKey);
+
+        await this.client.doRequest("POST", "/_matrix/client/v3/keys/device_signing/upload", null, {
+            master_key: masterKey,
+            self_signing_key: signJson(publicKey(selfSigning, 'self_signing'), userId, master),
+            user_signing_key: signJson(publicKey(userSigning, 'user_signing'), userId, master),
+            auth
+        });
+
+        await fsp.mkdir(path.dirname(this.path), { recursive: true, mode: 0o700 });
+        await fsp.writeFile(this.path, JSON.stringify(this.pending, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+        this.pending = null;
+
+        await this.signDevice(this.client.crypto.clientDeviceId);
+
+        return { masterKey: master.publicKey };
+    }
+
+    /**
+     * Signs one of the account's own devices with the self-signing key.
+     *
+     * @async
+     * @param {string} deviceId - The device to sign.
+     * @returns {Promise<boolean>} - False if this profile has no self-signing key.
+     */
+    async signDevice(deviceId) {
+        const keys = await this.loadKeys();
+        if (!keys) return false;
+
+        const userId = await this.client.getUserId();
+        const { devices } = await this.queryKeys(userId);
+        if (!devices[deviceId]) {
+            throw new Error(`Device ${deviceId} has no published keys`);
+        }
+
+        const { signatures, unsigned, ...deviceKeys } = devices[deviceId];
+        const signed = signJson(deviceKeys, userId, keys.selfSigning);
+
+        await this.uploadSignatures({ [userId]: { [deviceId]: signed } });
+        return true;
+    }
+
+    /**
+     * Signs another user's master key with the user-signing key.
+     *
+     * @async
+     * @param {string} otherUserId - The user to sign.
+     * @returns {Promise<boolean>} - False if this profile has no user-signing key or the user has no master key.
+     */
+    async signUser(otherUserId) {
+        const keys = await this.loadKeys();
+        if (!keys) return false;
+
+        const { masterKey } = await this.queryKeys(otherUserId);
+        if (!masterKey) return false;
+
+        const { signatures, unsigned, ...publicKey } = masterKey;
+        const signed = signJson(publicKey, await this.client.getUserId(), keys.userSigning);
+
+        await this.uploadSignatures({ [otherUserId]: { [Object.values(masterKey.keys)[0]]: signed } });
+        return true;
+    }
+
+    /**
+     * Uploads key signatures, failing if the homeserver rejects any of them.
+     *
+     * @async
+     * @param {Object} signatures - User ID to key ID to signed key object.
+     * @returns {Promise<void>}
+     */
+    async uploadSignatures(signatures) {
+        const { failures } = await this.client.doRequest("POST", "/_matrix/client/v3/keys/signatures/upload", null, signatures);
+
+        if (failures && Object.keys(failures).length > 0) {
+            const reasons = Object.values(failures).flatMap(Object.values).map(failure => failure.error || failure.errcode);
+            throw new Error(`Signature upload failed: ${reasons.join(', ')}`);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Splits a Matrix user ID into its localpart and server name.
+ *
+ * @param {string} input - The user input, e.g. "@alice:matrix.org".
+ * @returns {{localpart: string, serverName: string}|null} - The parts, or null if the input is not an MXID.
+ */
+function parseMxid(input) {
+    const match = /^@([^:\s]+):(\S+)$/.exec(input || '');
+    if (!match) return null;
+
+    return { localpart: match[1], serverName: match[2] };
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Looks up the homeserver base URL advertised in `/.well-known/matrix/client`.
+ *
+ * @async
+ * @param {string} serverName - The server name, e.g. "matrix.org".
+ * @returns {Promise<string|null>} - The advertised base URL, or null if the server has no well-known file.
+ * @throws {Error} - If the well-known file exists but is invalid.
+ */
+async function discoverHomeserver(serverName) {
+    let wellKnown;
+    try {
+        wellKnown = await fetchJson(`https://${serverName}/.well-known/matrix/client`);
+    } catch (error) {
+        // A missing or unreachable well-known file means "use the server name as is"
+        if (error.status === 404 || !error.status) return null;
+        throw new Error(`Discovery for ${serverName} failed: ${error.message}`);
+    }
+
+    const baseUrl = wellKnown?.['m.homeserver']?.base_url;
+    if (typeof baseUrl !== 'string' || !/^https?:\/\//.test(baseUrl)) {
+        throw new Error(`Discovery for ${serverName} failed: /.well-known/matrix/client has no valid m.homeserver.base_url`);
+    }
+
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Checks that a base URL serves the Matrix client-server API.
+ *
+ * @async
+ * @param {string} baseUrl - The homeserver base URL.
+ * @returns {Promise<string[]>} - The spec versions the homeserver supports.
+ * @throws {Error} - If the URL is unreachable or doesn't answer like a homeserver.
+ */
+async function probeHomeserver(baseUrl) {
+    let body;
+    try {
+        body = await fetchJson(`${baseUrl}/_matrix/client/versions`);
+    } catch (error) {
+        const reason = error.cause?.code || error.cause?.message || error.message;
+        throw new Error(`${baseUrl} is not reachable as a Matrix homeserver (${reason})`);
+    }
+
+    if (!Array.isArray(body?.versions)) {
+        throw new Error(`${baseUrl} does not look like a Matrix homeserver (no client API versions)`);
+    }
+
+    return body.versions;
+}
+
+/**
+ * Turns user input into a verified homeserver base URL.
+ *
+ * Full URLs are used as is. Anything else is treated as a server name and resolved through
+ * `/.well-known/matrix/client`, falling back to `https://<server name>`. Either way the result is
+ * probed with `/_matrix/client/versions` before it is returned.
+ *
+ * @async
+ * @param {string} input - A homeserver URL or server name.
+ * @returns {Promise<string>} - The verified base URL, without trailing slash.
+ * @throws {Error} - If the input is malformed or the homeserver can't be verified.
+ */
+async function resolveHomeserver(input) {
+    const value = (input || '').trim();
+    let baseUrl;
+
+    if (/^https?:\/\//i.test(value)) {
+        try {
+            baseUrl = new URL(value).toString().replace(/\/+$/, '');
+        } catch {
+            throw new Error(`"${value}" is not a valid URL`);
+        }
+    } else if (/^[A-Za-z0-9.-]+(:\d+)?$/.test(value)) {
+        baseUrl = (await discoverHomeserver(value)) || `https://${value}`;
+    } else {
+        throw new Error(`"${value}" is neither a homeserver URL nor a server name`);
+    }
+
+    await probeHomeserver(baseUrl);
+
+    return baseUrl;
+}
+
+export { parseMxid, discoverHomeserver, probeHomeserver, resolveHomeserver };
@@ -0,0 +1,135 @@
+import { randomUUID } from 'crypto';
+import { SyncHooks } from './sync-hooks.mjs';
+
+/**
+ * Checks an event type against a subscription's type filter. Entries ending in `*` match
+ * every type with that prefix, e.g. `m.room.*`.
+ *
+ * @param {string[]|null} types - The filter, or null for every type.
+ * @param {string} type - The event type.
+ * @returns {boolean}
+ */
+function matchesType(types, type) {
+    if (!types) return true;
+    return types.some(pattern => pattern.endsWith('*') ? type.startsWith(pattern.slice(0, -1)) : pattern === type);
+}
+
+/**
+ * * EventBus class to fan the events of the sync loop out to any number of subscribers.
+ * * @class EventBus
+ * * @description Listens to the Matrix client once and hands every timeline event (decrypted where possible,
+ * * an "unable to decrypt" placeholder otherwise), invite, leave and ephemeral typing/receipt event to the
+ * * subscribers whose room and type filters match. The client is only listened to while someone is subscribed.
+ * * @property {MatrixClient} client - The syncing Matrix client.
+ * * @property {Map<string, Object>} subscribers - Filters and callbacks by subscriber ID.
+ * * @method subscribe - Starts delivering matching events to a callback.
+ */
+export class EventBus {
+    /**
+     * @param {MatrixClient} client - The syncing Matrix client.
+     * @param {Function} [onUndecryptable] - Turns `(roomId, event, error)` into the event delivered when the
+     * client fails to decrypt it, or a promise of it.
+     */
+    constructor(client, onUndecryptable = (roomId, event) => event) {
+        this.client = client;
+        this.onUndecryptable = onUndecryptable;
+        this.subscribers = new Map();
+        this.detach = null;
+    }
+
+    /**
+     * Starts delivering matching events to a callback.
+     *
+     * @param {Object} filter
+     * @param {string[]} [filter.roomIds] - Only events of these rooms. All rooms by default.
+     * @param {string[]} [filter.types] - Only these event types, `*` suffixes allowed. All types by default.
+     * @param {Function} callback - Called with `{roomId, event, ephemeral}` for every matching event.
+     * @returns {Function} - Stops the delivery.
+     */
+    subscribe({ roomIds, types } = {}, callback) {
+        const id = randomUUID();
+        this.subscribers.set(id, {
+            roomIds: roomIds?.length ? new Set(roomIds) : null,
+            types: types?.length ? types : null,
+            callback
+        });
+
+        if (!this.detach) {
+            this.detach = this.attach();
+        }
+
+        return () => {
+            this.subscribers.delete(id);
+            if (this.subscribers.size === 0 && this.detach) {
+                this.detach();
+                this.detach = null;
+            }
+        };
+    }
+
+    /**
+     * Hands an event to every subscriber whose filters match.
+     *
+     * @param {string} roomId - The room of the event.
+     * @param {Object} event - The event.
+     * @param {boolean} [ephemeral=false] - Whether it is a typing notification or a receipt.
+     */
+    publish(roomId, event, ephemeral = false) {
+        for (const { roomIds, types, callback } of this.subscribers.values()) {
+            if (roomIds && !roomIds.has(roomId)) continue;
+            if (!matchesType(types, event.type)) continue;
+
+            try {
+                callback({ roomId, event, ephemeral });
+            } catch (error) {
+                console.error('Event subscriber failed:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Listens to the client, returning a function that stops listening.
+     *
+     * @private
+     * @returns {Function}
+     */
+    attach() {
+        // The client emits events it failed to decrypt once more, still encrypted, as `room.event`
+        const failed = new Set();
+        const onEvent = (roomId, event) => {
+            if (failed.delete(event.event_id)) return;
+            this.publish(roomId, event);
+        };
+        const onFailedDecryption = (roomId, event, error) => {
+            failed.add(event.event_id);
+            Promise.resolve(this.onUndecryptable(roomId, event, error))
+                .then(delivered => this.publish(roomId, delivered))
+                .catch(failure => console.error('Failed to handle an undecryptable event:', failure.message));
+        };
+
+        // Invites and leaves don't come through `room.event`, their room isn't joined
+        const onMembership = (roomId, event) => this.publish(roomId, event);
+
+        this.client.on('room.event', onEvent);
+        this.client.on('room.failed_decryption', onFailedDecryption);
+        this.client.on('room.invite', onMembership);
+        this.client.on('room.leave', onMembership);
+
+        // matrix-bot-sdk drops the ephemeral events of joined rooms, pick them out of the sync response first
+        const stopEphemeral = SyncHooks.of(this.client).onResponse((raw) => {
+            for (const [roomId, room] of Object.entries(raw?.rooms?.join || {})) {
+                for (const event of room.ephemeral?.events || []) {
+                    this.publish(roomId, event, true);
+                }
+            }
+        });
+
+        return () => {
+            this.client.removeListener('room.event', onEvent);
+            this.client.removeListener('room.failed_decryption', onFailedDecryption);
+            this.client.removeListener('room.invite', onMembership);
+            this.client.removeListener('room.leave', onMembership);
+            stopEphemeral();
+        };
+    }
+}
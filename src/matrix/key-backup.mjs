@@ -0,0 +1,333 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { createDecipheriv, createHmac, createPrivateKey, createPublicKey, diffieHellman, hkdfSync, pbkdf2, randomBytes } from 'crypto';
+import { promisify } from 'util';
+import { configStore } from '../config/store.mjs';
+import { decodeBase64, encodeBase64, importCurve25519Key, signJson } from './signing.mjs';
+
+const pbkdf2Async = promisify(pbkdf2);
+
+const BACKUP_ALGORITHM = 'm.megolm_backup.v1.curve25519-aes-sha2';
+const RECOVERY_KEY_PREFIX = [0x8b, 0x01];
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const PASSPHRASE_ROUNDS = 500000;
+
+function encodeBase58(bytes) {
+    let value = BigInt('0x' + (bytes.toString('hex') || '0'));
+    let encoded = '';
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+    return encoded;
+}
+
+function decodeBase58(text) {
+    let value = 0n;
+    for (const char of text) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) throw new Error(`Invalid character "${char}" in recovery key`);
+        value = value * 58n + BigInt(digit);
+    }
+    const hex = value.toString(16);
+    const leadingZeros = text.length - text.replace(/^1+/, '').length;
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex')]);
+}
+
+/**
+ * Formats a backup private key as a recovery key, the way Element shows it.
+ *
+ * @param {Buffer} privateKey - The 32-byte Curve25519 private key.
+ * @returns {string} - The recovery key, in groups of four characters.
+ */
+function encodeRecoveryKey(privateKey) {
+    const bytes = Buffer.from([...RECOVERY_KEY_PREFIX, ...privateKey, 0]);
+    bytes[bytes.length - 1] = bytes.subarray(0, -1).reduce((parity, byte) => parity ^ byte, 0);
+
+    return encodeBase58(bytes).match(/.{1,4}/g).join(' ');
+}
+
+/**
+ * Reads the backup private key out of a recovery key.
+ *
+ * @param {string} recoveryKey - The recovery key, spaces allowed.
+ * @returns {Buffer} - The 32-byte Curve25519 private key.
+ * @throws {Error} - If the recovery key is mistyped.
+ */
+function decodeRecoveryKey(recoveryKey) {
+    const bytes = decodeBase58(recoveryKey.replace(/\s+/g, ''));
+
+    if (bytes.length !== RECOVERY_KEY_PREFIX.length + 33
+        || bytes[0] !== RECOVERY_KEY_PREFIX[0] || bytes[1] !== RECOVERY_KEY_PREFIX[1]
+        || bytes.reduce((parity, byte) => parity ^ byte, 0) !== 0) {
+        throw new Error('Not a valid recovery key, check it for typos');
+    }
+    return bytes.subarray(RECOVERY_KEY_PREFIX.length, -1);
+}
+
+function importPrivateKey(privateKey) {
+    // PKCS#8 wrapping of a raw X25519 private key
+    const der = Buffer.concat([Buffer.from('302e020100300506032b656e04220420', 'hex'), privateKey]);
+    return createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+}
+
+function publicKeyOf(privateKey) {
+    const { x } = createPublicKey(importPrivateKey(privateKey)).export({ format: 'jwk' });
+    return encodeBase64(decodeBase64(x));
+}
+
+/**
+ * Decrypts one backed-up session with the backup private key.
+ *
+ * @param {Buffer} privateKey - The backup private key.
+ * @param {{ephemeral: string, ciphertext: string, mac: string}} sessionData - The encrypted session.
+ * @returns {Object} - The session: algorithm, sender key, session key and claimed keys.
+ * @throws {Error} - If the MAC doesn't match.
+ */
+function decryptSession(privateKey, { ephemeral, ciphertext, mac }) {
+    const secret = diffieHellman({ privateKey: importPrivateKey(privateKey), publicKey: importCurve25519Key(ephemeral) });
+    const keys = Buffer.from(hkdfSync('sha256', secret, Buffer.alloc(32), Buffer.alloc(0), 80));
+
+    // The MAC covers an empty message, a long-standing quirk of the algorithm other clients rely on
+    const expectedMac = createHmac('sha256', keys.subarray(32, 64)).digest().subarray(0, 8);
+    if (encodeBase64(expectedMac) !== mac.replace(/=+$/, '')) {
+        throw new Error('Bad MAC');
+    }
+
+    const decipher = createDecipheriv('aes-256-cbc', keys.subarray(0, 32), keys.subarray(64, 80));
+    const plaintext = Buffer.concat([decipher.update(decodeBase64(ciphertext)), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * * KeyBackup class to manage the server-side backup of room keys.
+ * * @class KeyBackup
+ * * @description Creates backup versions, restores room keys from them with a recovery key or passphrase, and
+ * * keeps the crypto engine uploading new room keys. The backup private key is kept in the profile's data directory.
+ * * @property {MatrixClient} client - The crypto-enabled Matrix client.
+ * * @property {string} path - Absolute path of the backup key file.
+ * * @method status - Reports the server's backup version and whether this profile holds its key.
+ * * @method enable - Creates a new backup version.
+ * * @method restore - Downloads and decrypts the backed-up room keys.
+ * * @method startUploads - Lets the crypto engine back up new room keys in the background.
+ * * @method stopUploads - Stops the background uploads.
+ */
+export class KeyBackup {
+    constructor(client, store = configStore) {
+        this.client = client;
+        this.store = store;
+        this.uploading = false;
+        // The engine reports failed uploads as an event and keeps the keys for the next try
+        this.onFailedUpload = (error) => console.error('Key backup upload failed:', error.message);
+    }
+
+    get path() {
+        return this.store.keyBackupKeyPath;
+    }
+
+    /**
+     * Reads the backup key of this profile.
+     *
+     * @async
+     * @returns {Promise<{version: string, privateKey: string}|null>} - The key, or null if there is none.
+     */
+    async loadKey() {
+        if (!fs.existsSync(this.path)) return null;
+        return JSON.parse(await fsp.readFile(this.path, 'utf8'));
+    }
+
+    async saveKey(version, privateKey) {
+        await fsp.mkdir(path.dirname(this.path), { recursive: true, mode: 0o700 });
+        await fsp.writeFile(this.path, JSON.stringify({ version, privateKey: encodeBase64(privateKey) }, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    }
+
+    /**
+     * Fetches the current backup version, or a specific one.
+     *
+     * @async
+     * @param {string} [version] - The version to fetch, the latest by default.
+     * @returns {Promise<Object|null>} - The version info, or null if the account has no backup.
+     */
+    async getVersion(version) {
+        const endpoint = version
+            ? `/_matrix/client/v3/room_keys/version/${encodeURIComponent(version)}`
+            : "/_matrix/client/v3/room_keys/version";
+
+        try {
+            return await this.client.doRequest("GET", endpoint);
+        } catch (error) {
+            if (error.errcode === 'M_NOT_FOUND' || error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Reports the state of the server-side key backup.
+     *
+     * @async
+     * @returns {Promise<{version: string|null, algorithm: string|null, count: number, hasKey: boolean, uploading: boolean}>}
+     */
+    async status() {
+        const [info, key] = await Promise.all([this.getVersion(), this.loadKey()]);
+
+        return {
+            version: info?.version ?? null,
+            algorithm: info?.algorithm ?? null,
+            count: info?.count ?? 0,
+            hasKey: !!info && !!key && publicKeyOf(decodeBase64(key.privateKey)) === info.auth_data?.public_key,
+            uploading: this.uploading
+        };
+    }
+
+    /**
+     * Creates a new backup version and starts backing up room keys to it.
+     *
+     * The backup is signed by this device, and by the master key if this profile has cross-signing keys.
+     *
+     * @async
+     * @param {Object} [params]
+     * @param {string} [params.passphrase] - Derive the backup key from a passphrase instead of generating it.
+     * @param {{master: Object}|null} [params.crossSigningKeys] - The private cross-signing keys, if any.
+     * @returns {Promise<{version: string, recoveryKey: string}>} - The new version and its recovery key.
+     */
+    async enable({ passphrase, crossSigningKeys = null } = {}) {
+        const userId = await this.client.getUserId();
+
+        let privateKey;
+        const authData = {};
+        if (passphrase) {
+            authData.private_key_salt = encodeBase64(randomBytes(24));
+            authData.private_key_iterations = PASSPHRASE_ROUNDS;
+            privateKey = await pbkdf2Async(passphrase, authData.private_key_salt, PASSPHRASE_ROUNDS, 32, 'sha512');
+        } else {
+            privateKey = randomBytes(32);
+        }
+        authData.public_key = publicKeyOf(privateKey);
+
+        authData.signatures = await this.client.crypto.sign(authData);
+        const signedAuthData = crossSigningKeys
+            ? signJson(authData, userId, crossSigningKeys.master)
+            : authData;
+
+        const { version } = await this.client.doRequest("POST", "/_matrix/client/v3/room_keys/version", null, {
+            algorithm: BACKUP_ALGORITHM,
+            auth_data: signedAuthData
+        });
+
+        await this.saveKey(version, privateKey);
+        await this.startUploads();
+
+        return { version, recoveryKey: encodeRecoveryKey(privateKey) };
+    }
+
+    /**
+     * Downloads and decrypts every room key in the latest backup version.
+     *
+     * The key is checked against the backup before anything is downloaded, and kept so new
+     * room keys are backed up from now on.
+     *
+     * @async
+     * @param {Object} params
+     * @param {string} [params.recoveryKey] - The recovery key of the backup.
+     * @param {string} [params.passphrase] - The passphrase the backup key was derived from.
+     * @returns {Promise<{version: string, sessions: Object[], failed: number}>} - The sessions in export format,
+     * and how many couldn't be decrypted.
+     * @throws Will throw an error if there is no backup or the key doesn't belong to it.
+     */
+    async restore({ recoveryKey, passphrase }) {
+        const info = await this.getVersion();
+        if (!info) {
+            throw new Error('This account has no key backup');
+        }
+        if (info.algorithm !== BACKUP_ALGORITHM) {
+            throw new Error(`Unsupported backup algorithm ${info.algorithm}`);
+        }
+
+        let privateKey;
+        if (recoveryKey) {
+            privateKey = decodeRecoveryKey(recoveryKey);
+        } else {
+            const { private_key_salt: salt, private_key_iterations: iterations } = info.auth_data;
+            if (!salt || !iterations) {
+                throw new Error('This backup has no passphrase, use the recovery key');
+            }
+            privateKey = await pbkdf2Async(passphrase, salt, iterations, 32, 'sha512');
+        }
+
+        if (publicKeyOf(privateKey) !== info.auth_data.public_key) {
+            throw new Error(`The ${recoveryKey ? 'recovery key' : 'passphrase'} doesn't match backup version ${info.version}`);
+        }
+
+        const { rooms = {} } = await this.client.doRequest("GET", "/_matrix/client/v3/room_keys/keys", { version: info.version });
+
+        const sessions = [];
+        let failed = 0;
+        for (const [roomId, { sessions: roomSessions = {} }] of Object.entries(rooms)) {
+            for (const [sessionId, { session_data: sessionData }] of Object.entries(roomSessions)) {
+                try {
+                    sessions.push({ ...decryptSession(privateKey, sessionData), room_id: roomId, session_id: sessionId });
+                } catch {
+                    failed++;
+                }
+            }
+        }
+
+        await this.saveKey(info.version, privateKey);
+
+        return { version: info.version, sessions, failed };
+    }
+
+    /**
+     * Lets the crypto engine upload new room keys to the backup.
+     *
+     * Uploads only start if this profile holds the key of the server's current backup version,
+     * so room keys are never encrypted to a backup someone else created. The engine backs up the
+     * keys it creates or receives as they come; keys it couldn't send, e.g. while offline, go out with the next ones.
+     *
+     * @async
+     * @returns {Promise<boolean>} - Whether uploads are running.
+     */
+    async startUploads() {
+        await this.stopUploads();
+
+        const [info, key] = await Promise.all([this.getVersion(), this.loadKey()]);
+        if (!info || !key || key.version !== info.version) return false;
+        if (publicKeyOf(decodeBase64(key.privateKey)) !== info.auth_data?.public_key) return false;
+
+        if (!this.client.crypto?.isReady) {
+            console.warn("Key backup: encryption is not set up for this session, uploads are off");
+            return false;
+        }
+        if (typeof this.client.crypto.enableKeyBackup !== 'function') {
+            console.warn("Key backup: this profile's crypto store predates backup uploads, log in again to back up new room keys");
+            return false;
+        }
+
+        await this.client.crypto.enableKeyBackup(info);
+        this.client.on("crypto.failed_backup", this.onFailedUpload);
+        this.uploading = true;
+
+        return true;
+    }
+
+    /**
+     * Stops uploading room keys to the backup.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async stopUploads() {
+        if (!this.uploading) return;
+
+        this.uploading = false;
+        this.client.removeListener("crypto.failed_backup", this.onFailedUpload);
+        if (this.client.crypto?.isReady) await this.client.crypto.disableKeyBackup();
+    }
+}
+
+export { encodeRecoveryKey, decodeRecoveryKey, decryptSession };
@@ -0,0 +1,126 @@
+import { randomBytes, pbkdf2, createCipheriv, createDecipheriv, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const pbkdf2Async = promisify(pbkdf2);
+
+const HEADER = '-----BEGIN MEGOLM SESSION DATA-----';
+const FOOTER = '-----END MEGOLM SESSION DATA-----';
+const FORMAT_VERSION = 1;
+const DEFAULT_ROUNDS = 500000;
+const MEGOLM_ALGORITHM = 'm.megolm.v1.aes-sha2';
+
+/**
+ * Derives the AES and HMAC keys of a key export from its passphrase.
+ *
+ * @async
+ * @param {string} passphrase - The export passphrase.
+ * @param {Buffer} salt - The 16-byte salt.
+ * @param {number} rounds - The PBKDF2 iteration count.
+ * @returns {Promise<{aesKey: Buffer, hmacKey: Buffer}>}
+ */
+async function deriveKeys(passphrase, salt, rounds) {
+    const derived = await pbkdf2Async(Buffer.from(passphrase, 'utf8'), salt, rounds, 64, 'sha512');
+    return { aesKey: derived.subarray(0, 32), hmacKey: derived.subarray(32) };
+}
+
+/**
+ * Encrypts Megolm sessions in the passphrase-protected export format Element and other clients use.
+ *
+ * @async
+ * @param {Object[]} sessions - The exported sessions.
+ * @param {string} passphrase - The passphrase to protect the file with.
+ * @param {number} [rounds] - The PBKDF2 iteration count.
+ * @returns {Promise<string>} - The armored file contents.
+ */
+async function encryptKeyExport(sessions, passphrase, rounds = DEFAULT_ROUNDS) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(16);
+    // Clear bit 63 of the counter, as the format asks, so the counter can't wrap around
+    iv[8] &= 0x7f;
+
+    const { aesKey, hmacKey } = await deriveKeys(passphrase, salt, rounds);
+
+    const cipher = createCipheriv('aes-256-ctr', aesKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(sessions), 'utf8'), cipher.final()]);
+
+    const roundsBytes = Buffer.alloc(4);
+    roundsBytes.writeUInt32BE(rounds);
+
+    const body = Buffer.concat([Buffer.from([FORMAT_VERSION]), salt, iv, roundsBytes, ciphertext]);
+    const mac = createHmac('sha256', hmacKey).update(body).digest();
+
+    const encoded = Buffer.concat([body, mac]).toString('base64').match(/.{1,96}/g).join('\n');
+    return `${HEADER}\n${encoded}\n${FOOTER}\n`;
+}
+
+/**
+ * Decrypts the payload of a passphrase-protected key export, without reading it as sessions.
+ *
+ * @async
+ * @param {string} data - The armored file contents.
+ * @param {string} passphrase - The passphrase the file was protected with.
+ * @returns {Promise<string>} - The plaintext.
+ * @throws {Error} - If the file is not a key export or the passphrase is wrong.
+ */
+async function decryptKeyExportPayload(data, passphrase) {
+    const start = data.indexOf(HEADER);
+    const end = data.indexOf(FOOTER);
+    if (start === -1 || end === -1 || end < start) {
+        throw new Error('Not a Megolm key export (missing BEGIN/END MEGOLM SESSION DATA lines)');
+    }
+
+    const raw = Buffer.from(data.slice(start + HEADER.length, end).replace(/\s+/g, ''), 'base64');
+    if (raw.length < 1 + 16 + 16 + 4 + 32) {
+        throw new Error('Key export is truncated');
+    }
+    if (raw[0] !== FORMAT_VERSION) {
+        throw new Error(`Unsupported key export version ${raw[0]}`);
+    }
+
+    const salt = raw.subarray(1, 17);
+    const iv = raw.subarray(17, 33);
+    const rounds = raw.readUInt32BE(33);
+    const body = raw.subarray(0, raw.length - 32);
+    const ciphertext = raw.subarray(37, raw.length - 32);
+    const mac = raw.subarray(raw.length - 32);
+
+    const { aesKey, hmacKey } = await deriveKeys(passphrase, salt, rounds);
+
+    const expectedMac = createHmac('sha256', hmacKey).update(body).digest();
+    if (!timingSafeEqual(mac, expectedMac)) {
+        throw new Error('Wrong passphrase, or the key export is corrupted');
+    }
+
+    const decipher = createDecipheriv('aes-256-ctr', aesKey, iv);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Decrypts a passphrase-protected Megolm session export.
+ *
+ * @async
+ * @param {string} data - The armored file contents.
+ * @param {string} passphrase - The passphrase the file was protected with.
+ * @returns {Promise<Object[]>} - The exported sessions.
+ * @throws {Error} - If the file is not a key export or the passphrase is wrong.
+ */
+async function decryptKeyExport(data, passphrase) {
+    const sessions = JSON.parse(await decryptKeyExportPayload(data, passphrase));
+    if (!Array.isArray(sessions)) {
+        throw new Error('Key export does not contain a list of sessions');
+    }
+    return sessions;
+}
+
+/**
+ * Checks that an exported session has everything needed to import it.
+ *
+ * @param {Object} session - An entry of a key export.
+ * @returns {boolean}
+ */
+function isValidSession(session) {
+    return session?.algorithm === MEGOLM_ALGORITHM
+        && ['room_id', 'session_id', 'session_key', 'sender_key'].every(field => typeof session[field] === 'string' && session[field]);
+}
+
+export { encryptKeyExport, decryptKeyExport, decryptKeyExportPayload, isValidSession };
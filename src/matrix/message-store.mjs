@@ -0,0 +1,463 @@
+import fs from 'fs';
+import path from 'path';
+import { configStore } from '../config/store.mjs';
+import { SyncHooks } from './sync-hooks.mjs';
+
+// Events that may be, or hide, a message
+const MESSAGE_TYPES = ['m.room.message', 'm.room.encrypted'];
+// Events kept per room; older ones are dropped when the room's file is read and has more
+const MAX_STORED_EVENTS = 5000;
+// Timelines kept in memory, the least recently read ones are dropped first
+const MAX_LOADED_TIMELINES = 20;
+// Timelines nobody read for this long are dropped from memory, in milliseconds
+const TIMELINE_IDLE = 10 * 60 * 1000;
+
+const fileName = (roomId) => Buffer.from(roomId).toString('base64url');
+
+/**
+ * The index of the first event newer than a timestamp, in a timeline sorted oldest first.
+ *
+ * @param {Object[]} events - The sorted events.
+ * @param {number} time - The timestamp.
+ * @param {boolean} [inclusive=false] - Find the first event at or after the timestamp instead.
+ * @returns {number}
+ */
+function indexAfter(events, time, inclusive = false) {
+    let low = 0;
+    let high = events.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        const ts = events[middle].origin_server_ts;
+        if (ts < time || (!inclusive && ts === time)) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/**
+ * * MessageStore class to keep the timeline of every room on disk, so history works offline.
+ * * @class MessageStore
+ * * @description Appends the raw timeline events the client syncs or paginates to one JSON-lines file per room.
+ * * Events of encrypted rooms stay encrypted there and are decrypted when read. Next to it, a JSON file tracks
+ * * which stretches of the timeline are complete: each of the room's `chunks` is a run of consecutive events from
+ * * `oldest` to `newest` (timestamps), with the token to paginate further back (`prevToken`), or `complete` once
+ * * the room's creation is reached. Sync keeps extending the `live` chunk; a limited sync starts a new one,
+ * * leaving a gap that pagination fills in later.
+ * * Timelines are read into memory when needed and dropped again when idle or when too many are loaded. A room
+ * * file with more than `maxStoredEvents` events is cut to the newest ones when it is read; the chunk that loses
+ * * its older part keeps the ID of its oldest event left (`resumeFrom`) to paginate on from there.
+ * * @property {string} dir - Directory of the room files.
+ * * @property {Map<string, Object>} rooms - Rooms by ID, with their metadata and their timeline if it is loaded.
+ * * @property {Map<string, Object>} loaded - Rooms with a loaded timeline, least recently read first.
+ * * @method install - Records what the client syncs.
+ * * @method liveChunk - The chunk that reaches up to the present, created if needed.
+ * * @method extendBackward - Records a page paginated back from a chunk, merging it with the chunk it reaches.
+ * * @method resume - Sets the token to paginate on from a chunk that lost its older events.
+ * * @method events - Stored events of a time range, oldest first.
+ * * @method latest - The newest stored message of the live chunk.
+ * * @method roomIds - Rooms the store knows the user is in.
+ * * @method roomInfo - A room's name and member count, as last seen online.
+ * * @method updateRoom - Remembers a room's name and member count for offline room lists.
+ */
+export class MessageStore {
+    /**
+     * @param {string} [dir] - Directory of the room files, the profile's by default.
+     * @param {Object} [options]
+     * @param {number} [options.maxStoredEvents=5000] - Events kept per room.
+     * @param {number} [options.maxLoadedTimelines=20] - Timelines kept in memory.
+     */
+    constructor(dir = configStore.messageStorePath, { maxStoredEvents = MAX_STORED_EVENTS, maxLoadedTimelines = MAX_LOADED_TIMELINES } = {}) {
+        this.dir = dir;
+        this.maxStoredEvents = maxStoredEvents;
+        this.maxLoadedTimelines = maxLoadedTimelines;
+        this.rooms = new Map();
+        this.loaded = new Map();
+    }
+
+    /**
+     * Loads a room's chunks and metadata.
+     *
+     * @private
+     * @param {string} roomId
+     * @returns {{base: string, meta: Object, timeline: Object|null}}
+     */
+    room(roomId) {
+        let room = this.rooms.get(roomId);
+        if (room) return room;
+
+        const base = path.join(this.dir, fileName(roomId));
+        let meta = { roomId, name: null, memberCount: null, left: false, chunks: [], storedEvents: 0 };
+        try {
+            meta = { ...meta, ...JSON.parse(fs.readFileSync(`${base}.json`, 'utf8')) };
+        } catch {
+            // Nothing stored for this room yet
+        }
+
+        // The timeline, only read once needed: rooms only listed don't need it in memory
+        room = { base, meta, timeline: null, readAt: 0 };
+        this.rooms.set(roomId, room);
+        return room;
+    }
+
+    /**
+     * A room's timeline, read from its file if it isn't loaded.
+     *
+     * @private
+     * @returns {{ids: Set<string>, events: Object[]}} - The event IDs, and the events sorted oldest first.
+     */
+    timeline(room) {
+        this.loaded.delete(room.meta.roomId);
+        this.loaded.set(room.meta.roomId, room);
+        room.readAt = Date.now();
+        room.timeline ??= this.read(room);
+        this.unloadIdle();
+        return room.timeline;
+    }
+
+    /**
+     * Drops the timelines nobody read for a while, and the least recently read ones beyond the limit.
+     *
+     * @private
+     */
+    unloadIdle() {
+        const idleSince = Date.now() - TIMELINE_IDLE;
+        for (const [roomId, room] of this.loaded) {
+            if (this.loaded.size <= this.maxLoadedTimelines && room.readAt >= idleSince) break;
+            room.timeline = null;
+            this.loaded.delete(roomId);
+        }
+    }
+
+    /**
+     * Reads a room's events from its file, and writes the file again if it holds duplicates
+     * or more events than the store keeps.
+     *
+     * @private
+     * @returns {{ids: Set<string>, events: Object[]}}
+     */
+    read(room) {
+        let lines = [];
+        try {
+            lines = fs.readFileSync(`${room.base}.jsonl`, 'utf8').split('\n');
+        } catch {
+            // No events stored yet
+        }
+
+        const byId = new Map();
+        let count = 0;
+        for (const line of lines) {
+            try {
+                const event = JSON.parse(line);
+                byId.set(event.event_id, event);
+                count++;
+            } catch {
+                // Empty, or cut short by a crash while appending
+            }
+        }
+
+        let events = [...byId.values()].sort((a, b) => a.origin_server_ts - b.origin_server_ts);
+        if (events.length > this.maxStoredEvents) {
+            events = events.slice(-this.maxStoredEvents);
+            this.dropOlderThan(room, events[0]);
+        }
+        if (events.length < count) {
+            // Sync appends to rooms that aren't loaded without knowing what is stored
+            const file = `${room.base}.jsonl`;
+            fs.writeFileSync(`${file}.tmp`, events.map(event => JSON.stringify(event) + '\n').join(''), { encoding: 'utf8', mode: 0o600 });
+            fs.renameSync(`${file}.tmp`, file);
+        }
+        if (room.meta.storedEvents !== events.length) {
+            room.meta.storedEvents = events.length;
+            this.save(room);
+        }
+
+        return { ids: new Set(events.map(event => event.event_id)), events };
+    }
+
+    /**
+     * Cuts the chunks to the events from the oldest one kept on. A chunk that loses its older part
+     * can't paginate on from its token anymore, it does from its oldest event left instead.
+     *
+     * @private
+     * @param {Object} room
+     * @param {Object} oldest - The oldest event kept.
+     */
+    dropOlderThan(room, oldest) {
+        const cutoff = oldest.origin_server_ts;
+        room.meta.chunks = room.meta.chunks.filter(chunk => chunk.newest >= cutoff);
+        for (const chunk of room.meta.chunks) {
+            if (chunk.oldest < cutoff) {
+                chunk.oldest = cutoff;
+                chunk.prevToken = null;
+                chunk.complete = false;
+                chunk.resumeFrom = oldest.event_id;
+            }
+        }
+    }
+
+    /**
+     * Appends the events that aren't stored yet. To a room whose timeline isn't loaded, every event is
+     * appended; duplicates are dropped when it is read, which it is once its file grows too much.
+     *
+     * @private
+     */
+    append(room, events) {
+        const timeline = room.timeline;
+        const added = events.filter(event => event?.event_id && !timeline?.ids.has(event.event_id));
+        if (added.length === 0) return;
+
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+        fs.appendFileSync(`${room.base}.jsonl`, added.map(event => JSON.stringify(event) + '\n').join(''), { encoding: 'utf8', mode: 0o600 });
+        room.meta.storedEvents = (room.meta.storedEvents || 0) + added.length;
+
+        if (!timeline) {
+            if (room.meta.storedEvents > this.maxStoredEvents * 1.25) this.read(room);
+            return;
+        }
+        for (const event of added) {
+            timeline.ids.add(event.event_id);
+            // Mostly newer than everything stored, or older than everything when paginating
+            timeline.events.splice(indexAfter(timeline.events, event.origin_server_ts), 0, event);
+        }
+    }
+
+    /**
+     * Writes a room's chunks and metadata, replacing the file at once so a crash can't leave half of it.
+     *
+     * @private
+     */
+    save(room) {
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(`${room.base}.json.tmp`, JSON.stringify(room.meta), { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(`${room.base}.json.tmp`, `${room.base}.json`);
+    }
+
+    /**
+     * Records the timelines of every sync, before the client processes it.
+     *
+     * @param {MatrixClient} client - The Matrix client, not started yet.
+     */
+    install(client) {
+        SyncHooks.of(client).onResponse((raw) => {
+            try {
+                for (const [roomId, room] of Object.entries(raw?.rooms?.join || {})) {
+                    this.recordSync(roomId, room);
+                }
+                for (const roomId of Object.keys(raw?.rooms?.leave || {})) {
+                    const room = this.room(roomId);
+                    if (!room.meta.left) {
+                        room.meta.left = true;
+                        this.save(room);
+                    }
+                }
+                this.unloadIdle();
+            } catch (error) {
+                // The store is a cache, the sync must go on without it
+                console.error('Failed to store synced events:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Records the timeline of a joined room from a sync response.
+     *
+     * @private
+     */
+    recordSync(roomId, { timeline, state }) {
+        const room = this.room(roomId);
+        const events = timeline?.events || [];
+        let changed = room.meta.left;
+        room.meta.left = false;
+
+        for (const event of [...(state?.events || []), ...events]) {
+            if (event.type === 'm.room.name' && event.state_key === '') {
+                room.meta.name = event.content?.name || null;
+                changed = true;
+            }
+        }
+
+        if (events.length > 0) {
+            const times = events.map(event => event.origin_server_ts);
+            const oldest = Math.min(...times);
+            const newest = Math.max(...times);
+            let live = room.meta.chunks.find(chunk => chunk.live);
+
+            if (!live || timeline.limited) {
+                // Events were skipped since the last sync, or nothing was recorded before: a new stretch starts here
+                if (live) live.live = false;
+                live = { oldest, newest, prevToken: timeline.prev_batch ?? null, complete: false, live: true };
+                room.meta.chunks.push(live);
+            } else {
+                live.newest = Math.max(live.newest, newest);
+            }
+
+            this.append(room, events);
+            changed = true;
+        }
+
+        if (changed) this.save(room);
+    }
+
+    /**
+     * The chunk that reaches up to the present. If sync hasn't recorded any for the room, an empty
+     * one is started at the sync token, which is where the client's sync stands.
+     *
+     * @param {string} roomId
+     * @param {string} syncToken - The client's current sync token.
+     * @returns {Object} - The chunk.
+     */
+    liveChunk(roomId, syncToken) {
+        const room = this.room(roomId);
+        let live = room.meta.chunks.find(chunk => chunk.live);
+
+        if (!live) {
+            const now = Date.now();
+            live = { oldest: now, newest: now, prevToken: syncToken, complete: false, live: true };
+            room.meta.chunks.push(live);
+            this.save(room);
+        }
+        return live;
+    }
+
+    /**
+     * Records a page of `/messages` paginated backward from a chunk's `prevToken`. When the page
+     * reaches events of an older chunk, the gap between them is filled: the chunks are merged and
+     * pagination continues where the older one ends, without fetching its events again.
+     *
+     * @param {string} roomId
+     * @param {Object} chunk - The chunk the page was paginated from.
+     * @param {Object[]} events - The page's events, newest first.
+     * @param {string|undefined} end - The token to paginate further back, missing at the room's creation.
+     * @returns {boolean} - Whether the page reached an older chunk.
+     */
+    extendBackward(roomId, chunk, events, end) {
+        const room = this.room(roomId);
+        const { ids } = this.timeline(room);
+
+        for (const [index, event] of events.entries()) {
+            const time = event.origin_server_ts;
+            const older = ids.has(event.event_id) && room.meta.chunks.find(other =>
+                other !== chunk && other.oldest <= time && time <= other.newest);
+
+            if (older) {
+                this.append(room, events.slice(0, index));
+                chunk.oldest = Math.min(chunk.oldest, older.oldest);
+                chunk.prevToken = older.prevToken;
+                chunk.resumeFrom = older.resumeFrom;
+                chunk.complete = older.complete;
+                chunk.live = chunk.live || older.live;
+                room.meta.chunks = room.meta.chunks.filter(other => other !== older);
+                this.save(room);
+                return true;
+            }
+            chunk.oldest = Math.min(chunk.oldest, time);
+        }
+
+        this.append(room, events);
+        chunk.prevToken = end ?? null;
+        chunk.complete = !end || events.length === 0;
+        this.save(room);
+        return false;
+    }
+
+    /**
+     * Sets the token to paginate on from a chunk that lost its older events, found through
+     * the event it resumes from.
+     *
+     * @param {string} roomId
+     * @param {Object} chunk - The chunk, with `resumeFrom`.
+     * @param {string|undefined} token - The token to paginate back from its oldest event, missing at the room's creation.
+     */
+    resume(roomId, chunk, token) {
+        const room = this.room(roomId);
+        delete chunk.resumeFrom;
+        chunk.prevToken = token ?? null;
+        chunk.complete = !token;
+        this.save(room);
+    }
+
+    /**
+     * Stored events of a room within a time range.
+     *
+     * @param {string} roomId
+     * @param {number} from - Start of the range, as a timestamp.
+     * @param {number} to - End of the range, as a timestamp.
+     * @param {Object} [options]
+     * @param {boolean} [options.messagesOnly=false] - Only events that may be messages (encrypted ones included).
+     * @returns {Object[]} - The raw events, oldest first.
+     */
+    events(roomId, from, to, { messagesOnly = false } = {}) {
+        const { events } = this.timeline(this.room(roomId));
+        return events
+            .slice(indexAfter(events, from, true), indexAfter(events, to))
+            .filter(event => !messagesOnly || MESSAGE_TYPES.includes(event.type));
+    }
+
+    /**
+     * The newest stored message of the room, if it belongs to the live chunk and is therefore
+     * known to be the room's last one.
+     *
+     * @param {string} roomId
+     * @param {Object} [options]
+     * @param {boolean} [options.live=true] - Only from the live chunk. Otherwise the newest of any chunk.
+     * @returns {Object|null} - The raw event.
+     */
+    latest(roomId, { live = true } = {}) {
+        const room = this.room(roomId);
+        const liveChunk = room.meta.chunks.find(chunk => chunk.live);
+        if (live && !liveChunk) return null;
+
+        const from = live ? liveChunk.oldest : -Infinity;
+        const { events } = this.timeline(room);
+        for (let index = events.length - 1; index >= 0 && events[index].origin_server_ts >= from; index--) {
+            if (MESSAGE_TYPES.includes(events[index].type)) return events[index];
+        }
+        return null;
+    }
+
+    /**
+     * Rooms with stored metadata that the user hasn't left.
+     *
+     * @returns {string[]}
+     */
+    roomIds() {
+        let files = [];
+        try {
+            files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json'));
+        } catch {
+            return [];
+        }
+        return files
+            .map(file => Buffer.from(file.slice(0, -'.json'.length), 'base64url').toString())
+            .filter(roomId => !this.room(roomId).meta.left);
+    }
+
+    /**
+     * Room name and member count, as last seen online.
+     *
+     * @param {string} roomId
+     * @returns {{name: string|null, memberCount: number|null}}
+     */
+    roomInfo(roomId) {
+        const { name, memberCount } = this.room(roomId).meta;
+        return { name, memberCount };
+    }
+
+    /**
+     * Remembers a room's name and member count for offline room lists.
+     *
+     * @param {string} roomId
+     * @param {{name?: string, memberCount?: number}} info
+     */
+    updateRoom(roomId, { name, memberCount }) {
+        const room = this.room(roomId);
+        if (room.meta.name === name && room.meta.memberCount === memberCount) return;
+
+        room.meta.name = name;
+        room.meta.memberCount = memberCount;
+        this.save(room);
+    }
+}
@@ -0,0 +1,268 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import Olm from '@matrix-org/olm';
+import { configStore } from '../config/store.mjs';
+import { credentialVault } from '../config/vault.mjs';
+import { isValidSession } from './key-export.mjs';
+
+const MEGOLM_ALGORITHM = 'm.megolm.v1.aes-sha2';
+const ADDITIONAL_DATA = Buffer.from('cich-room-keys');
+
+let olmReady = null;
+
+/**
+ * * RoomKeyStore class to keep the Megolm sessions imported from key exports or restored from the key backup.
+ * * @class RoomKeyStore
+ * * @description The crypto engine has no way to take room keys in, so imported sessions are kept in the profile's
+ * * data directory, in the session export format, and events the engine can't decrypt are decrypted with them
+ * * through libolm. A session is only replaced by one that reaches further back, i.e. with a lower first known index.
+ * * If the profile uses the token vault, the file is encrypted with AES-256-GCM under the vault's data key.
+ * * @property {string} path - Absolute path of the session file.
+ * * @property {CredentialVault} vault - The vault whose data key encrypts the file.
+ * * @method import - Adds sessions, reporting how many were new.
+ * * @method export - All sessions, in the session export format.
+ * * @method decrypt - Decrypts an `m.room.encrypted` event with an imported session.
+ * * @method rewrite - Writes the file again after the vault was enabled or disabled.
+ */
+export class RoomKeyStore {
+    /**
+     * @param {string} [file] - The session file, the profile's by default.
+     * @param {CredentialVault} [vault] - The vault of the profile.
+     */
+    constructor(file = configStore.roomKeysPath, vault = credentialVault) {
+        this.path = file;
+        this.vault = vault;
+        // Sessions by session ID, loaded on first use
+        this.sessions = null;
+        // libolm sessions by session ID, freed when a session is replaced
+        this.olmSessions = new Map();
+    }
+
+    /**
+     * The key to encrypt the file with, null if the profile doesn't use the vault.
+     *
+     * @private
+     * @returns {Buffer|null}
+     * @throws {Error} - If the vault is enabled but wasn't unlocked.
+     */
+    dataKey() {
+        if (this.vault.dataKey) return this.vault.dataKey;
+        if (this.vault.isEnabled()) {
+            throw new Error('The room keys are encrypted with the vault key, unlock the vault first.');
+        }
+        return null;
+    }
+
+    /**
+     * Reads the stored sessions.
+     *
+     * @async
+     * @private
+     * @returns {Promise<Map<string, Object>>}
+     * @throws {Error} - If the file is encrypted and the vault can't decrypt it.
+     */
+    async load() {
+        if (this.sessions) return this.sessions;
+
+        let sessions = [];
+        if (fs.existsSync(this.path)) {
+            sessions = JSON.parse(await fsp.readFile(this.path, 'utf8'));
+        }
+        if (!Array.isArray(sessions)) {
+            sessions = this.decryptFile(sessions);
+        }
+        this.sessions = new Map(sessions.map(session => [session.session_id, session]));
+        return this.sessions;
+    }
+
+    /**
+     * Decrypts the content of an encrypted session file.
+     *
+     * @private
+     * @param {Object} file - The parsed file.
+     * @returns {Object[]} - The sessions.
+     */
+    decryptFile(file) {
+        if (file.cipher !== 'aes-256-gcm') {
+            throw new Error(`Unsupported room key file format at ${this.path}`);
+        }
+        if (!this.vault.isEnabled() && !this.vault.dataKey) {
+            throw new Error(`The room keys at ${this.path} are encrypted, but the profile has no vault to decrypt them.`);
+        }
+
+        const key = this.dataKey();
+        let content;
+        try {
+            const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+            decipher.setAAD(ADDITIONAL_DATA);
+            decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+            content = Buffer.concat([
+                decipher.update(Buffer.from(file.ciphertext, 'base64')),
+                decipher.final()
+            ]).toString('utf8');
+        } catch {
+            throw new Error(`The room keys at ${this.path} weren't encrypted with this vault's key.`);
+        }
+        return JSON.parse(content);
+    }
+
+    /**
+     * Writes the sessions, replacing the file at once so a crash can't leave half of it.
+     *
+     * @async
+     * @private
+     */
+    async save() {
+        let content = JSON.stringify([...this.sessions.values()]);
+        const key = this.dataKey();
+        if (key) {
+            const iv = randomBytes(12);
+            const cipher = createCipheriv('aes-256-gcm', key, iv);
+            cipher.setAAD(ADDITIONAL_DATA);
+            const ciphertext = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+            content = JSON.stringify({
+                cipher: 'aes-256-gcm',
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                ciphertext: ciphertext.toString('base64'),
+            });
+        }
+
+        await fsp.mkdir(path.dirname(this.path), { recursive: true, mode: 0o700 });
+        await fsp.writeFile(`${this.path}.tmp`, content, { encoding: 'utf8', mode: 0o600 });
+        await fsp.rename(`${this.path}.tmp`, this.path);
+    }
+
+    /**
+     * Reads the sessions, runs a change of the vault, e.g. enabling it, and writes them again
+     * with the key the vault has afterwards, so they stay readable.
+     *
+     * @async
+     * @param {Function} change - Async function changing the vault.
+     * @returns {Promise<void>}
+     */
+    async rewrite(change) {
+        const exists = fs.existsSync(this.path);
+        if (exists) await this.load();
+
+        await change();
+
+        if (exists) await this.save();
+    }
+
+    /**
+     * Opens a session with libolm, checking that its key is one.
+     *
+     * @async
+     * @private
+     * @param {Object} session - An exported session.
+     * @returns {Promise<Olm.InboundGroupSession>}
+     * @throws {Error} - If the session key is malformed or belongs to another session ID.
+     */
+    async open(session) {
+        await (olmReady ??= Olm.init());
+
+        const olmSession = new Olm.InboundGroupSession();
+        try {
+            olmSession.import_session(session.session_key);
+            if (olmSession.session_id() !== session.session_id) {
+                throw new Error(`The key of session ${session.session_id} belongs to another session`);
+            }
+        } catch (error) {
+            olmSession.free();
+            throw error;
+        }
+        return olmSession;
+    }
+
+    async olmSession(session) {
+        let olmSession = this.olmSessions.get(session.session_id);
+        if (!olmSession) {
+            olmSession = await this.open(session);
+            this.olmSessions.set(session.session_id, olmSession);
+        }
+        return olmSession;
+    }
+
+    /**
+     * Adds sessions from a key export or the key backup.
+     *
+     * @async
+     * @param {Object[]} sessions - The sessions, in the session export format.
+     * @returns {Promise<{imported: number, skipped: number}>} - How many sessions were new or reach further back,
+     * and how many were invalid or already known.
+     */
+    async import(sessions) {
+        const stored = await this.load();
+        let imported = 0;
+        let skipped = 0;
+
+        for (const session of sessions) {
+            if (!isValidSession(session)) {
+                skipped++;
+                continue;
+            }
+
+            let olmSession;
+            try {
+                olmSession = await this.open(session);
+            } catch {
+                skipped++;
+                continue;
+            }
+
+            const known = stored.get(session.session_id);
+            if (known && (await this.olmSession(known)).first_known_index() <= olmSession.first_known_index()) {
+                olmSession.free();
+                skipped++;
+                continue;
+            }
+
+            this.olmSessions.get(session.session_id)?.free();
+            this.olmSessions.set(session.session_id, olmSession);
+            stored.set(session.session_id, session);
+            imported++;
+        }
+
+        if (imported > 0) await this.save();
+        return { imported, skipped };
+    }
+
+    /**
+     * All imported sessions.
+     *
+     * @async
+     * @returns {Promise<Object[]>} - The sessions, in the session export format.
+     */
+    async export() {
+        return [...(await this.load()).values()];
+    }
+
+    /**
+     * Decrypts an event with an imported session.
+     *
+     * @async
+     * @param {string} roomId - The room the event was sent to.
+     * @param {Object} event - The `m.room.encrypted` event.
+     * @returns {Promise<Object|null>} - The decrypted event, or null if no imported session belongs to it.
+     * @throws {Error} - If the session doesn't reach back to the event, or the event was tampered with.
+     */
+    async decrypt(roomId, event) {
+        const { algorithm, session_id: sessionId, sender_key: senderKey, ciphertext } = event.content || {};
+        if (algorithm !== MEGOLM_ALGORITHM) return null;
+
+        const session = (await this.load()).get(sessionId);
+        // A session only decrypts the room it was shared in, and from the device that created it
+        if (!session || session.room_id !== roomId || (senderKey && senderKey !== session.sender_key)) return null;
+
+        const { plaintext } = (await this.olmSession(session)).decrypt(ciphertext);
+        const payload = JSON.parse(plaintext);
+        if (payload.room_id !== roomId) {
+            throw new Error('The event was encrypted for another room');
+        }
+
+        return { ...event, type: payload.type, content: payload.content };
+    }
+}
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import { configStore } from '../config/store.mjs';
+
+/**
+ * Tells whether a crypto store holds the sled database of matrix-sdk-crypto-nodejs 0.1.0-beta.6,
+ * the crypto engine of matrix-bot-sdk 0.7.1.
+ *
+ * @param {string} [dir] - The crypto store, the active profile's by default.
+ * @returns {boolean}
+ */
+export function isSledCryptoStore(dir = configStore.cryptoStorePath) {
+    return fs.existsSync(path.join(dir, 'conf')) && fs.existsSync(path.join(dir, 'db'));
+}
+
+/**
+ * Loads the matrix-bot-sdk build that can open the crypto store of the active profile.
+ *
+ * cich runs on Element's fork of matrix-bot-sdk, whose crypto engine exports room keys and uploads
+ * them to the key backup. That engine keeps its store in SQLite; it can't read the sled database of
+ * the engine matrix-bot-sdk 0.7.1 ships with, and no engine converts one. A new store in its place
+ * would give a device the homeserver already knows new identity keys, so profiles with a sled store
+ * keep running on matrix-bot-sdk 0.7.1 and keep their sessions.
+ *
+ * @async
+ * @returns {Promise<Object>} - The SDK module.
+ */
+export async function loadMatrixSdk() {
+    return isSledCryptoStore() ? import('matrix-bot-sdk') : import('@vector-im/matrix-bot-sdk');
+}
@@ -0,0 +1,97 @@
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign } from 'crypto';
+
+/**
+ * Serializes a value as Matrix canonical JSON: keys sorted, no insignificant whitespace.
+ *
+ * @param {*} value - The value to serialize.
+ * @returns {string} - The canonical JSON.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Encodes bytes as unpadded base64, the encoding Matrix uses for keys and signatures.
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string}
+ */
+function encodeBase64(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded (or padded, or URL-safe) base64.
+ *
+ * @param {string} value - The base64 string.
+ * @returns {Buffer}
+ */
+function decodeBase64(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Generates an Ed25519 signing key.
+ *
+ * @returns {{publicKey: string, privateKey: string}} - Both halves as unpadded base64.
+ */
+function generateSigningKey() {
+    const { privateKey } = generateKeyPairSync('ed25519');
+    const { d, x } = privateKey.export({ format: 'jwk' });
+
+    return { publicKey: encodeBase64(decodeBase64(x)), privateKey: encodeBase64(decodeBase64(d)) };
+}
+
+/**
+ * Signs a JSON object the Matrix way, returning a copy with the signature added.
+ *
+ * `signatures` and `unsigned` are left out of the signed payload, existing signatures are kept.
+ *
+ * @param {Object} object - The object to sign.
+ * @param {string} userId - The signing user.
+ * @param {{publicKey: string, privateKey: string}} key - The Ed25519 key, as from generateSigningKey.
+ * @returns {Object} - The signed object.
+ */
+function signJson(object, userId, key) {
+    const { signatures = {}, unsigned, ...payload } = object;
+
+    const privateKey = createPrivateKey({
+        key: { kty: 'OKP', crv: 'Ed25519', d: toBase64Url(key.privateKey), x: toBase64Url(key.publicKey) },
+        format: 'jwk'
+    });
+    const signature = encodeBase64(sign(null, Buffer.from(canonicalJson(payload), 'utf8'), privateKey));
+
+    return {
+        ...object,
+        signatures: {
+            ...signatures,
+            [userId]: { ...signatures[userId], [`ed25519:${key.publicKey}`]: signature }
+        }
+    };
+}
+
+/**
+ * Builds an X25519 public key object from unpadded base64.
+ *
+ * @param {string} publicKey - The key as unpadded base64.
+ * @returns {KeyObject}
+ */
+function importCurve25519Key(publicKey) {
+    return createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: toBase64Url(publicKey) }, format: 'jwk' });
+}
+
+function toBase64Url(value) {
+    return value.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export { canonicalJson, encodeBase64, decodeBase64, generateSigningKey, signJson, importCurve25519Key };
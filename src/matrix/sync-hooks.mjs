@@ -0,0 +1,88 @@
+// One set of hooks per client, so its methods are only ever wrapped once
+const hooks = new WeakMap();
+
+/**
+ * * SyncHooks class to let several parts of cich see the sync loop of one Matrix client.
+ * * @class SyncHooks
+ * * @description matrix-bot-sdk emits no raw sync responses and retries failed syncs on its own, so its `doSync`
+ * * and private `processSync` are wrapped, once per client and for good. Listeners come and go without touching
+ * * the client again, so nobody can restore a method someone else wrapped in the meantime.
+ * * @property {MatrixClient} client - The Matrix client.
+ * * @property {Set<Function>} listeners - Called with every sync response, in the order they were added.
+ * * @property {Function|null} runner - Runs the sync requests, if anyone took them over.
+ * * @method of - The hooks of a client, installed on first use.
+ * * @method onResponse - Calls a listener with every sync response before the client processes it.
+ * * @method runRequests - Runs every sync request through a function, e.g. to retry it.
+ */
+export class SyncHooks {
+    /**
+     * The hooks of a client, installed on first use.
+     *
+     * @param {MatrixClient} client - The Matrix client.
+     * @returns {SyncHooks}
+     */
+    static of(client) {
+        let clientHooks = hooks.get(client);
+        if (!clientHooks) {
+            clientHooks = new SyncHooks(client);
+            hooks.set(client, clientHooks);
+        }
+        return clientHooks;
+    }
+
+    /**
+     * @private
+     * @param {MatrixClient} client - The Matrix client.
+     */
+    constructor(client) {
+        this.client = client;
+        this.listeners = new Set();
+        this.runner = null;
+
+        const doSync = client.doSync;
+        client.doSync = async (...args) => {
+            const request = () => doSync.apply(client, args);
+            return this.runner ? this.runner(request) : request();
+        };
+
+        const processSync = client.processSync;
+        client.processSync = async (raw, ...rest) => {
+            for (const listener of this.listeners) {
+                try {
+                    listener(raw);
+                } catch (error) {
+                    console.error('Sync listener failed:', error.message);
+                }
+            }
+            return processSync.call(client, raw, ...rest);
+        };
+    }
+
+    /**
+     * Calls a listener with every sync response before the client processes it.
+     *
+     * @param {Function} listener - Called with the raw sync response.
+     * @returns {Function} - Stops calling the listener.
+     */
+    onResponse(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Runs every sync request through a function, e.g. to retry it. Only one can.
+     *
+     * @param {Function} runner - Called with a function sending the request, returns what the sync loop gets.
+     * @returns {Function} - Sends the requests directly again.
+     * @throws Will throw an error if the requests are already run by another function.
+     */
+    runRequests(runner) {
+        if (this.runner) {
+            throw new Error('The sync requests of this client are already taken over');
+        }
+        this.runner = runner;
+        return () => {
+            if (this.runner === runner) this.runner = null;
+        };
+    }
+}
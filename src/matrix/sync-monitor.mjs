@@ -0,0 +1,197 @@
+import { EventEmitter } from 'events';
+import { SyncHooks } from './sync-hooks.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tells whether the homeserver refused a request because the access token is no good, e.g. the
+ * session was logged out from another device. Retrying can't fix that. A 403 isn't one: the
+ * homeserver or a proxy in front of it may forbid a request for a while, the token still works.
+ *
+ * @param {Error} error - The failed request's error.
+ * @returns {boolean}
+ */
+function isAuthError(error) {
+    const errcode = error?.errcode ?? error?.body?.errcode;
+    return error?.statusCode === 401 || errcode === 'M_UNKNOWN_TOKEN';
+}
+
+/**
+ * * SyncMonitor class to keep a Matrix client connected and report its connectivity.
+ * * @class SyncMonitor
+ * * @description Retries failed syncs (and, with `start`, a failed start) with exponential backoff instead of
+ * * matrix-bot-sdk's fixed delay, and emits `connection.lost` on the first failure and `connection.restored`
+ * * once a request gets through again, both with the state below. A rejected access token isn't retried: the
+ * * client is stopped and `auth.failed` is emitted, since only logging in again helps.
+ * * @property {MatrixClient} client - The Matrix client.
+ * * @property {boolean} online - Whether the last request to the homeserver went through.
+ * * @property {boolean} started - Whether the client has started syncing.
+ * * @property {number|null} lastSyncAt - When the last sync succeeded.
+ * * @property {number} failures - Consecutive failures since the connection was lost.
+ * * @property {boolean} authFailed - Whether the homeserver rejected the access token.
+ * * @method install - Wraps the client's sync requests, call it before starting the client.
+ * * @method start - Starts the client, retrying until the homeserver answers.
+ * * @method state - Describes the connection for clients and `daemon status`.
+ */
+export class SyncMonitor extends EventEmitter {
+    /**
+     * @param {MatrixClient} client - The Matrix client, not started yet.
+     * @param {Object} [options]
+     * @param {number} [options.minDelay=2000] - First retry delay, in milliseconds.
+     * @param {number} [options.maxDelay=60000] - Longest retry delay, in milliseconds.
+     */
+    constructor(client, { minDelay = 2000, maxDelay = 60000 } = {}) {
+        super();
+        this.client = client;
+        this.minDelay = minDelay;
+        this.maxDelay = maxDelay;
+        this.online = false;
+        this.started = false;
+        this.lastSyncAt = null;
+        this.failures = 0;
+        this.authFailed = false;
+        this.lostAt = null;
+        this.lastError = null;
+        this.retryAt = null;
+    }
+
+    /**
+     * Wraps the client's sync requests so failures are retried here, with backoff, and
+     * successes are recorded. The sync loop only sees the response that finally came through,
+     * or the error of a rejected access token once the client is stopped.
+     */
+    install() {
+        SyncHooks.of(this.client).runRequests(async (request) => {
+            for (;;) {
+                try {
+                    const response = await request();
+                    this.lastSyncAt = Date.now();
+                    this.restored();
+                    return response;
+                } catch (error) {
+                    // Stopping the client aborts its sync, that's no outage
+                    if (this.client.stopSyncing) throw error;
+                    if (isAuthError(error)) {
+                        this.rejected(error);
+                        throw error;
+                    }
+                    await sleep(this.lost(error));
+                    if (this.client.stopSyncing) throw error;
+                }
+            }
+        });
+    }
+
+    /**
+     * Starts the client, retrying with backoff until the homeserver answers. The client
+     * can't be used for remote requests before this resolves. A rejected access token is never retried.
+     *
+     * @async
+     * @param {Object} [options]
+     * @param {boolean} [options.retry=true] - Retry a failed start, rather than throwing.
+     * @returns {Promise<void>}
+     * @throws Will throw the homeserver's error if it rejects the access token, or any error without `retry`.
+     */
+    async start({ retry = true } = {}) {
+        for (;;) {
+            try {
+                await this.client.start();
+                this.started = true;
+                this.restored();
+                return;
+            } catch (error) {
+                if (isAuthError(error)) {
+                    this.rejected(error);
+                    throw error;
+                }
+                if (!retry) throw error;
+                await sleep(this.lost(error));
+            }
+        }
+    }
+
+    /**
+     * Records a failure and tells how long to wait before the next attempt.
+     *
+     * @private
+     * @param {Error} error - Why the request failed.
+     * @returns {number} - The delay, in milliseconds.
+     */
+    lost(error) {
+        this.failures++;
+        this.lastError = error?.body?.error || error?.message || String(error);
+
+        const delay = Math.min(this.maxDelay, this.minDelay * 2 ** (this.failures - 1));
+        // Jitter, so clients of a homeserver that comes back don't all retry at once
+        const jittered = Math.round(delay * (0.75 + Math.random() * 0.5));
+        this.retryAt = Date.now() + jittered;
+
+        console.warn(`Can't reach the homeserver (${this.lastError}), retrying in ${Math.round(jittered / 1000)}s`);
+
+        if (this.online || this.lostAt === null) {
+            this.online = false;
+            this.lostAt = Date.now();
+            this.emit('connection.lost', this.state());
+        }
+        return jittered;
+    }
+
+    /**
+     * Records that the homeserver rejected the access token and stops the client, so neither
+     * its sync loop nor this monitor keeps sending the dead token.
+     *
+     * @private
+     * @param {Error} error - The homeserver's answer.
+     */
+    rejected(error) {
+        this.client.stop();
+
+        this.authFailed = true;
+        this.online = false;
+        this.lostAt ??= Date.now();
+        this.lastError = error?.body?.error || error?.message || String(error);
+        this.retryAt = null;
+
+        console.error(`The homeserver rejected the access token (${this.lastError}). Log in again: cich auth logout && cich auth login`);
+        this.emit('auth.failed', this.state());
+    }
+
+    /**
+     * Records that a request went through again.
+     *
+     * @private
+     */
+    restored() {
+        if (this.online) return;
+
+        const wasLost = this.lostAt !== null;
+        this.online = true;
+        this.failures = 0;
+        this.lostAt = null;
+        this.lastError = null;
+        this.retryAt = null;
+
+        if (wasLost) {
+            console.log('Connection to the homeserver restored');
+            this.emit('connection.restored', this.state());
+        }
+    }
+
+    /**
+     * Describes the connection.
+     *
+     * @returns {{online: boolean, started: boolean, lastSyncAt: number|null, lostAt: number|null, failures: number, authFailed: boolean, lastError: string|null, retryAt: number|null}}
+     */
+    state() {
+        return {
+            online: this.online,
+            started: this.started,
+            lastSyncAt: this.lastSyncAt,
+            lostAt: this.lostAt,
+            failures: this.failures,
+            authFailed: this.authFailed,
+            lastError: this.lastError,
+            retryAt: this.retryAt
+        };
+    }
+}
@@ -0,0 +1,483 @@
+import { EventEmitter } from 'events';
+import { randomUUID, generateKeyPairSync, diffieHellman, hkdfSync, createHmac, createHash } from 'crypto';
+import { canonicalJson, encodeBase64, decodeBase64, importCurve25519Key } from './signing.mjs';
+
+const VERIFICATION_TIMEOUT = 10 * 60 * 1000;
+// Requests from further in the future than this are ignored, as the specification says
+const REQUEST_CLOCK_SKEW = 5 * 60 * 1000;
+const KEY_AGREEMENT = 'curve25519-hkdf-sha256';
+const MAC_METHOD = 'hkdf-hmac-sha256.v2';
+const SAS_METHODS = ['decimal', 'emoji'];
+
+// The SAS emoji table from the Matrix specification, indexed by 6-bit value
+const SAS_EMOJI = [
+    ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐎', 'Horse'], ['🦄', 'Unicorn'], ['🐷', 'Pig'],
+    ['🐘', 'Elephant'], ['🐰', 'Rabbit'], ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'], ['🐢', 'Turtle'],
+    ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'], ['🌳', 'Tree'], ['🌵', 'Cactus'],
+    ['🍄', 'Mushroom'], ['🌏', 'Globe'], ['🌙', 'Moon'], ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'],
+    ['🍎', 'Apple'], ['🍓', 'Strawberry'], ['🌽', 'Corn'], ['🍕', 'Pizza'], ['🎂', 'Cake'], ['❤️', 'Heart'],
+    ['😀', 'Smiley'], ['🤖', 'Robot'], ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'],
+    ['👍', 'Thumbs Up'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'], ['🎁', 'Gift'], ['💡', 'Light Bulb'],
+    ['📕', 'Book'], ['✏️', 'Pencil'], ['📎', 'Paperclip'], ['✂️', 'Scissors'], ['🔒', 'Lock'], ['🔑', 'Key'],
+    ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'], ['🚂', 'Train'], ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'],
+    ['🚀', 'Rocket'], ['🏆', 'Trophy'], ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'],
+    ['⚓', 'Anchor'], ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin'],
+];
+
+/**
+ * Turns the first six SAS bytes into seven emoji, six bits each.
+ *
+ * @param {Buffer} bytes - The SAS bytes.
+ * @returns {Array<{emoji: string, name: string}>}
+ */
+function sasEmoji(bytes) {
+    const bits = bytes.subarray(0, 6).reduce((acc, byte) => (acc << 8n) | BigInt(byte), 0n) >> 6n;
+    return Array.from({ length: 7 }, (_, i) => {
+        const [emoji, name] = SAS_EMOJI[Number((bits >> BigInt(6 * (6 - i))) & 63n)];
+        return { emoji, name };
+    });
+}
+
+/**
+ * Turns the first five SAS bytes into three numbers between 1000 and 9191.
+ *
+ * @param {Buffer} bytes - The SAS bytes.
+ * @returns {number[]}
+ */
+function sasDecimal(bytes) {
+    const bits = bytes.subarray(0, 5).reduce((acc, byte) => (acc << 8n) | BigInt(byte), 0n) >> 1n;
+    return [2, 1, 0].map(i => Number((bits >> BigInt(13 * i)) & 0x1fffn) + 1000);
+}
+
+/**
+ * Tells whether a verification request from another device can still be answered: requests are
+ * only valid for ten minutes. A `start` sent without a request carries no timestamp, the time it
+ * arrived counts instead.
+ *
+ * @param {Object} event - The `m.key.verification.request` or `m.key.verification.start` to-device event.
+ * @param {number} receivedAt - When the event arrived.
+ * @param {number} [now] - The current time.
+ * @returns {boolean}
+ */
+function isLiveRequest(event, receivedAt, now = Date.now()) {
+    const timestamp = event.type === 'm.key.verification.start' ? receivedAt : event.content?.timestamp;
+    return typeof timestamp === 'number' && timestamp > now - VERIFICATION_TIMEOUT && timestamp < now + REQUEST_CLOCK_SKEW;
+}
+
+/**
+ * * SasVerification class to verify a device with the emoji/decimal SAS method over to-device messages.
+ * * @class SasVerification
+ * * @description Runs one `m.sas.v1` verification with another device, either as the side sending `start`
+ * * or as the side accepting it, and either requested here (`start`) or by the other device (`fromRequest`, then
+ * * `accept`). Progress is reported through `update` events; the user's comparison of the short authentication
+ * * string is fed back with `confirm`.
+ * * @property {string} transactionId - The ID of the verification flow.
+ * * @property {string} state - requested, ready, sas, confirmed, verified (waiting for the other side), done or cancelled.
+ * * @method start - Sends the verification request.
+ * * @method accept - Answers the request of the other device.
+ * * @method confirm - Reports whether the emoji/numbers matched on both devices.
+ * * @method cancel - Aborts the verification.
+ */
+export class SasVerification extends EventEmitter {
+    /**
+     * @param {MatrixClient} client - The crypto-enabled Matrix client.
+     * @param {Object} params
+     * @param {string} params.userId - The user to verify.
+     * @param {string} [params.deviceId] - The device to verify. Without it every device of the user is asked.
+     * @param {CrossSigning} params.crossSigning - Used to look up keys and sign the verified device.
+     */
+    constructor(client, { userId, deviceId, crossSigning }) {
+        super();
+        this.client = client;
+        this.crossSigning = crossSigning;
+        this.them = { userId, deviceId: deviceId || null };
+        this.us = null;
+        this.transactionId = randomUUID();
+        this.state = 'created';
+        this.weStarted = false;
+        this.startContent = null;
+        this.commitment = null;
+        this.keyPair = null;
+        this.sharedSecret = null;
+        this.theirMac = null;
+        this.theirDone = false;
+        this.verifiedDetails = {};
+        this.timer = null;
+        // The other device's request, for verifications it asked for
+        this.request = null;
+
+        this.onToDevice = (event) => {
+            this.handleEvent(event).catch(error => this.cancel('m.unexpected_message', error.message));
+        };
+    }
+
+    /**
+     * Creates the verification another device asked for, to be answered with `accept`.
+     *
+     * @param {MatrixClient} client - The crypto-enabled Matrix client.
+     * @param {Object} event - The `m.key.verification.request`, or a `m.key.verification.start` sent without one.
+     * @param {CrossSigning} crossSigning - Used to look up keys and sign the verified device.
+     * @returns {SasVerification}
+     */
+    static fromRequest(client, event, crossSigning) {
+        const verification = new SasVerification(client, { userId: event.sender, deviceId: event.content.from_device, crossSigning });
+        verification.transactionId = event.content.transaction_id;
+        verification.request = event;
+        return verification;
+    }
+
+    /**
+     * Sends the verification request and starts listening for the answers.
+     *
+     * @async
+     * @returns {Promise<void>}
+     * @throws {Error} - If encryption is off or the device is this one.
+     */
+    async start() {
+        await this.listen();
+
+        await this.send('m.key.verification.request', {
+            from_device: this.us.deviceId,
+            methods: ['m.sas.v1'],
+            timestamp: Date.now()
+        });
+
+        this.update('requested');
+    }
+
+    /**
+     * Answers the request of the other device: says `ready`, after which the other device starts
+     * the SAS flow, or accepts its `start` right away if it sent one without a request.
+     *
+     * @async
+     * @returns {Promise<void>}
+     * @throws {Error} - If encryption is off, the request came from this device or it wasn't created with `fromRequest`.
+     */
+    async accept() {
+        if (!this.request) {
+            throw new Error('Only verifications requested by the other device can be accepted');
+        }
+
+        await this.listen();
+
+        const { type, content } = this.request;
+        if (type === 'm.key.verification.start') {
+            this.update('ready');
+            return this.onStart(content);
+        }
+
+        if (!content.methods?.includes('m.sas.v1')) {
+            return this.cancel('m.unknown_method', 'The other device does not support emoji verification');
+        }
+
+        await this.send('m.key.verification.ready', {
+            from_device: this.us.deviceId,
+            methods: ['m.sas.v1']
+        });
+
+        this.update('ready');
+    }
+
+    /**
+     * Looks up this device and starts listening for the other device's messages.
+     *
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     * @throws {Error} - If encryption is off or the other device is this one.
+     */
+    async listen() {
+        if (!this.client.crypto?.isReady) {
+            throw new Error('Encryption is not enabled for this client');
+        }
+
+        this.us = {
+            userId: await this.client.getUserId(),
+            deviceId: this.client.crypto.clientDeviceId,
+            ed25519: this.client.crypto.deviceEd25519
+        };
+
+        if (this.them.userId === this.us.userId && this.them.deviceId === this.us.deviceId) {
+            throw new Error('A device cannot verify itself');
+        }
+
+        this.client.on('to_device.decrypted', this.onToDevice);
+        this.timer = setTimeout(() => this.cancel('m.timeout', 'Verification timed out'), VERIFICATION_TIMEOUT);
+    }
+
+    /**
+     * Reports the user's comparison of the short authentication string.
+     *
+     * @async
+     * @param {boolean} match - Whether both devices showed the same emoji/numbers.
+     * @returns {Promise<void>}
+     */
+    async confirm(match) {
+        if (this.state !== 'sas') {
+            throw new Error(`Nothing to confirm, the verification is ${this.state}`);
+        }
+        if (!match) {
+            return this.cancel('m.mismatched_sas', 'The emoji/numbers did not match');
+        }
+
+        const keys = { [`ed25519:${this.us.deviceId}`]: this.us.ed25519 };
+
+        // Let the other side trust our cross-signing identity as well, if this profile holds it
+        const crossSigningKeys = await this.crossSigning.loadKeys();
+        if (crossSigningKeys) {
+            keys[`ed25519:${crossSigningKeys.master.publicKey}`] = crossSigningKeys.master.publicKey;
+        }
+
+        const baseInfo = `MATRIX_KEY_VERIFICATION_MAC${this.us.userId}${this.us.deviceId}${this.them.userId}${this.them.deviceId}${this.transactionId}`;
+        const mac = {};
+        for (const [keyId, key] of Object.entries(keys)) {
+            mac[keyId] = this.calculateMac(key, baseInfo + keyId);
+        }
+
+        await this.send('m.key.verification.mac', {
+            mac,
+            keys: this.calculateMac(Object.keys(keys).sort().join(','), baseInfo + 'KEY_IDS')
+        });
+
+        this.update('confirmed');
+
+        if (this.theirMac) {
+            await this.checkTheirMac(this.theirMac);
+        }
+    }
+
+    /**
+     * Aborts the verification and tells the other device.
+     *
+     * @async
+     * @param {string} [code='m.user'] - The cancellation code.
+     * @param {string} [reason] - A human readable reason.
+     * @returns {Promise<void>}
+     */
+    async cancel(code = 'm.user', reason = 'Cancelled by the user') {
+        if (this.state === 'done' || this.state === 'cancelled') return;
+
+        this.finish('cancelled', { code, reason });
+        await this.send('m.key.verification.cancel', { code, reason }).catch(() => { });
+    }
+
+    async handleEvent(event) {
+        const { type, sender, content = {} } = event;
+
+        if (sender !== this.them.userId || content.transaction_id !== this.transactionId) return;
+        if (this.state === 'done' || this.state === 'cancelled') return;
+
+        switch (type) {
+            case 'm.key.verification.ready':
+                return this.onReady(content);
+            case 'm.key.verification.start':
+                return this.onStart(content);
+            case 'm.key.verification.accept':
+                return this.onAccept(content);
+            case 'm.key.verification.key':
+                return this.onKey(content);
+            case 'm.key.verification.mac':
+                if (this.state === 'confirmed') return this.checkTheirMac(content);
+                this.theirMac = content;
+                return;
+            case 'm.key.verification.done':
+                this.theirDone = true;
+                if (this.state === 'verified') this.finish('done');
+                return;
+            case 'm.key.verification.cancel':
+                this.finish('cancelled', { code: content.code, reason: content.reason || content.code, remote: true });
+                return;
+        }
+    }
+
+    async onReady(content) {
+        if (this.state !== 'requested') return;
+
+        if (!content.methods?.includes('m.sas.v1')) {
+            return this.cancel('m.unknown_method', 'The other device does not support emoji verification');
+        }
+
+        // With no device given, the first device to answer wins and the others are told to stop
+        if (!this.them.deviceId) {
+            this.them.deviceId = content.from_device;
+            await this.cancelOtherDevices();
+        }
+
+        this.update('ready');
+
+        this.weStarted = true;
+        this.startContent = {
+            from_device: this.us.deviceId,
+            method: 'm.sas.v1',
+            key_agreement_protocols: [KEY_AGREEMENT],
+            hashes: ['sha256'],
+            message_authentication_codes: [MAC_METHOD],
+            short_authentication_string: SAS_METHODS,
+            transaction_id: this.transactionId
+        };
+        await this.send('m.key.verification.start', this.startContent);
+    }
+
+    async onStart(content) {
+        if (!this.them.deviceId) {
+            this.them.deviceId = content.from_device;
+            await this.cancelOtherDevices();
+        }
+
+        // Both sides sent start: the one from the lexicographically smaller user (then device) is kept
+        if (this.weStarted) {
+            const ours = [this.us.userId, this.us.deviceId];
+            const theirs = [this.them.userId, this.them.deviceId];
+            if (ours[0] < theirs[0] || (ours[0] === theirs[0] && ours[1] < theirs[1])) return;
+            this.weStarted = false;
+        }
+
+        if (content.method !== 'm.sas.v1'
+            || !content.key_agreement_protocols?.includes(KEY_AGREEMENT)
+            || !content.hashes?.includes('sha256')
+            || !content.message_authentication_codes?.includes(MAC_METHOD)
+            || !content.short_authentication_string?.includes('decimal')) {
+            return this.cancel('m.unknown_method', 'The other device offered no supported SAS method');
+        }
+
+        this.startContent = content;
+        this.keyPair = generateKeyPairSync('x25519');
+
+        await this.send('m.key.verification.accept', {
+            method: 'm.sas.v1',
+            key_agreement_protocol: KEY_AGREEMENT,
+            hash: 'sha256',
+            message_authentication_code: MAC_METHOD,
+            short_authentication_string: SAS_METHODS.filter(method => content.short_authentication_string.includes(method)),
+            commitment: encodeBase64(createHash('sha256').update(this.publicKey + canonicalJson(content)).digest())
+        });
+    }
+
+    async onAccept(content) {
+        if (!this.weStarted) return;
+
+        if (content.key_agreement_protocol !== KEY_AGREEMENT || content.hash !== 'sha256' || content.message_authentication_code !== MAC_METHOD) {
+            return this.cancel('m.unknown_method', 'The other device chose an unsupported SAS method');
+        }
+
+        this.commitment = content.commitment;
+        this.keyPair = generateKeyPairSync('x25519');
+
+        await this.send('m.key.verification.key', { key: this.publicKey });
+    }
+
+    async onKey(content) {
+        if (!this.keyPair || this.sharedSecret) return;
+
+        const theirKey = content.key;
+
+        if (this.weStarted) {
+            const expected = encodeBase64(createHash('sha256').update(theirKey + canonicalJson(this.startContent)).digest());
+            if (expected !== this.commitment) {
+                return this.cancel('m.mismatched_commitment', 'The other device sent a key that does not match its commitment');
+            }
+        } else {
+            await this.send('m.key.verification.key', { key: this.publicKey });
+        }
+
+        this.sharedSecret = diffieHellman({ privateKey: this.keyPair.privateKey, publicKey: importCurve25519Key(theirKey) });
+
+        const [starter, accepter] = this.weStarted
+            ? [[this.us, this.publicKey], [this.them, theirKey]]
+            : [[this.them, theirKey], [this.us, this.publicKey]];
+        const info = `MATRIX_KEY_VERIFICATION_SAS|${starter[0].userId}|${starter[0].deviceId}|${starter[1]}|` +
+            `${accepter[0].userId}|${accepter[0].deviceId}|${accepter[1]}|${this.transactionId}`;
+        const bytes = Buffer.from(hkdfSync('sha256', this.sharedSecret, Buffer.alloc(0), info, 6));
+
+        this.update('sas', { emoji: sasEmoji(bytes), decimal: sasDecimal(bytes) });
+    }
+
+    async checkTheirMac(content) {
+        const { devices, masterKey } = await this.crossSigning.queryKeys(this.them.userId);
+        const deviceKeyId = `ed25519:${this.them.deviceId}`;
+        const knownKeys = {
+            [deviceKeyId]: devices[this.them.deviceId]?.keys?.[deviceKeyId],
+            ...(masterKey?.keys || {})
+        };
+
+        const baseInfo = `MATRIX_KEY_VERIFICATION_MAC${this.them.userId}${this.them.deviceId}${this.us.userId}${this.us.deviceId}${this.transactionId}`;
+        const keyIds = Object.keys(content.mac || {});
+
+        if (content.keys !== this.calculateMac(keyIds.sort().join(','), baseInfo + 'KEY_IDS')) {
+            return this.cancel('m.key_mismatch', 'The list of keys did not match');
+        }
+        if (!keyIds.includes(deviceKeyId) || !knownKeys[deviceKeyId]) {
+            return this.cancel('m.key_mismatch', 'The device key was not part of the verification');
+        }
+
+        let masterVerified = false;
+        for (const keyId of keyIds) {
+            // Keys we don't know are ignored, as the specification says
+            if (!knownKeys[keyId]) continue;
+            if (content.mac[keyId] !== this.calculateMac(knownKeys[keyId], baseInfo + keyId)) {
+                return this.cancel('m.key_mismatch', `The key ${keyId} did not match`);
+            }
+            if (keyId !== deviceKeyId) masterVerified = true;
+        }
+
+        // Publish the trust with our cross-signing keys, so other clients see it too
+        this.verifiedDetails = { crossSigned: false };
+        try {
+            this.verifiedDetails.crossSigned = this.them.userId === this.us.userId
+                ? await this.crossSigning.signDevice(this.them.deviceId)
+                : masterVerified && await this.crossSigning.signUser(this.them.userId);
+        } catch (error) {
+            this.verifiedDetails.warning = `Cross-signing failed: ${error.message}`;
+        }
+
+        await this.send('m.key.verification.done', {});
+        this.update('verified', this.verifiedDetails);
+
+        if (this.theirDone) this.finish('done');
+    }
+
+    async cancelOtherDevices() {
+        const { devices } = await this.crossSigning.queryKeys(this.them.userId);
+        const others = Object.keys(devices).filter(id => id !== this.them.deviceId && id !== this.us.deviceId);
+        if (others.length === 0) return;
+
+        const content = { code: 'm.accepted', reason: 'Verification was accepted by another device', transaction_id: this.transactionId };
+        await this.client.sendToDevices('m.key.verification.cancel', {
+            [this.them.userId]: Object.fromEntries(others.map(id => [id, content]))
+        });
+    }
+
+    calculateMac(input, info) {
+        const key = Buffer.from(hkdfSync('sha256', this.sharedSecret, Buffer.alloc(0), info, 32));
+        return encodeBase64(createHmac('sha256', key).update(input).digest());
+    }
+
+    get publicKey() {
+        const { x } = this.keyPair.publicKey.export({ format: 'jwk' });
+        return encodeBase64(decodeBase64(x));
+    }
+
+    async send(type, content) {
+        await this.client.sendToDevices(type, {
+            [this.them.userId]: { [this.them.deviceId || '*']: { ...content, transaction_id: this.transactionId } }
+        });
+    }
+
+    summary() {
+        return { transactionId: this.transactionId, userId: this.them.userId, deviceId: this.them.deviceId };
+    }
+
+    update(state, details = {}) {
+        this.state = state;
+        this.emit('update', { ...this.summary(), state, ...details });
+    }
+
+    finish(state, details = {}) {
+        clearTimeout(this.timer);
+        this.client.removeListener('to_device.decrypted', this.onToDevice);
+        this.update(state, { ...this.verifiedDetails, ...details });
+        this.emit('end');
+    }
+}
+
+export { sasEmoji, sasDecimal, isLiveRequest };
@@ -48,6 +48,38 @@ async function initTUI(room) {
     });
 
 
+    // Shown over the top of the chat while the homeserver can't be reached
+    const offlineBanner = blessed.box({
+        top: 0,
+        left: 'center',
+        width: 'shrink',
+        height: 1,
+        hidden: true,
+        style: { fg: 'white', bg: 'red', bold: true },
+    });
+
+    const renderConnection = (connection) => {
+        if (connection.authFailed) {
+            offlineBanner.setContent(` ⛔ Signed out: the homeserver rejected the access token (${connection.lastError}). Log in again: cich auth logout && cich auth login `);
+            offlineBanner.show();
+        } else if (connection.online || !connection.lastError) {
+            offlineBanner.hide();
+        } else {
+            offlineBanner.setContent(` ⚠ Offline: can't reach the homeserver (${connection.lastError}), retrying... New messages will show up once reconnected. `);
+            offlineBanner.show();
+        }
+        screen.render();
+    };
+
+    // Lock indicator in the top border, refreshed when /encrypt changes the room
+    const renderHeader = () => {
+        messageList.setLabel(room.encrypted
+            ? ` {green-fg}🔒 ${room.roomName} · encrypted{/green-fg} `
+            : ` {yellow-fg}🔓 ${room.roomName} · not encrypted{/yellow-fg} `);
+        screen.render();
+    };
+    renderHeader();
+
     let streamingLocked = false;
 
     let inChatCommands;
@@ -59,7 +91,8 @@ async function initTUI(room) {
             screen,
             messageList,
             inputBar,
-            (lockState) => streamingLocked = !lockState
+            (lockState) => streamingLocked = !lockState,
+            renderHeader
         );
     })();
 
@@ -71,6 +104,7 @@ async function initTUI(room) {
 
     screen.append(messageList);
     screen.append(inputBar);
+    screen.append(offlineBanner);
 
     // Exit handling
     screen.key(['C-c', 'escape'], () => process.exit(0));
@@ -174,9 +208,21 @@ async function initTUI(room) {
     screen.render();
 
     // Stream messages from the room
-    const { streamChatMessages } = await import('../cli/chat/stream.mjs');
+    const { streamChatMessages, streamRoomEvents } = await import('../cli/chat/stream.mjs');
 
     await streamChatMessages(room, messageList, screen, () => !streamingLocked);
+    await streamRoomEvents(room, { messageList, inputBar, screen, renderHeader }, () => !streamingLocked);
+
+    const { clientProxy } = await import('../matrix/client.mjs');
+    await clientProxy.onConnectionChange((connection) => {
+        const wasOffline = !offlineBanner.hidden;
+        renderConnection(connection);
+        if (wasOffline && connection.online) {
+            messageList.pushLine('{green-fg}SYSTEM ~ Reconnected to the homeserver.{/green-fg}');
+            messageList.setScrollPerc(100);
+            screen.render();
+        }
+    });
 
     return { screen, messageList, inputBar };
 }
@@ -1,11 +1,13 @@
 import { getMessagesInTimeRange } from "../cli/chat/get.mjs";
+import { verifyDevice, acceptVerification, describeSas } from "../cli/device/verify.mjs";
+import { clientProxy } from "../matrix/client.mjs";
 import string2color from "../utils/string2color.js";
 
 /**
  * InChatCommands class to handle in-chat commands.
  */
 class InChatCommands {
-    constructor(room, screen, messageList, inputBar, streamingControl) {
+    constructor(room, screen, messageList, inputBar, streamingControl, renderHeader) {
         this.commands = {
             '/help': this.help,
             '/clear': this.clear,
@@ -13,12 +15,17 @@ class InChatCommands {
             '/error': this.error,
             '/history': this.history,
             '/sync': this.sync,
+            '/verify': this.verify,
+            '/encrypt': this.encrypt,
         };
         this.room = room;
         this.screen = screen;
         this.messageList = messageList;
         this.inputBar = inputBar;
         this.streamingControl = streamingControl;
+        this.renderHeader = renderHeader;
+        // Running verification: what cancels it and the answer to the emoji comparison
+        this.verification = null;
     }
 
     help() {
@@ -29,6 +36,8 @@ class InChatCommands {
             '/error': 'Simulate an error (fun)',
             '/history': 'Fetch chat history between two times (e.g., /history 2d now) [Streaming off!!]',
             '/sync': 'Sync messages from a certain point to now (e.g., /sync 2d)',
+            '/verify': 'Verify a device with emoji (/verify <userId> [deviceId], or /verify accept [userId] to answer another device, then /verify yes|no|cancel)',
+            '/encrypt': 'Turn on end-to-end encryption for this room (asks for /encrypt confirm)',
         }
         this.messageList.pushLine('{green-fg}{inverse}SYSTEM ~ Available commands:{/inverse}{/green-fg}');
         for (const command in this.commands) {
@@ -110,6 +119,109 @@ class InChatCommands {
         }
     }
 
+    /**
+     * Verify a device by comparing emoji, accept the request of another device, or answer the running verification.
+     * Usage: /verify <userId> [deviceId] | /verify accept [userId] | /verify yes | /verify no | /verify cancel
+     */
+    async verify(target, deviceId) {
+        const system = (text, color = 'cyan') => {
+            this.messageList.pushLine(`{${color}-fg}SYSTEM ~ ${text}{/${color}-fg}`);
+            this.messageList.setScrollPerc(100);
+            this.screen.render();
+        };
+
+        if (['yes', 'no', 'cancel'].includes(target)) {
+            if (!this.verification) {
+                return system('No verification is running.', 'yellow');
+            }
+            if (target === 'cancel') {
+                return this.verification.controller.abort();
+            }
+            if (!this.verification.answer) {
+                return system('Wait for the emoji before answering.', 'yellow');
+            }
+            return this.verification.answer(target === 'yes');
+        }
+
+        if (!target) {
+            return system('Usage: /verify <userId> [deviceId] or /verify accept [userId]', 'red');
+        }
+        if (this.verification) {
+            return system('A verification is already running, /verify cancel stops it.', 'yellow');
+        }
+
+        this.verification = { controller: new AbortController(), answer: null };
+
+        // `/verify accept [userId]` waits for another device to ask, e.g. Element verifying this session
+        const incoming = target === 'accept';
+        const run = incoming
+            ? (handlers) => acceptVerification({ userId: deviceId }, handlers)
+            : (handlers) => verifyDevice({ userId: target, deviceId }, handlers);
+
+        try {
+            const result = await run({
+                signal: this.verification.controller.signal,
+                onUpdate: (update) => {
+                    if (update.state === 'waiting') {
+                        system('Waiting for a verification request, start it on the other device...');
+                    } else if (update.state === 'ready' && incoming) {
+                        system(`Accepted the request of ${update.userId} ${update.deviceId}.`);
+                    } else if (update.state === 'requested') {
+                        system(`Verification request sent to ${target}, accept it on the other device...`);
+                    } else if (update.state === 'sas') {
+                        system('Compare these with the other device, then type /verify yes or /verify no:');
+                        describeSas(update).forEach(line => system(`    ${line}`, 'white'));
+                    } else if (update.state === 'confirmed') {
+                        system('Waiting for the other device to confirm...');
+                    } else if (update.warning) {
+                        system(update.warning, 'yellow');
+                    }
+                },
+                confirm: () => new Promise(resolve => {
+                    this.verification.answer = resolve;
+                })
+            });
+
+            system(`✅ ${result.userId} ${result.deviceId} verified${result.crossSigned ? ' and cross-signed' : ''}.`, 'green');
+        } catch (error) {
+            system(error.message, 'red');
+        } finally {
+            this.verification = null;
+        }
+    }
+
+    /**
+     * Turn on end-to-end encryption for the room, after a confirmation.
+     * Usage: /encrypt, then /encrypt confirm
+     */
+    async encrypt(answer) {
+        const system = (text, color = 'cyan') => {
+            this.messageList.pushLine(`{${color}-fg}SYSTEM ~ ${text}{/${color}-fg}`);
+            this.messageList.setScrollPerc(100);
+            this.screen.render();
+        };
+
+        if (this.room.encrypted) {
+            return system('🔒 This room is already encrypted.', 'green');
+        }
+        if (answer !== 'confirm') {
+            system('Encryption can never be turned off again, and bots or bridges without encryption support will stop seeing new messages.', 'yellow');
+            return system('Type /encrypt confirm to go ahead.', 'yellow');
+        }
+
+        try {
+            const { algorithm } = await clientProxy.enableEncryption({ roomId: this.room.roomId });
+            this.room.encrypted = true;
+            this.room.encryptionAlgorithm = algorithm;
+            this.renderHeader();
+            system(`🔒 Encryption enabled (${algorithm}).`, 'green');
+        } catch (error) {
+            system(error.errcode === 'M_FORBIDDEN'
+                ? 'You are not allowed to change the encryption of this room.'
+                : error.message, 'red');
+        }
+    }
+
     /**
      * Execute a command.
      * Supports passing parameters (e.g., /history 2d now)
@@ -0,0 +1,37 @@
+const readline = require('readline');
+
+/**
+ * Prompts for a secret on the terminal without echoing what is typed.
+ *
+ * @param {string} query - The prompt to show.
+ * @returns {Promise<string>} - The entered value, without surrounding whitespace.
+ * @throws {Error} - If stdin is not a terminal.
+ */
+function askSecret(query) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`Cannot prompt for "${query.trim()}" without a terminal`));
+    }
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: true,
+    });
+
+    // Print the prompt itself, swallow the echo of every keystroke
+    let muted = false;
+    rl._writeToOutput = (text) => {
+        if (!muted) rl.output.write(text);
+    };
+
+    return new Promise(resolve => {
+        rl.question(query, ans => {
+            rl.output.write('\n');
+            rl.close();
+            resolve(ans.trim());
+        });
+        muted = true;
+    });
+}
+
+module.exports = askSecret;
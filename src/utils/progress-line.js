@@ -0,0 +1,46 @@
+/**
+ * Shows a status line on stderr that is rewritten in place, e.g. while a long command runs.
+ * Nothing is shown when stderr isn't a terminal, so piped output stays clean.
+ *
+ * @returns {{update: function(string): void, clear: function(): void}} - Rewrites the line, and removes it.
+ */
+function progressLine() {
+    const enabled = !!process.stderr.isTTY;
+    let shown = false;
+
+    return {
+        update(text) {
+            if (!enabled) return;
+            process.stderr.write(`\r\x1b[K${text}`);
+            shown = true;
+        },
+        clear() {
+            if (!enabled || !shown) return;
+            process.stderr.write('\r\x1b[K');
+            shown = false;
+        }
+    };
+}
+
+/**
+ * Turns the first Ctrl-C into an aborted signal, so a command can be cancelled rather than
+ * the process killed. A second Ctrl-C exits right away.
+ *
+ * @returns {{signal: AbortSignal, dispose: function(): void}} - The signal, and a function to stop listening.
+ */
+function interruptSignal() {
+    const controller = new AbortController();
+
+    const onInterrupt = () => {
+        if (controller.signal.aborted) process.exit(130);
+        controller.abort();
+    };
+    process.on('SIGINT', onInterrupt);
+
+    return {
+        signal: controller.signal,
+        dispose: () => process.off('SIGINT', onInterrupt)
+    };
+}
+
+module.exports = { progressLine, interruptSignal };
@@ -0,0 +1,129 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { matrixSdkUnavailable } from './helpers/matrix-sdk.mjs';
+
+const options = { skip: matrixSdkUnavailable ?? false };
+
+let MatrixDaemon;
+
+before(async () => {
+    if (matrixSdkUnavailable) return;
+    ({ MatrixDaemon } = await import('../src/daemon/service.mjs'));
+});
+
+/**
+ * A daemon whose IPC server is a recorder and whose `listRooms` waits until told to finish.
+ */
+function fakeDaemon(t) {
+    t.mock.method(console, 'log', () => {});
+
+    const handlers = {};
+    const sent = [];
+    const server = {
+        on: (event, handler) => { handlers[event] = handler; },
+        emit: (socket, event, data) => sent.push({ socket, event, data })
+    };
+
+    const calls = [];
+    const daemon = new MatrixDaemon();
+    daemon.sync = { online: true };
+    daemon.commands = {
+        listRooms: ({ signal }) => new Promise((resolve, reject) => {
+            calls.push({ signal, finish: resolve });
+            signal.addEventListener('abort', () => reject(signal.reason));
+        })
+    };
+    daemon.handleClients(server, { remote: false });
+
+    const socket = (authenticated = true) => {
+        const socket = { destroyed: false };
+        if (authenticated) daemon.authenticated.add(socket);
+        return socket;
+    };
+    const send = (socket, requestId) => handlers.command({ requestId, action: 'listRooms', params: {} }, socket);
+    const answers = (socket) => sent.filter(message => message.socket === socket && message.event === 'response').map(({ data }) => data);
+
+    return { daemon, handlers, calls, socket, send, answers };
+}
+
+test('refuses commands of unauthenticated sockets without keeping anything for them', options, async (t) => {
+    const { daemon, calls, socket, send, answers } = fakeDaemon(t);
+    const stranger = socket(false);
+
+    await send(stranger, 'r1');
+
+    assert.deepEqual(answers(stranger), [{ requestId: 'r1', success: false, error: 'Say hello with the daemon session secret first', errcode: 'CICH_UNAUTHORIZED' }]);
+    assert.equal(daemon.pending.size, 0);
+    assert.equal(calls.length, 0);
+});
+
+test('refuses commands without a string request ID before tracking them', options, async (t) => {
+    const { daemon, handlers, calls, socket, answers } = fakeDaemon(t);
+    const alice = socket();
+
+    for (const data of [null, 'listRooms', { action: 'listRooms', params: {} }, { requestId: 7, action: 'listRooms', params: {} }]) {
+        await handlers.command(data, alice);
+    }
+
+    assert.deepEqual(answers(alice).map(({ requestId, errcode }) => [requestId, errcode]), Array(4).fill([null, 'CICH_INVALID_PARAMS']));
+    assert.equal(daemon.pending.size, 0);
+    assert.equal(calls.length, 0);
+});
+
+test('keeps the requests of different clients apart, even with the same request ID', options, async (t) => {
+    const { daemon, handlers, calls, socket, send, answers } = fakeDaemon(t);
+    const alice = socket();
+    const bob = socket();
+
+    const aliceDone = send(alice, 'r1');
+    const bobDone = send(bob, 'r1');
+    assert.equal(calls.length, 2);
+
+    // Bob can't cancel Alice's request by guessing its ID, only his own
+    handlers.cancel({ requestId: 'r1' }, bob);
+    assert.equal(calls[0].signal.aborted, false);
+    assert.equal(calls[1].signal.aborted, true);
+
+    calls[0].finish(['!room:localhost']);
+    await Promise.all([aliceDone, bobDone]);
+
+    assert.deepEqual(answers(alice), [{ requestId: 'r1', success: true, data: ['!room:localhost'] }]);
+    assert.equal(answers(bob)[0].errcode, 'CICH_CANCELLED');
+    assert.equal(daemon.pending.size, 0);
+});
+
+test('refuses a request ID its client is still using', options, async (t) => {
+    const { daemon, calls, socket, send, answers } = fakeDaemon(t);
+    const alice = socket();
+
+    const first = send(alice, 'r1');
+    await send(alice, 'r1');
+
+    assert.equal(calls.length, 1);
+    assert.equal(answers(alice)[0].errcode, 'CICH_INVALID_PARAMS');
+    assert.equal(daemon.pending.get(alice).size, 1);
+
+    calls[0].finish([]);
+    await first;
+    assert.equal(daemon.pending.size, 0);
+});
+
+test('a disconnecting client only cancels its own requests', options, async (t) => {
+    const { daemon, handlers, calls, socket, send } = fakeDaemon(t);
+    const alice = socket();
+    const bob = socket();
+
+    const aliceDone = send(alice, 'r1');
+    const bobDone = send(bob, 'r2');
+
+    bob.destroyed = true;
+    handlers['socket.disconnected'](bob);
+    await bobDone;
+
+    assert.equal(calls[0].signal.aborted, false);
+    assert.equal(calls[1].signal.aborted, true);
+    assert.deepEqual([...daemon.pending.keys()], [alice]);
+
+    calls[0].finish([]);
+    await aliceDone;
+});
@@ -0,0 +1,76 @@
+import http from 'http';
+
+/**
+ * Starts a stand-in homeserver on localhost with just enough of the client-server API for SSO
+ * login: the login flows, the SSO redirect and the `m.login.token` exchange.
+ *
+ * The SSO redirect skips the identity provider and sends the browser straight back with a
+ * login token, as a homeserver does once the user has signed in.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {Object[]} [options.flows] - The flows `GET /login` returns.
+ * @param {string} [options.userId] - The user the login token belongs to.
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} - The base URL, and the requests it received.
+ */
+export async function startFakeHomeserver({
+    flows = [{ type: 'm.login.sso', identity_providers: [{ id: 'oidc-test', name: 'Test IdP' }] }, { type: 'm.login.token' }],
+    userId = '@alice:localhost'
+} = {}) {
+    const requests = [];
+    const loginTokens = new Set();
+    let issued = 0;
+
+    const reply = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: body ? JSON.parse(body) : null });
+
+        if (req.method === 'GET' && url.pathname === '/_matrix/client/v3/login') {
+            return reply(res, 200, { flows });
+        }
+
+        if (req.method === 'GET' && url.pathname.startsWith('/_matrix/client/v3/login/sso/redirect')) {
+            const redirectUrl = url.searchParams.get('redirectUrl');
+            if (!redirectUrl) return reply(res, 400, { errcode: 'M_MISSING_PARAM', error: 'Missing redirectUrl' });
+
+            const loginToken = `login-token-${++issued}`;
+            loginTokens.add(loginToken);
+            const target = new URL(redirectUrl);
+            target.searchParams.set('loginToken', loginToken);
+            res.writeHead(302, { Location: target.toString() });
+            return res.end();
+        }
+
+        if (req.method === 'POST' && url.pathname === '/_matrix/client/v3/login') {
+            const { type, token } = JSON.parse(body || '{}');
+            // Login tokens are single use
+            if (type !== 'm.login.token' || !loginTokens.delete(token)) {
+                return reply(res, 403, { errcode: 'M_FORBIDDEN', error: 'Invalid login token' });
+            }
+            return reply(res, 200, { user_id: userId, access_token: `access-${token}`, device_id: 'FAKEDEVICE' });
+        }
+
+        reply(res, 404, { errcode: 'M_UNRECOGNIZED', error: 'Unrecognized request' });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
@@ -0,0 +1,7 @@
+/**
+ * Why matrix-bot-sdk can't be loaded, or null if it can. The SDK needs the native library of its
+ * crypto engine, which its install script downloads; without it, tests that go through the SDK are skipped.
+ */
+export const matrixSdkUnavailable = await import('@vector-im/matrix-bot-sdk')
+    .then(() => null)
+    .catch(error => `matrix-bot-sdk can't be loaded: ${error.message.split('\n')[0]}`);
@@ -0,0 +1,184 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createCipheriv, createHmac, diffieHellman, generateKeyPairSync, hkdfSync } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Olm from '@matrix-org/olm';
+import { KeyBackup, encodeRecoveryKey, decodeRecoveryKey } from '../src/matrix/key-backup.mjs';
+import { RoomKeyStore } from '../src/matrix/room-keys.mjs';
+import { encodeBase64, decodeBase64, importCurve25519Key } from '../src/matrix/signing.mjs';
+
+const ROOM_ID = '!room:localhost';
+const SENDER_KEY = 'DeWDNaDbLdn5RiIIKh3SB31UUsHEm9Vak1qcfSJCDyc';
+
+let dir;
+
+before(async () => {
+    await Olm.init();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cich-key-backup-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * A client with a homeserver that keeps one backup, and a crypto engine that records what it's asked to do.
+ */
+function fakeClient() {
+    const client = new EventEmitter();
+    const server = { versions: [], keys: {} };
+    const calls = [];
+
+    client.getUserId = async () => '@alice:localhost';
+    client.doRequest = async (method, endpoint, query, body) => {
+        if (method === 'POST' && endpoint === '/_matrix/client/v3/room_keys/version') {
+            server.versions.push({ ...body, version: String(server.versions.length + 1), count: 0, etag: '0' });
+            return { version: String(server.versions.length) };
+        }
+        if (method === 'GET' && endpoint === '/_matrix/client/v3/room_keys/version') {
+            if (server.versions.length === 0) throw Object.assign(new Error('No backup'), { statusCode: 404, errcode: 'M_NOT_FOUND' });
+            return server.versions.at(-1);
+        }
+        if (method === 'GET' && endpoint === '/_matrix/client/v3/room_keys/keys') {
+            return { rooms: server.keys };
+        }
+        throw new Error(`Unexpected request ${method} ${endpoint}`);
+    };
+    client.crypto = {
+        isReady: true,
+        sign: async () => ({ '@alice:localhost': { 'ed25519:DEVICE': 'signature' } }),
+        enableKeyBackup: async (info) => { calls.push(['enable', info.version]); },
+        disableKeyBackup: async () => { calls.push(['disable']); }
+    };
+
+    return { client, server, calls };
+}
+
+// What another client puts in the backup: the session encrypted to the backup's public key
+function encryptSession(publicKey, session) {
+    const ephemeral = generateKeyPairSync('x25519');
+    const secret = diffieHellman({ privateKey: ephemeral.privateKey, publicKey: importCurve25519Key(publicKey) });
+    const keys = Buffer.from(hkdfSync('sha256', secret, Buffer.alloc(32), Buffer.alloc(0), 80));
+
+    const cipher = createCipheriv('aes-256-cbc', keys.subarray(0, 32), keys.subarray(64, 80));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(session)), cipher.final()]);
+
+    return {
+        ephemeral: encodeBase64(decodeBase64(ephemeral.publicKey.export({ format: 'jwk' }).x)),
+        ciphertext: encodeBase64(ciphertext),
+        mac: encodeBase64(createHmac('sha256', keys.subarray(32, 64)).digest().subarray(0, 8))
+    };
+}
+
+const running = [];
+
+function keyBackup(client, name) {
+    const backup = new KeyBackup(client, { keyBackupKeyPath: path.join(dir, `${name}.json`) });
+    running.push(backup);
+    return backup;
+}
+
+// Enabling and restoring hand the backup to the engine
+afterEach(async () => {
+    await Promise.all(running.splice(0).map(backup => backup.stopUploads()));
+});
+
+test('enabling a backup hands it to the crypto engine for uploads', async () => {
+    const { client, server, calls } = fakeClient();
+    const backup = keyBackup(client, 'enable');
+
+    const { version, recoveryKey } = await backup.enable();
+    assert.equal(version, '1');
+    assert.equal(server.versions[0].algorithm, 'm.megolm_backup.v1.curve25519-aes-sha2');
+    assert.deepEqual(calls, [['enable', '1']]);
+    assert.equal((await backup.loadKey()).privateKey, encodeBase64(decodeRecoveryKey(recoveryKey)));
+
+    const status = await backup.status();
+    assert.equal(status.hasKey, true);
+    assert.equal(status.uploading, true);
+
+    await backup.stopUploads();
+    assert.deepEqual(calls.at(-1), ['disable']);
+    assert.equal((await backup.status()).uploading, false);
+});
+
+test('does not upload to a backup this profile has no key for', async () => {
+    const { client, calls } = fakeClient();
+    await keyBackup(client, 'other-device').enable();
+    calls.length = 0;
+
+    const backup = keyBackup(client, 'no-key');
+    assert.equal(await backup.startUploads(), false);
+    assert.deepEqual(calls, []);
+});
+
+test('does not upload without a crypto engine', async () => {
+    const { client, calls } = fakeClient();
+    const backup = keyBackup(client, 'no-crypto');
+    await backup.enable();
+    calls.length = 0;
+
+    client.crypto.isReady = false;
+    assert.equal(await backup.startUploads(), false);
+    assert.deepEqual(calls, []);
+});
+
+test('restores sessions another client backed up, ready to decrypt with', async () => {
+    const { client, server } = fakeClient();
+    const { recoveryKey } = await keyBackup(client, 'element').enable();
+    const { public_key: publicKey } = server.versions[0].auth_data;
+
+    const outbound = new Olm.OutboundGroupSession();
+    outbound.create();
+    const inbound = new Olm.InboundGroupSession();
+    inbound.create(outbound.session_key());
+    server.keys[ROOM_ID] = {
+        sessions: {
+            [inbound.session_id()]: {
+                first_message_index: 0,
+                forwarded_count: 0,
+                is_verified: false,
+                session_data: encryptSession(publicKey, {
+                    algorithm: 'm.megolm.v1.aes-sha2',
+                    sender_key: SENDER_KEY,
+                    session_key: inbound.export_session(0),
+                    sender_claimed_keys: {},
+                    forwarding_curve25519_key_chain: []
+                })
+            },
+            broken: { session_data: { ephemeral: publicKey, ciphertext: 'AAAA', mac: 'AAAAAAAAAAA' } }
+        }
+    };
+    inbound.free();
+
+    const { version, sessions, failed } = await keyBackup(client, 'fresh-install').restore({ recoveryKey });
+    assert.equal(version, '1');
+    assert.equal(failed, 1);
+    assert.equal(sessions.length, 1);
+
+    const roomKeys = new RoomKeyStore(path.join(dir, 'restored.json'));
+    assert.deepEqual(await roomKeys.import(sessions), { imported: 1, skipped: 0 });
+
+    const ciphertext = outbound.encrypt(JSON.stringify({ type: 'm.room.message', content: { body: 'old history' }, room_id: ROOM_ID }));
+    const event = {
+        type: 'm.room.encrypted',
+        content: { algorithm: 'm.megolm.v1.aes-sha2', sender_key: SENDER_KEY, session_id: outbound.session_id(), ciphertext }
+    };
+    assert.equal((await roomKeys.decrypt(ROOM_ID, event)).content.body, 'old history');
+    outbound.free();
+});
+
+test('refuses a recovery key of another backup', async () => {
+    const { client } = fakeClient();
+    await keyBackup(client, 'first').enable();
+    const { recoveryKey } = await keyBackup(client, 'second').enable();
+    // The server's latest version is the second one
+    const first = await keyBackup(client, 'first').loadKey();
+    const wrongKey = encodeRecoveryKey(decodeBase64(first.privateKey));
+
+    await assert.rejects(keyBackup(client, 'restore').restore({ recoveryKey: wrongKey }), /doesn't match backup version 2/);
+    await keyBackup(client, 'restore').restore({ recoveryKey });
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptKeyExport, decryptKeyExport, decryptKeyExportPayload, isValidSession } from '../src/matrix/key-export.mjs';
+
+// Few rounds keep the tests fast, the format stores the count so any value round-trips
+const ROUNDS = 1000;
+
+const sessions = [
+    {
+        algorithm: 'm.megolm.v1.aes-sha2',
+        room_id: '!room:localhost',
+        sender_key: 'DeWDNaDbLdn5RiIIKh3SB31UUsHEm9Vak1qcfSJCDyc',
+        session_id: 'Nb9Q46dE3w4nmWx8qFvtALP4UeeusfBFtMCSeeLX8Wk',
+        session_key: 'AQAAAABWPbPGSx3hTRd5Dw+QWtT1yV5hj0p9ZUkr7EL2Cr7qIUVaovhtK8Qnux3bQcVhYL7Lw6PLt9ApDw==',
+        sender_claimed_keys: { ed25519: 'dtCkmGpCEyfvdQKJeSxeZBfYsdQC3N6ST9lNeS6BoNc' },
+        forwarding_curve25519_key_chain: []
+    }
+];
+
+function unarmor(data) {
+    const lines = data.trim().split('\n');
+    return { lines, raw: Buffer.from(lines.slice(1, -1).join(''), 'base64') };
+}
+
+// Test vectors of Element's (matrix-react-sdk) MegolmExportEncryption tests
+const ELEMENT_VECTORS = [
+    ['plain', 'password', '-----BEGIN MEGOLM SESSION DATA-----\n' +
+        'AXNhbHRzYWx0c2FsdHNhbHSIiIiIiIiIiIiIiIiIiIiIAAAACmIRUW2OjZ3L2l6j9h0lHlV3M2dx\n' +
+        'cissyYBxjsfsAndErh065A8=\n' +
+        '-----END MEGOLM SESSION DATA-----'],
+    ['Hello, World', 'betterpassword', '-----BEGIN MEGOLM SESSION DATA-----\n' +
+        'AW1vcmVzYWx0bW9yZXNhbHT//////////wAAAAAAAAAAAAAD6KyBpe1Niv5M5NPm4ZATsJo5nghk\n' +
+        'KYu63a0YQ5DRhUWEKk7CcMkrKnAUiZny\n' +
+        '-----END MEGOLM SESSION DATA-----']
+];
+
+test('decrypts the exports of Element\'s test vectors', async () => {
+    for (const [plaintext, passphrase, data] of ELEMENT_VECTORS) {
+        assert.equal(await decryptKeyExportPayload(data, passphrase), plaintext);
+    }
+});
+
+test('round-trips sessions through the passphrase-protected export format', async () => {
+    const data = await encryptKeyExport(sessions, 'correct horse', ROUNDS);
+    assert.deepEqual(await decryptKeyExport(data, 'correct horse'), sessions);
+});
+
+test('writes the armored layout other clients read', async () => {
+    const data = await encryptKeyExport(sessions, 'correct horse', ROUNDS);
+    const { lines, raw } = unarmor(data);
+
+    assert.equal(lines[0], '-----BEGIN MEGOLM SESSION DATA-----');
+    assert.equal(lines.at(-1), '-----END MEGOLM SESSION DATA-----');
+    assert.ok(lines.slice(1, -1).every(line => line.length <= 96));
+
+    // Version, 16-byte salt, 16-byte IV, rounds, ciphertext and a 32-byte HMAC
+    assert.equal(raw[0], 1);
+    assert.equal(raw.readUInt32BE(33), ROUNDS);
+    assert.equal(raw[17 + 8] & 0x80, 0, 'bit 63 of the counter is cleared');
+    assert.equal(raw.length, 1 + 16 + 16 + 4 + Buffer.byteLength(JSON.stringify(sessions)) + 32);
+});
+
+test('salts every export', async () => {
+    const first = unarmor(await encryptKeyExport(sessions, 'correct horse', ROUNDS)).raw;
+    const second = unarmor(await encryptKeyExport(sessions, 'correct horse', ROUNDS)).raw;
+    assert.notDeepEqual(first.subarray(1, 33), second.subarray(1, 33));
+});
+
+test('reads exports wrapped in other text and with other line lengths', async () => {
+    const data = await encryptKeyExport(sessions, 'correct horse', ROUNDS);
+    const { raw } = unarmor(data);
+    const rewrapped = `Saved by another client\r\n-----BEGIN MEGOLM SESSION DATA-----\r\n${raw.toString('base64').match(/.{1,64}/g).join('\r\n')}\r\n-----END MEGOLM SESSION DATA-----\r\n`;
+
+    assert.deepEqual(await decryptKeyExport(rewrapped, 'correct horse'), sessions);
+});
+
+test('rejects a wrong passphrase and tampered data', async () => {
+    const data = await encryptKeyExport(sessions, 'correct horse', ROUNDS);
+    await assert.rejects(decryptKeyExport(data, 'battery staple'), /Wrong passphrase/);
+
+    const { raw } = unarmor(data);
+    raw[40] ^= 1;
+    const tampered = `-----BEGIN MEGOLM SESSION DATA-----\n${raw.toString('base64')}\n-----END MEGOLM SESSION DATA-----\n`;
+    await assert.rejects(decryptKeyExport(tampered, 'correct horse'), /Wrong passphrase, or the key export is corrupted/);
+});
+
+test('rejects files that are not key exports', async () => {
+    await assert.rejects(decryptKeyExport('hello', 'correct horse'), /Not a Megolm key export/);
+    await assert.rejects(
+        decryptKeyExport('-----BEGIN MEGOLM SESSION DATA-----\nAQID\n-----END MEGOLM SESSION DATA-----', 'correct horse'),
+        /truncated/
+    );
+
+    const { raw } = unarmor(await encryptKeyExport(sessions, 'correct horse', ROUNDS));
+    raw[0] = 2;
+    await assert.rejects(
+        decryptKeyExport(`-----BEGIN MEGOLM SESSION DATA-----\n${raw.toString('base64')}\n-----END MEGOLM SESSION DATA-----`, 'correct horse'),
+        /Unsupported key export version 2/
+    );
+});
+
+test('only accepts complete Megolm sessions', () => {
+    assert.equal(isValidSession(sessions[0]), true);
+    assert.equal(isValidSession({ ...sessions[0], algorithm: 'm.olm.v1.curve25519-aes-sha2' }), false);
+    assert.equal(isValidSession({ ...sessions[0], session_key: '' }), false);
+    assert.equal(isValidSession(null), false);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MessageStore } from '../src/matrix/message-store.mjs';
+
+const ROOM_ID = '!room:localhost';
+const OTHER_ROOM_ID = '!other:localhost';
+
+function storeDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cich-messages-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const message = (ts) => ({ type: 'm.room.message', event_id: `$${ts}`, origin_server_ts: ts, content: { body: `at ${ts}` } });
+
+// A client whose sync responses go through the store, as matrix-bot-sdk's would
+function syncingClient(store) {
+    const client = { processSync: async () => {} };
+    store.install(client);
+    return (roomId, events, { limited = false } = {}) => client.processSync({
+        rooms: { join: { [roomId]: { timeline: { events, limited, prev_batch: `before ${events[0].origin_server_ts}` } } } }
+    });
+}
+
+const storedLines = (store, roomId) => fs.readFileSync(`${store.room(roomId).base}.jsonl`, 'utf8').trim().split('\n');
+
+test('serves the events of a time range oldest first, however they arrived', async (t) => {
+    const store = new MessageStore(storeDir(t));
+    const sync = syncingClient(store);
+
+    await sync(ROOM_ID, [message(300), message(400)]);
+    store.extendBackward(ROOM_ID, store.liveChunk(ROOM_ID, 's1'), [message(200), message(100)], 'older');
+    await sync(ROOM_ID, [message(500)]);
+
+    assert.deepEqual(store.events(ROOM_ID, 200, 400).map(event => event.origin_server_ts), [200, 300, 400]);
+    assert.equal(store.latest(ROOM_ID).event_id, '$500');
+});
+
+test('appends syncs to rooms nobody reads without loading them, and drops duplicates once read', async (t) => {
+    const store = new MessageStore(storeDir(t));
+    const sync = syncingClient(store);
+
+    await sync(ROOM_ID, [message(100), message(200)]);
+    await sync(ROOM_ID, [message(200), message(300)]);
+
+    assert.equal(store.room(ROOM_ID).timeline, null);
+    assert.equal(storedLines(store, ROOM_ID).length, 4);
+
+    assert.deepEqual(store.events(ROOM_ID, 0, Infinity).map(event => event.event_id), ['$100', '$200', '$300']);
+    assert.equal(storedLines(store, ROOM_ID).length, 3);
+    assert.equal(store.room(ROOM_ID).meta.storedEvents, 3);
+});
+
+test('keeps the newest events of a room and paginates on from the oldest one left', async (t) => {
+    const dir = storeDir(t);
+    const store = new MessageStore(dir, { maxStoredEvents: 4 });
+    const sync = syncingClient(store);
+
+    await sync(ROOM_ID, [message(100), message(200), message(300)]);
+    await sync(ROOM_ID, [message(400), message(500), message(600)]);
+
+    // Over the limit by a quarter, the file is cut right away
+    assert.deepEqual(storedLines(store, ROOM_ID).map(line => JSON.parse(line).event_id), ['$300', '$400', '$500', '$600']);
+
+    const reopened = new MessageStore(dir, { maxStoredEvents: 4 });
+    const [chunk] = reopened.room(ROOM_ID).meta.chunks;
+    assert.deepEqual({ ...chunk }, { oldest: 300, newest: 600, prevToken: null, complete: false, live: true, resumeFrom: '$300' });
+    assert.equal(reopened.events(ROOM_ID, 0, Infinity).length, 4);
+
+    reopened.resume(ROOM_ID, chunk, 'before 300');
+    assert.equal(chunk.prevToken, 'before 300');
+    assert.equal(chunk.resumeFrom, undefined);
+});
+
+test('holds only the timelines read last in memory', async (t) => {
+    const store = new MessageStore(storeDir(t), { maxLoadedTimelines: 1 });
+    const sync = syncingClient(store);
+    await sync(ROOM_ID, [message(100)]);
+    await sync(OTHER_ROOM_ID, [message(200)]);
+
+    store.events(ROOM_ID, 0, Infinity);
+    store.events(OTHER_ROOM_ID, 0, Infinity);
+
+    assert.equal(store.room(ROOM_ID).timeline, null);
+    assert.deepEqual([...store.loaded.keys()], [OTHER_ROOM_ID]);
+    assert.equal(store.latest(ROOM_ID).event_id, '$100');
+    assert.deepEqual([...store.loaded.keys()], [ROOM_ID]);
+});
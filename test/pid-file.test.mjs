@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writePidFile, readPidFile, removePidFile } from '../src/daemon/pid-file.mjs';
+
+function pidFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cich-pid-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'matrix_daemon.pid');
+}
+
+test('reads back the PID of the process that wrote the file', (t) => {
+    const file = pidFile(t);
+    writePidFile(file);
+
+    assert.equal(readPidFile(file), process.pid);
+
+    removePidFile(file);
+    assert.equal(fs.existsSync(file), false);
+});
+
+test('drops a PID that now belongs to a process running another script', (t) => {
+    const file = pidFile(t);
+    fs.writeFileSync(file, `${process.pid}\n/opt/cich/src/daemon/start-daemon-runner.mjs\n`);
+
+    assert.equal(readPidFile(file), null);
+    assert.equal(fs.existsSync(file), false);
+});
+
+test('drops a PID file without the script, it can\'t be told apart from another process', (t) => {
+    const file = pidFile(t);
+    fs.writeFileSync(file, `${process.pid}\n`);
+
+    assert.equal(readPidFile(file), null);
+    assert.equal(fs.existsSync(file), false);
+});
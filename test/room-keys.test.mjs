@@ -0,0 +1,173 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import Olm from '@matrix-org/olm';
+import { RoomKeyStore } from '../src/matrix/room-keys.mjs';
+import { encryptKeyExport, decryptKeyExport } from '../src/matrix/key-export.mjs';
+
+const ROOM_ID = '!room:localhost';
+const SENDER_KEY = 'DeWDNaDbLdn5RiIIKh3SB31UUsHEm9Vak1qcfSJCDyc';
+
+let dir;
+let outbound;
+// The session key from before the first message, so exports can start at any index
+let sessionKey;
+
+before(async () => {
+    await Olm.init();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cich-room-keys-'));
+    outbound = new Olm.OutboundGroupSession();
+    outbound.create();
+    sessionKey = outbound.session_key();
+});
+
+after(() => {
+    outbound.free();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A session as another device exports it, starting at a message index
+function exportedSession(fromIndex = 0) {
+    const inbound = new Olm.InboundGroupSession();
+    inbound.create(sessionKey);
+    try {
+        return {
+            algorithm: 'm.megolm.v1.aes-sha2',
+            room_id: ROOM_ID,
+            sender_key: SENDER_KEY,
+            session_id: inbound.session_id(),
+            session_key: inbound.export_session(fromIndex),
+            sender_claimed_keys: {},
+            forwarding_curve25519_key_chain: []
+        };
+    } finally {
+        inbound.free();
+    }
+}
+
+// A profile's vault, unlocked with a data key or without one
+function vault(dataKey = randomBytes(32)) {
+    return { dataKey, isEnabled: () => !!dataKey };
+}
+
+function encryptedEvent(body, roomId = ROOM_ID) {
+    const ciphertext = outbound.encrypt(JSON.stringify({ type: 'm.room.message', content: { msgtype: 'm.text', body }, room_id: roomId }));
+    return {
+        type: 'm.room.encrypted',
+        event_id: `$${Math.random()}`,
+        sender: '@bob:localhost',
+        content: { algorithm: 'm.megolm.v1.aes-sha2', sender_key: SENDER_KEY, session_id: outbound.session_id(), device_id: 'BOB', ciphertext }
+    };
+}
+
+test('decrypts events with a session imported through a key export file', async () => {
+    const first = encryptedEvent('before the export');
+    const file = await encryptKeyExport([exportedSession()], 'correct horse', 1000);
+
+    const store = new RoomKeyStore(path.join(dir, 'export.json'));
+    assert.deepEqual(await store.import(await decryptKeyExport(file, 'correct horse')), { imported: 1, skipped: 0 });
+
+    const decrypted = await store.decrypt(ROOM_ID, first);
+    assert.equal(decrypted.type, 'm.room.message');
+    assert.deepEqual(decrypted.content, { msgtype: 'm.text', body: 'before the export' });
+    assert.equal(decrypted.event_id, first.event_id);
+    assert.equal(decrypted.sender, '@bob:localhost');
+
+    // Later messages of the session as well
+    assert.equal((await store.decrypt(ROOM_ID, encryptedEvent('after the export'))).content.body, 'after the export');
+});
+
+test('keeps imported sessions across restarts and exports them again', async () => {
+    const file = path.join(dir, 'persisted.json');
+    const session = exportedSession();
+    await new RoomKeyStore(file).import([session]);
+
+    const reopened = new RoomKeyStore(file);
+    assert.deepEqual(await reopened.export(), [session]);
+    assert.equal((await reopened.decrypt(ROOM_ID, encryptedEvent('still readable'))).content.body, 'still readable');
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('skips known sessions unless the new copy reaches further back', async () => {
+    const store = new RoomKeyStore(path.join(dir, 'counts.json'));
+    encryptedEvent('advance the ratchet');
+    encryptedEvent('advance it again');
+    const index = outbound.message_index();
+
+    assert.deepEqual(await store.import([exportedSession(index)]), { imported: 1, skipped: 0 });
+    assert.deepEqual(await store.import([exportedSession(index)]), { imported: 0, skipped: 1 });
+    assert.deepEqual(await store.import([exportedSession(index + 1)]), { imported: 0, skipped: 1 });
+    assert.deepEqual(await store.import([exportedSession(0)]), { imported: 1, skipped: 0 });
+});
+
+test('skips malformed sessions and keys that belong to another session', async () => {
+    const store = new RoomKeyStore(path.join(dir, 'invalid.json'));
+    const session = exportedSession();
+
+    const counts = await store.import([
+        { ...session, session_key: 'not a key' },
+        { ...session, session_id: 'another session' },
+        { ...session, algorithm: 'm.olm.v1.curve25519-aes-sha2' },
+        session
+    ]);
+    assert.deepEqual(counts, { imported: 1, skipped: 3 });
+});
+
+test('leaves events of other rooms, devices and sessions to the crypto engine', async () => {
+    const store = new RoomKeyStore(path.join(dir, 'scoped.json'));
+    await store.import([exportedSession()]);
+
+    const event = encryptedEvent('scoped');
+    assert.equal(await store.decrypt('!other:localhost', event), null);
+    assert.equal(await store.decrypt(ROOM_ID, { ...event, content: { ...event.content, sender_key: 'someone else' } }), null);
+    assert.equal(await store.decrypt(ROOM_ID, { ...event, content: { ...event.content, session_id: 'unknown' } }), null);
+    assert.equal(await store.decrypt(ROOM_ID, { type: 'm.room.message', content: { body: 'plain' } }), null);
+});
+
+test('refuses events replayed into another room', async () => {
+    const store = new RoomKeyStore(path.join(dir, 'replay.json'));
+    await store.import([exportedSession()]);
+
+    await assert.rejects(store.decrypt(ROOM_ID, encryptedEvent('meant elsewhere', '!other:localhost')), /another room/);
+});
+
+test('fails on messages from before the first index the session covers', async () => {
+    const early = encryptedEvent('too early');
+    const store = new RoomKeyStore(path.join(dir, 'index.json'));
+    await store.import([exportedSession(outbound.message_index())]);
+
+    await assert.rejects(store.decrypt(ROOM_ID, early), /UNKNOWN_MESSAGE_INDEX/);
+});
+
+test('encrypts the sessions with the data key of the vault', async () => {
+    const file = path.join(dir, 'vaulted.json');
+    const unlocked = vault();
+    const session = exportedSession();
+    await new RoomKeyStore(file, unlocked).import([session]);
+
+    assert.equal(fs.readFileSync(file, 'utf8').includes(session.session_key), false);
+    assert.deepEqual(await new RoomKeyStore(file, unlocked).export(), [session]);
+
+    await assert.rejects(new RoomKeyStore(file, vault()).export(), /weren't encrypted with this vault's key/);
+    await assert.rejects(new RoomKeyStore(file, vault(null)).export(), /no vault to decrypt them/);
+});
+
+test('rewrites the sessions with the key a vault change leaves', async () => {
+    const file = path.join(dir, 'rewritten.json');
+    const profileVault = vault(null);
+    const session = exportedSession();
+    await new RoomKeyStore(file, profileVault).import([session]);
+    assert.match(fs.readFileSync(file, 'utf8'), /^\[/);
+
+    // Enabling the vault
+    await new RoomKeyStore(file, profileVault).rewrite(async () => { Object.assign(profileVault, vault()); });
+    assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /^\[/);
+    assert.deepEqual(await new RoomKeyStore(file, profileVault).export(), [session]);
+
+    // And disabling it again
+    await new RoomKeyStore(file, profileVault).rewrite(async () => { Object.assign(profileVault, vault(null)); });
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [session]);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeHomeserver } from './helpers/fake-homeserver.mjs';
+import { matrixSdkUnavailable } from './helpers/matrix-sdk.mjs';
+
+const options = { skip: matrixSdkUnavailable ?? false };
+
+let homeserver;
+let runSsoLogin;
+
+before(async () => {
+    if (matrixSdkUnavailable) return;
+    ({ runSsoLogin } = await import('../src/cli/auth/sso.mjs'));
+    homeserver = await startFakeHomeserver();
+});
+
+after(() => homeserver?.close());
+
+// Plays the browser: follows the homeserver's redirect back to the localhost callback
+async function browse(ssoUrl) {
+    const response = await fetch(ssoUrl);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /Login complete/);
+}
+
+test('exchanges the login token the SSO redirect brings back to the localhost callback', options, async () => {
+    let ssoUrl;
+    const { credentials } = await runSsoLogin({
+        homeserverUrl: homeserver.url,
+        openUrl: (url) => browse(ssoUrl = url)
+    });
+
+    assert.deepEqual(credentials, {
+        homeserverUrl: homeserver.url,
+        userId: '@alice:localhost',
+        accessToken: 'access-login-token-1',
+        deviceId: 'FAKEDEVICE',
+        useDaemon: true
+    });
+
+    const redirectUrl = new URL(new URL(ssoUrl).searchParams.get('redirectUrl'));
+    assert.equal(redirectUrl.hostname, '127.0.0.1');
+    assert.match(redirectUrl.pathname, /^\/sso-callback\/[0-9a-f]{32}$/);
+
+    const exchange = homeserver.requests.find(({ method }) => method === 'POST');
+    assert.equal(exchange.body.type, 'm.login.token');
+    assert.equal(exchange.body.token, 'login-token-1');
+});
+
+test('goes straight to the identity provider given with --idp', options, async () => {
+    let ssoUrl;
+    await runSsoLogin({
+        homeserverUrl: homeserver.url,
+        idp: 'oidc-test',
+        openUrl: (url) => browse(ssoUrl = url)
+    });
+
+    assert.equal(new URL(ssoUrl).pathname, '/_matrix/client/v3/login/sso/redirect/oidc-test');
+});
+
+test('rejects an unknown identity provider before starting the callback listener', options, async () => {
+    let opened = false;
+    await assert.rejects(
+        runSsoLogin({ homeserverUrl: homeserver.url, idp: 'nope', openUrl: () => { opened = true; } }),
+        { name: 'AuthError', exitCode: 2, message: /Unknown identity provider "nope"/ }
+    );
+    assert.equal(opened, false);
+});
+
+test('refuses homeservers without SSO login', options, async () => {
+    const passwordOnly = await startFakeHomeserver({ flows: [{ type: 'm.login.password' }] });
+    try {
+        await assert.rejects(
+            runSsoLogin({ homeserverUrl: passwordOnly.url, openUrl: () => assert.fail('no SSO URL expected') }),
+            { name: 'AuthError', exitCode: 3, message: /does not support SSO login/ }
+        );
+    } finally {
+        await passwordOnly.close();
+    }
+});
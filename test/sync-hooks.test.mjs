@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { SyncHooks } from '../src/matrix/sync-hooks.mjs';
+import { EventBus } from '../src/matrix/event-bus.mjs';
+
+const ROOM_ID = '!room:localhost';
+const TYPING = { type: 'm.typing', content: { user_ids: ['@bob:localhost'] } };
+
+// A client whose own processSync records what reached it
+function fakeClient() {
+    const client = new EventEmitter();
+    client.processed = [];
+    client.processSync = async function (raw) {
+        this.processed.push(raw);
+    };
+    return client;
+}
+
+const syncResponse = () => ({ rooms: { join: { [ROOM_ID]: { ephemeral: { events: [TYPING] } } } } });
+
+test('wraps processSync once, however often listeners come and go', async () => {
+    const client = fakeClient();
+    const hooks = SyncHooks.of(client);
+    const wrapped = client.processSync;
+
+    const bus = new EventBus(client);
+    for (let i = 0; i < 3; i++) {
+        bus.subscribe({}, () => {})();
+    }
+
+    assert.equal(SyncHooks.of(client), hooks);
+    assert.equal(client.processSync, wrapped);
+
+    const raw = syncResponse();
+    await client.processSync(raw);
+    assert.deepEqual(client.processed, [raw]);
+});
+
+test('an event bus without subscribers leaves the other listeners in place', async () => {
+    const client = fakeClient();
+    const bus = new EventBus(client);
+    const ephemeral = [];
+    const unsubscribe = bus.subscribe({}, ({ event, ephemeral: isEphemeral }) => isEphemeral && ephemeral.push(event));
+
+    // Added after the bus, as the message store would be by a later start
+    const seen = [];
+    SyncHooks.of(client).onResponse(raw => seen.push(raw));
+
+    await client.processSync(syncResponse());
+    unsubscribe();
+    await client.processSync(syncResponse());
+
+    assert.deepEqual(ephemeral, [TYPING]);
+    assert.equal(seen.length, 2);
+    assert.equal(client.processed.length, 2);
+});
+
+test('a failing listener neither stops the others nor the sync', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const client = fakeClient();
+    const hooks = SyncHooks.of(client);
+    const seen = [];
+    hooks.onResponse(() => { throw new Error('broken'); });
+    hooks.onResponse(raw => seen.push(raw));
+
+    const raw = syncResponse();
+    await client.processSync(raw);
+
+    assert.deepEqual(seen, [raw]);
+    assert.deepEqual(client.processed, [raw]);
+});
+
+test('runs the sync requests through one function at a time', async () => {
+    const client = fakeClient();
+    let requests = 0;
+    client.doSync = async () => ({ next_batch: `s${++requests}` });
+    const hooks = SyncHooks.of(client);
+
+    const attempts = [];
+    const stop = hooks.runRequests(async (request) => {
+        attempts.push('runner');
+        return request();
+    });
+    assert.throws(() => hooks.runRequests(async (request) => request()), /already taken over/);
+
+    assert.deepEqual(await client.doSync(), { next_batch: 's1' });
+    stop();
+    assert.deepEqual(await client.doSync(), { next_batch: 's2' });
+    assert.deepEqual(attempts, ['runner']);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SyncMonitor } from '../src/matrix/sync-monitor.mjs';
+
+function httpError(statusCode, errcode, error = 'Request failed') {
+    return Object.assign(new Error(error), { statusCode, errcode, body: { errcode, error } });
+}
+
+/**
+ * A client whose requests answer from a script, with matrix-bot-sdk's sync loop: sync until
+ * stopped, and after a failed sync try again unless the client was stopped.
+ */
+function fakeClient(answers) {
+    const client = {
+        stopSyncing: false,
+        syncs: 0,
+        starts: 0,
+        stop() {
+            this.stopSyncing = true;
+        },
+        async doSync() {
+            this.syncs++;
+            const answer = answers.shift();
+            if (answer instanceof Error) throw answer;
+            if (answer === undefined) this.stop();
+            return { next_batch: String(this.syncs) };
+        },
+        async start() {
+            this.starts++;
+            const answer = answers.shift();
+            if (answer instanceof Error) throw answer;
+        },
+        async syncLoop() {
+            while (!this.stopSyncing) {
+                try {
+                    await this.doSync();
+                } catch {
+                    if (this.stopSyncing) return;
+                }
+            }
+        }
+    };
+    return client;
+}
+
+function monitor(client) {
+    const sync = new SyncMonitor(client, { minDelay: 1, maxDelay: 1 });
+    const events = [];
+    for (const event of ['connection.lost', 'connection.restored', 'auth.failed']) {
+        sync.on(event, (state) => events.push([event, state]));
+    }
+    return { sync, events };
+}
+
+for (const [name, error] of [
+    ['401', httpError(401, 'M_MISSING_TOKEN')],
+    ['M_UNKNOWN_TOKEN', Object.assign(new Error('Invalid access token'), { body: { errcode: 'M_UNKNOWN_TOKEN', error: 'Invalid access token' } })]
+]) {
+    test(`a sync rejected with ${name} stops the client instead of retrying`, async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const client = fakeClient([{}, error, {}, {}]);
+        const { sync, events } = monitor(client);
+        sync.install();
+
+        await client.syncLoop();
+
+        assert.equal(client.syncs, 2);
+        assert.equal(client.stopSyncing, true);
+        assert.deepEqual(events.map(([event]) => event), ['auth.failed']);
+
+        const [, state] = events[0];
+        assert.equal(state.authFailed, true);
+        assert.equal(state.online, false);
+        assert.equal(state.retryAt, null);
+        assert.equal(state.lastError, error.body.error);
+    });
+}
+
+test('a start rejected for the access token is not retried', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const client = fakeClient([httpError(401, 'M_UNKNOWN_TOKEN', 'Invalid access token'), undefined]);
+    const { sync, events } = monitor(client);
+
+    await assert.rejects(sync.start(), /Invalid access token/);
+
+    assert.equal(client.starts, 1);
+    assert.equal(client.stopSyncing, true);
+    assert.equal(sync.started, false);
+    assert.deepEqual(events.map(([event]) => event), ['auth.failed']);
+});
+
+test('a sync forbidden with 403 keeps retrying', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const client = fakeClient([{}, httpError(403, 'M_FORBIDDEN', 'Forbidden'), httpError(403, 'M_FORBIDDEN', 'Forbidden'), {}]);
+    const { sync, events } = monitor(client);
+    sync.install();
+
+    await client.syncLoop();
+
+    assert.equal(client.syncs, 5);
+    assert.equal(sync.authFailed, false);
+    assert.deepEqual(events.map(([event]) => event), ['connection.lost', 'connection.restored']);
+});
+
+test('other failures are retried until the homeserver answers', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+    const client = fakeClient([httpError(502, undefined, 'Bad Gateway'), new Error('ECONNREFUSED'), undefined, {}, httpError(504, undefined, 'Gateway Timeout')]);
+    const { sync, events } = monitor(client);
+
+    await sync.start();
+    assert.equal(client.starts, 3);
+
+    sync.install();
+    await client.syncLoop();
+
+    assert.equal(client.syncs, 3);
+    assert.equal(sync.authFailed, false);
+    assert.deepEqual(events.map(([event]) => event), ['connection.lost', 'connection.restored', 'connection.lost', 'connection.restored']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigStore } from '../src/config/store.mjs';
+import { CredentialVault } from '../src/config/vault.mjs';
+
+const CREDENTIALS = { homeserverUrl: 'https://localhost', userId: '@alice:localhost', deviceId: 'OLD', accessToken: 'syt_old' };
+
+function profileVault(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cich-vault-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new ConfigStore(path.join(dir, 'config'), path.join(dir, 'data'), path.join(dir, 'run'), path.join(dir, 'state'));
+    return { store, vault: () => new CredentialVault(store) };
+}
+
+// What the login prompt would be answered with
+function passphrase(t, value) {
+    const previous = process.env.CICH_PASSPHRASE;
+    process.env.CICH_PASSPHRASE = value;
+    t.after(() => {
+        if (previous === undefined) delete process.env.CICH_PASSPHRASE;
+        else process.env.CICH_PASSPHRASE = previous;
+    });
+}
+
+test('a new login keeps the vault key, so the data encrypted with it stays readable', async (t) => {
+    const { store, vault } = profileVault(t);
+    const { accessToken, ...rest } = CREDENTIALS;
+    await store.save(rest);
+    const first = vault();
+    await first.seal(accessToken, 'correct horse');
+
+    passphrase(t, 'correct horse');
+
+    const relogin = vault();
+    await relogin.saveCredentials({ ...CREDENTIALS, deviceId: 'NEW', accessToken: 'syt_new' });
+
+    const unlocked = vault();
+    assert.equal(await unlocked.unlock({ passphrase: 'correct horse' }), 'syt_new');
+    assert.deepEqual(unlocked.dataKey, first.dataKey);
+    assert.equal(store.load().deviceId, 'NEW');
+});
+
+test('a new login with the wrong passphrase leaves the vault as it was', async (t) => {
+    const { store, vault } = profileVault(t);
+    const { accessToken, ...rest } = CREDENTIALS;
+    await store.save(rest);
+    await vault().seal(accessToken, 'correct horse');
+
+    passphrase(t, 'wrong horse');
+
+    await assert.rejects(vault().saveCredentials({ ...CREDENTIALS, accessToken: 'syt_new' }), /Wrong vault passphrase/);
+    assert.equal(await vault().unlock({ passphrase: 'correct horse' }), 'syt_old');
+});
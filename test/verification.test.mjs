@@ -0,0 +1,212 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createPrivateKey, diffieHellman, generateKeyPairSync } from 'crypto';
+import Olm from '@matrix-org/olm';
+import { SasVerification, sasEmoji, sasDecimal, isLiveRequest } from '../src/matrix/verification.mjs';
+import { encodeBase64, decodeBase64, importCurve25519Key } from '../src/matrix/signing.mjs';
+
+before(async () => {
+    await Olm.init();
+});
+
+const emojiNames = (bytes) => sasEmoji(Buffer.from(bytes)).map(({ name }) => name);
+
+test('turns SAS bytes into the emoji of the specification, six bits each', () => {
+    assert.deepEqual(emojiNames([0, 0, 0, 0, 0, 0]), Array(7).fill('Dog'));
+    assert.deepEqual(emojiNames([0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), Array(7).fill('Pin'));
+    // 000001 repeated: every emoji is number 1
+    assert.deepEqual(emojiNames([0x04, 0x10, 0x41, 0x04, 0x10, 0x41]), Array(7).fill('Cat'));
+    // 000100 100011 010001 010110 011110 001001 101010 (111100): 4, 35, 17, 22, 30, 9, 42
+    assert.deepEqual(emojiNames([0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc]), ['Unicorn', 'Santa', 'Cactus', 'Fire', 'Smiley', 'Rooster', 'Book']);
+    assert.deepEqual(sasEmoji(Buffer.from([0x55, 0x55, 0x55, 0x55, 0x55, 0x55]))[0], { emoji: '☁️', name: 'Cloud' });
+});
+
+test('turns SAS bytes into three numbers of 13 bits plus 1000', () => {
+    assert.deepEqual(sasDecimal(Buffer.alloc(5)), [1000, 1000, 1000]);
+    assert.deepEqual(sasDecimal(Buffer.alloc(5, 0xff)), [9191, 9191, 9191]);
+    assert.deepEqual(sasDecimal(Buffer.from([0x04, 0x10, 0x41, 0x04, 0x10])), [1130, 1260, 1520]);
+    assert.deepEqual(sasDecimal(Buffer.from([0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc])), [1582, 5441, 8245]);
+});
+
+test('agrees on Curve25519 secrets as in RFC 7748', () => {
+    const alicePrivate = Buffer.from('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a', 'hex');
+    const bobPublic = Buffer.from('de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f', 'hex');
+    const privateKey = createPrivateKey({
+        key: Buffer.concat([Buffer.from('302e020100300506032b656e04220420', 'hex'), alicePrivate]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+
+    const secret = diffieHellman({ privateKey, publicKey: importCurve25519Key(encodeBase64(bobPublic)) });
+    assert.equal(secret.toString('hex'), '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742');
+});
+
+/**
+ * Devices whose to-device messages reach each other, and the cross-signing lookups of their keys.
+ */
+function network() {
+    const devices = [];
+
+    const crossSigning = {
+        queryKeys: async (userId) => ({
+            devices: Object.fromEntries(devices.filter(device => device.userId === userId)
+                .map(({ deviceId, ed25519 }) => [deviceId, { keys: { [`ed25519:${deviceId}`]: ed25519 } }])),
+            masterKey: null
+        }),
+        loadKeys: async () => null,
+        signDevice: async () => false,
+        signUser: async () => false
+    };
+
+    const device = (userId, deviceId, ed25519 = encodeBase64(decodeBase64(generateKeyPairSync('ed25519').publicKey.export({ format: 'jwk' }).x))) => {
+        const client = new EventEmitter();
+        client.sent = [];
+        client.getUserId = async () => userId;
+        client.crypto = { isReady: true, clientDeviceId: deviceId, deviceEd25519: ed25519 };
+        client.sendToDevices = async (type, messages) => {
+            for (const [targetUser, targets] of Object.entries(messages)) {
+                for (const [targetDevice, content] of Object.entries(targets)) {
+                    client.sent.push({ type, content });
+                    for (const other of devices) {
+                        if (other.client === client || other.userId !== targetUser) continue;
+                        if (targetDevice !== '*' && targetDevice !== other.deviceId) continue;
+                        setImmediate(() => other.client.emit('to_device.decrypted', { type, sender: userId, content }));
+                    }
+                }
+            }
+        };
+        devices.push({ userId, deviceId, ed25519, client });
+        return client;
+    };
+
+    return { device, crossSigning };
+}
+
+// Resolves with the updates of a verification once it ended
+function updatesOf(verification, onSas) {
+    const updates = [];
+    verification.on('update', (update) => {
+        updates.push(update);
+        if (update.state === 'sas') onSas(update);
+    });
+    return new Promise(resolve => verification.once('end', () => resolve(updates)));
+}
+
+test('answers a verification another device requested, up to both sides verified', async () => {
+    const { device, crossSigning } = network();
+    const alice = device('@alice:localhost', 'ALICE');
+    const cich = device('@alice:localhost', 'CICH');
+
+    const requested = new Promise(resolve => cich.once('to_device.decrypted', resolve));
+    const theirs = new SasVerification(alice, { userId: '@alice:localhost', deviceId: 'CICH', crossSigning });
+    const theirUpdates = updatesOf(theirs, () => theirs.confirm(true));
+    await theirs.start();
+
+    const request = await requested;
+    assert.equal(request.type, 'm.key.verification.request');
+    assert.equal(isLiveRequest(request, Date.now()), true);
+
+    const ours = SasVerification.fromRequest(cich, request, crossSigning);
+    assert.equal(ours.transactionId, theirs.transactionId);
+    const ourUpdates = updatesOf(ours, () => ours.confirm(true));
+    await ours.accept();
+
+    const [mine, other] = await Promise.all([ourUpdates, theirUpdates]);
+    assert.deepEqual(mine.map(({ state }) => state), ['ready', 'sas', 'confirmed', 'verified', 'done']);
+    assert.deepEqual(other.map(({ state }) => state), ['requested', 'ready', 'sas', 'confirmed', 'verified', 'done']);
+
+    const sas = (updates) => updates.find(({ state }) => state === 'sas');
+    assert.deepEqual(sas(mine).emoji, sas(other).emoji);
+    assert.deepEqual(sas(mine).decimal, sas(other).decimal);
+    assert.equal(mine.at(-1).deviceId, 'ALICE');
+});
+
+test('cancels on both sides when the emoji differ', async () => {
+    const { device, crossSigning } = network();
+    const alice = device('@alice:localhost', 'ALICE');
+    const cich = device('@alice:localhost', 'CICH');
+
+    const requested = new Promise(resolve => cich.once('to_device.decrypted', resolve));
+    const theirs = new SasVerification(alice, { userId: '@alice:localhost', deviceId: 'CICH', crossSigning });
+    const theirUpdates = updatesOf(theirs, () => { });
+    await theirs.start();
+
+    const ours = SasVerification.fromRequest(cich, await requested, crossSigning);
+    const ourUpdates = updatesOf(ours, () => ours.confirm(false));
+    await ours.accept();
+
+    const [mine, other] = await Promise.all([ourUpdates, theirUpdates]);
+    assert.equal(mine.at(-1).state, 'cancelled');
+    assert.equal(other.at(-1).code, 'm.mismatched_sas');
+    assert.equal(other.at(-1).remote, true);
+});
+
+test('only answers requests of the last ten minutes', () => {
+    const now = Date.now();
+    const request = (timestamp) => ({ type: 'm.key.verification.request', content: { timestamp } });
+
+    assert.equal(isLiveRequest(request(now - 60 * 1000), now), true);
+    assert.equal(isLiveRequest(request(now - 11 * 60 * 1000), now), false);
+    assert.equal(isLiveRequest(request(now + 6 * 60 * 1000), now), false);
+    assert.equal(isLiveRequest(request(undefined), now), false);
+    // A start without request counts from when it arrived
+    assert.equal(isLiveRequest({ type: 'm.key.verification.start', content: {} }, now - 60 * 1000, now), true);
+    assert.equal(isLiveRequest({ type: 'm.key.verification.start', content: {} }, now - 11 * 60 * 1000, now), false);
+});
+
+test('computes the SAS and MACs like libolm, accepting a start sent without request', async () => {
+    const { device, crossSigning } = network();
+    const olmEd25519 = encodeBase64(decodeBase64(generateKeyPairSync('ed25519').publicKey.export({ format: 'jwk' }).x));
+    device('@alice:localhost', 'OLM', olmEd25519);
+    const cich = device('@bob:localhost', 'CICH');
+
+    const olm = new Olm.SAS();
+    const transactionId = 'olm-transaction';
+    const startContent = {
+        from_device: 'OLM',
+        method: 'm.sas.v1',
+        key_agreement_protocols: ['curve25519-hkdf-sha256'],
+        hashes: ['sha256'],
+        message_authentication_codes: ['hkdf-hmac-sha256.v2'],
+        short_authentication_string: ['decimal', 'emoji'],
+        transaction_id: transactionId
+    };
+    const deliver = (type, content) => cich.emit('to_device.decrypted', { type, sender: '@alice:localhost', content: { ...content, transaction_id: transactionId } });
+    const sent = (type) => cich.sent.find(message => message.type === type)?.content;
+
+    const verification = SasVerification.fromRequest(cich, { type: 'm.key.verification.start', sender: '@alice:localhost', content: startContent }, crossSigning);
+    let sas;
+    const updates = updatesOf(verification, (update) => { sas = update; });
+    await verification.accept();
+    assert.equal(sent('m.key.verification.accept').short_authentication_string.join(), 'decimal,emoji');
+
+    const sasShown = new Promise(resolve => verification.once('update', resolve));
+    deliver('m.key.verification.key', { key: olm.get_pubkey() });
+    await sasShown;
+
+    const ourKey = sent('m.key.verification.key').key;
+    olm.set_their_key(ourKey);
+    const info = `MATRIX_KEY_VERIFICATION_SAS|@alice:localhost|OLM|${olm.get_pubkey()}|@bob:localhost|CICH|${ourKey}|${transactionId}`;
+    const bytes = Buffer.from(olm.generate_bytes(info, 6));
+    assert.deepEqual(sas.emoji, sasEmoji(bytes));
+    assert.deepEqual(sas.decimal, sasDecimal(bytes));
+
+    // Our MACs check out with libolm
+    await verification.confirm(true);
+    const ourMac = sent('m.key.verification.mac');
+    const ourInfo = `MATRIX_KEY_VERIFICATION_MAC@bob:localhostCICH@alice:localhostOLM${transactionId}`;
+    assert.equal(ourMac.mac['ed25519:CICH'], olm.calculate_mac_fixed_base64(cich.crypto.deviceEd25519, ourInfo + 'ed25519:CICH'));
+    assert.equal(ourMac.keys, olm.calculate_mac_fixed_base64('ed25519:CICH', ourInfo + 'KEY_IDS'));
+
+    // And libolm's check out with us
+    const theirInfo = `MATRIX_KEY_VERIFICATION_MAC@alice:localhostOLM@bob:localhostCICH${transactionId}`;
+    deliver('m.key.verification.mac', {
+        mac: { 'ed25519:OLM': olm.calculate_mac_fixed_base64(olmEd25519, theirInfo + 'ed25519:OLM') },
+        keys: olm.calculate_mac_fixed_base64('ed25519:OLM', theirInfo + 'KEY_IDS')
+    });
+    deliver('m.key.verification.done', {});
+
+    assert.deepEqual((await updates).map(({ state }) => state), ['ready', 'sas', 'confirmed', 'verified', 'done']);
+    olm.free();
+});